@@ -0,0 +1,193 @@
+// js/fog-of-war.js
+// Fog of war: what each faction can see. The world is split into FOG_CELL_SIZE cells and
+// every cell is unexplored, explored (seen before) or visible (inside the sightRange of
+// one of the faction's units, buildings or construction sites right now). Enemy buildings
+// are remembered as last-seen snapshots until the faction sees their spot again.
+// The AI reads the same data, so it only acts on what its own units have seen.
+// Nothing here touches the DOM; renderer.js draws the fog for fogViewFactionKey.
+// Loaded after pathfinding.js and before game-logic.js.
+
+"use strict";
+
+const FOG_UNEXPLORED = 0;
+const FOG_EXPLORED = 1;
+const FOG_VISIBLE = 2;
+
+
+// --- Grid ---
+
+/** Creates fully unexplored vision grids covering the world for the given factions. */
+function resetFogOfWar(worldWidth, worldHeight, factionKeys) {
+    const cols = Math.max(1, Math.ceil(worldWidth / FOG_CELL_SIZE));
+    const rows = Math.max(1, Math.ceil(worldHeight / FOG_CELL_SIZE));
+    fogGrid = { cols, rows };
+    factionVision = {};
+    factionKeys.forEach(factionKey => {
+        factionVision[factionKey] = {
+            visible: new Uint8Array(cols * rows),
+            explored: new Uint8Array(cols * rows),
+            lastSeenBuildings: {} // building id -> snapshot (see createBuildingSnapshot)
+        };
+    });
+}
+
+function fogCellCoord(value, cellCount) {
+    return Math.max(0, Math.min(cellCount - 1, Math.floor(value / FOG_CELL_SIZE)));
+}
+
+/** Fog state of a cell (FOG_UNEXPLORED, FOG_EXPLORED or FOG_VISIBLE) for a faction's vision. */
+function getFogCellState(vision, index) {
+    if (vision.visible[index]) return FOG_VISIBLE;
+    return vision.explored[index] ? FOG_EXPLORED : FOG_UNEXPLORED;
+}
+
+/** Marks every cell whose center lies within radius of a point as visible and explored. */
+function revealFogCircle(vision, x, y, radius) {
+    const radiusSq = radius * radius;
+    const cyMax = fogCellCoord(y + radius, fogGrid.rows), cxMin = fogCellCoord(x - radius, fogGrid.cols), cxMax = fogCellCoord(x + radius, fogGrid.cols);
+    for (let cy = fogCellCoord(y - radius, fogGrid.rows); cy <= cyMax; cy++) {
+        const dy = cy * FOG_CELL_SIZE + FOG_CELL_SIZE / 2 - y;
+        for (let cx = cxMin; cx <= cxMax; cx++) {
+            const dx = cx * FOG_CELL_SIZE + FOG_CELL_SIZE / 2 - x;
+            if (dx * dx + dy * dy > radiusSq) continue;
+            const index = cy * fogGrid.cols + cx;
+            vision.visible[index] = 1;
+            vision.explored[index] = 1;
+        }
+    }
+}
+
+/** True if any cell a box overlaps is visible in a faction's vision. */
+function isFogBoxVisible(vision, box) {
+    for (let cy = fogCellCoord(box.yMin, fogGrid.rows); cy <= fogCellCoord(box.yMax, fogGrid.rows); cy++) {
+        for (let cx = fogCellCoord(box.xMin, fogGrid.cols); cx <= fogCellCoord(box.xMax, fogGrid.cols); cx++) {
+            if (vision.visible[cy * fogGrid.cols + cx]) return true;
+        }
+    }
+    return false;
+}
+
+
+// --- Vision Updates ---
+
+/**
+ * Recomputes every faction's visible cells from its units' and buildings' sight ranges,
+ * adds them to the explored cells and refreshes the last-seen snapshots of enemy buildings.
+ * Called every FOG_UPDATE_INTERVAL_TICKS ticks by stepSimulation and once when a match starts.
+ */
+function updateFogOfWar() {
+    if (!fogGrid) return;
+    Object.entries(factionVision).forEach(([factionKey, vision]) => {
+        vision.visible.fill(0);
+        units.forEach(unit => {
+            if (unit.faction === factionKey && unit.hp > 0) revealFogCircle(vision, unit.worldX, unit.worldY, unit.sightRange);
+        });
+        buildings.forEach(b => {
+            if (b.faction === factionKey && b.hp > 0) revealFogCircle(vision, b.box.centerX, b.box.centerY, b.sightRange);
+        });
+
+        buildings.forEach(b => {
+            if (b.faction !== factionKey && b.hp > 0 && isFogBoxVisible(vision, b.box)) {
+                vision.lastSeenBuildings[b.id] = createBuildingSnapshot(b);
+            }
+        });
+        // Forget remembered buildings whose spot is in sight and that are no longer there
+        Object.values(vision.lastSeenBuildings).forEach(snapshot => {
+            if (isFogBoxVisible(vision, snapshot.box) && !isLastSeenBuildingStanding(snapshot)) {
+                delete vision.lastSeenBuildings[snapshot.id];
+            }
+        });
+    });
+}
+
+/** What a faction remembers about an enemy building: enough to draw it and to attack its spot. */
+function createBuildingSnapshot(buildingData) {
+    return {
+        id: buildingData.id,
+        buildingType: buildingData.buildingType,
+        emoji: buildingData.emoji,
+        faction: buildingData.faction,
+        box: { ...buildingData.box },
+        isBase: buildingData.isBase || false,
+        isConstructing: buildingData.isConstructing,
+        hp: buildingData.hp, maxHp: buildingData.maxHp,
+        buildTime: buildingData.buildTime || 0, progress: buildingData.progress || 0
+    };
+}
+
+/** Whether the building a snapshot was taken of still exists (a finished site keeps its id). */
+function isLastSeenBuildingStanding(snapshot) {
+    const buildingData = findEntityById(snapshot.id);
+    return !!(buildingData && buildingData.buildingType && buildingData.hp > 0);
+}
+
+
+// --- Queries ---
+
+/** True if a world point is in sight of a faction. Everything is visible without a vision grid. */
+function isPointVisibleTo(factionKey, x, y) {
+    const vision = factionVision[factionKey];
+    if (!fogGrid || !vision) return true;
+    return vision.visible[fogCellCoord(y, fogGrid.rows) * fogGrid.cols + fogCellCoord(x, fogGrid.cols)] === 1;
+}
+
+/** True if a faction can see an entity: always for its own, otherwise if it is in sight. */
+function isEntityVisibleTo(factionKey, entity) {
+    if (entity.faction === factionKey) return true;
+    if (entity.unitType) return isPointVisibleTo(factionKey, entity.worldX, entity.worldY);
+    const vision = factionVision[factionKey];
+    if (!fogGrid || !vision) return true;
+    return isFogBoxVisible(vision, entity.box);
+}
+
+/** The enemy buildings a faction remembers, as last-seen snapshots. */
+function getLastSeenBuildings(factionKey) {
+    const vision = factionVision[factionKey];
+    return vision ? Object.values(vision.lastSeenBuildings) : [];
+}
+
+/**
+ * The unexplored cell center farthest from a point, where an army sent to find the enemy
+ * should look next. Null once the whole map has been explored.
+ */
+function findFarthestUnexploredPoint(factionKey, fromX, fromY) {
+    const vision = factionVision[factionKey];
+    if (!fogGrid || !vision) return null;
+    let best = null, bestDistSq = -1;
+    for (let index = 0; index < vision.explored.length; index++) {
+        if (vision.explored[index]) continue;
+        const x = (index % fogGrid.cols) * FOG_CELL_SIZE + FOG_CELL_SIZE / 2;
+        const y = Math.floor(index / fogGrid.cols) * FOG_CELL_SIZE + FOG_CELL_SIZE / 2;
+        const distSq = (x - fromX) ** 2 + (y - fromY) ** 2;
+        if (distSq > bestDistSq) { best = { x, y }; bestDistSq = distSq; }
+    }
+    return best;
+}
+
+
+// --- Saving ---
+
+/**
+ * Visible and explored cells (as '0'/'1' strings) and remembered buildings per faction.
+ * Visible cells are saved rather than recomputed, since they only refresh every few ticks.
+ */
+function serializeFogOfWar() {
+    return Object.fromEntries(Object.entries(factionVision).map(([factionKey, vision]) => [factionKey, {
+        visible: Array.from(vision.visible).join(''),
+        explored: Array.from(vision.explored).join(''),
+        lastSeenBuildings: JSON.parse(JSON.stringify(vision.lastSeenBuildings))
+    }]));
+}
+
+/** Restores what serializeFogOfWar saved onto freshly reset vision grids. */
+function restoreFogOfWar(saved) {
+    Object.entries(saved || {}).forEach(([factionKey, savedVision]) => {
+        const vision = factionVision[factionKey];
+        if (!vision) return;
+        for (let index = 0; index < vision.explored.length && index < savedVision.explored.length; index++) {
+            vision.visible[index] = savedVision.visible[index] === '1' ? 1 : 0;
+            vision.explored[index] = savedVision.explored[index] === '1' ? 1 : 0;
+        }
+        vision.lastSeenBuildings = JSON.parse(JSON.stringify(savedVision.lastSeenBuildings || {}));
+    });
+}
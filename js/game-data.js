@@ -16,20 +16,72 @@ const STARTING_FOOD_CAP = 4;
 const MINE_HEALTH_INIT = 30;
 const TREE_HARVEST_TIME = 5000; 
 const MINE_HARVEST_TIME = 7000;
+const MINE_DEPLETION_DELAY = 500;   // Time a depleted mine stays on the map (fading out) before removal
 const UNIT_SPEED = 2.8; 
+const UNIT_SIZE = 36;           // Units are simulated as UNIT_SIZE x UNIT_SIZE squares centered on worldX/worldY
 const COLLISION_PADDING = 5;
+const UNIT_SPACING = UNIT_SIZE + COLLISION_PADDING; // Center distance at which two units stop overlapping
 const FARM_GRID_DIM = 4; 
 const FARM_TILE_SIZE = 45; 
 const FARM_TOTAL_SIZE = FARM_GRID_DIM * FARM_TILE_SIZE; 
 const BASE_OFFSET_X = 400; 
 const BASE_OFFSET_Y = 400;
 const ATTACK_RANGE_TOLERANCE = 10; 
+const PROJECTILE_HIT_TOLERANCE = 12;  // How far a target may be from where a projectile lands and still be hit
+const MIN_ATTACK_DAMAGE = 1;          // Every hit does at least this much, however well armored the target
+const MAX_BUILDING_SIZE = 180;      // Longest side of any building; bounds searches that measure to building centers
 const WORKER_RETREAT_HP_PERCENT = 0.5;
+const MAX_BUILDERS_PER_SITE = 6;      // Workers that can build one construction site together
+const BUILDER_EFFICIENCY_EXPONENT = 0.6; // n builders build n ** this times as fast as one, so each extra builder adds less
+const REPAIR_HP_PER_SECOND = 15;      // HP one repairing worker restores per second; several workers add up
+const REPAIR_HP_PER_PAYMENT = 25;     // Repairs are paid for in steps of this much HP...
+const REPAIR_COST_PER_PAYMENT = { wood: 1, coal: 1 }; // ...so the cost grows with the HP a building is missing
 const AI_UPDATE_INTERVAL = 30; 
 const AI_TARGET_WORKERS = 5;
 const AI_TARGET_SOLDIERS = 7; 
 const AI_TARGET_ARCHERS = 4; 
 const AI_TARGET_GUARD_TOWERS = 2;
+const AI_REPAIR_HP_PERCENT = 0.75;    // The AI repairs its base and towers once they drop below this share of their HP
+const AI_MAX_REPAIRERS = 2;           // Workers the AI sends to repair one building
+const AI_PRODUCTION_QUEUE_DEPTH = 2;  // Units the AI keeps queued per training building
+const AI_RESEARCH_RESERVE = { wood: 40, coal: 30 }; // Resources the AI keeps back for its army when it starts a research
+const PRODUCTION_QUEUE_SIZE = 5;       // Units a building can have queued, including the one in training
+const FACTION_MECHANICS_PULSE_MS = 1000; // Game time between pulses of the factions' mechanics (healing, regeneration)
+const SIM_TICK_MS = 1000 / 60;       // Fixed simulation step; every tick advances game time by exactly this much
+const MAX_SIM_TICKS_PER_FRAME = 5;   // Caps catch-up after a stalled frame so the sim can't spiral (per 1x of game speed)
+const GAME_SPEED_OPTIONS = [0, 0.5, 1, 2, 4, 8]; // Selectable game speeds; 0 is paused
+const SPATIAL_CELL_SIZE = 200;       // Cell size (world px) of the uniform grids used for proximity queries
+const NAV_CELL_SIZE = 40;            // Cell size (world px) of the pathfinding grid
+const NAV_OBSTACLE_MARGIN = UNIT_SIZE / 2; // Obstacles block this far past their box so units walk around, not through, them
+const NAV_MAX_SEARCHES_PER_TICK = 4; // A* searches allowed per tick; units beyond that keep their old path, or wait a tick without one
+const NAV_MAX_EXPANSIONS = 6000;     // Cells one A* search may expand before the goal is treated as unreachable
+const NAV_MAX_GOAL_REGION_CELLS = 400; // Cap on the flood fill that finds the obstacle around a blocked goal
+const NAV_REPATH_DISTANCE = 40;      // A moving target must drift this far from a path's goal before it is re-planned
+const FOG_CELL_SIZE = 50;            // Cell size (world px) of the fog of war grid
+const FOG_UPDATE_INTERVAL_TICKS = 6; // Vision is recomputed every this many ticks (10 times per game second)
+const MINIMAP_WIDTH = 220;           // Minimap width in screen px; its height follows the world's aspect ratio
+const MINIMAP_PING_DURATION_MS = 2000; // How long a combat ping flashes on the minimap
+const MINIMAP_PING_MERGE_RADIUS = 300; // Hits within this many world px of a live ping refresh it instead of adding one
+
+// Footprint of each resource node type, in world pixels.
+const RESOURCE_NODE_SIZES = {
+    mine: { w: 140, h: 140 },
+    tree: { w: 100, h: 100 }
+};
+
+// Minimap colours of resource node types (units and buildings use their faction's color).
+const MINIMAP_RESOURCE_COLORS = {
+    tree: '#2f6b2f',
+    mine: '#8c8c8c'
+};
+
+// Damage multiplier for each attacker damageType against each target armorClass.
+// A hit does round(attackDamage * multiplier) - armor, but never less than MIN_ATTACK_DAMAGE.
+const DAMAGE_TYPE_MULTIPLIERS = {
+    melee: { light: 1, heavy: 1, structure: 0.75 },
+    pierce: { light: 1.25, heavy: 1, structure: 0.25 },
+    siege: { light: 0.5, heavy: 0.5, structure: 2 }
+};
 
 // --- Game Action Icons ---
 // Defines icons for specific game actions, reusing from RTS_MENU_ICONS.
@@ -37,58 +89,108 @@ const AI_TARGET_GUARD_TOWERS = 2;
 const GAME_ACTION_ICONS = {
     BUILD_FARM: RTS_MENU_ICONS.ADD, 
     BUILD_BARRACKS: RTS_MENU_ICONS.ADD, 
-    BUILD_ARCHERY: RTS_MENU_ICONS.ADD, 
-    BUILD_TOWER: RTS_MENU_ICONS.ADD,
+    BUILD_ARCHER_TRAINER: RTS_MENU_ICONS.ADD, 
+    BUILD_GUARD_TOWER: RTS_MENU_ICONS.ADD,
+    BUILD_BLACKSMITH: RTS_MENU_ICONS.ADD,
     TRAIN_WORKER: RTS_MENU_ICONS.ACTION, 
     TRAIN_SOLDIER: RTS_MENU_ICONS.ACTION, 
     TRAIN_ARCHER: RTS_MENU_ICONS.ACTION,
     MOVE: RTS_MENU_ICONS.CMD, 
+    STOP: RTS_MENU_ICONS.QUIT,
+    HOLD_POSITION: RTS_MENU_ICONS.INFO,
+    PATROL: RTS_MENU_ICONS.CMD,
+    ATTACK_MOVE: RTS_MENU_ICONS.ALERT,
     ATTACK: RTS_MENU_ICONS.ALERT, 
     HARVEST: RTS_MENU_ICONS.TOOL,
     RETURN_RESOURCE: RTS_MENU_ICONS.LOAD,
-    ASSIST_BUILD: RTS_MENU_ICONS.SETTINGS
+    ASSIST_BUILD: RTS_MENU_ICONS.SETTINGS,
+    REPAIR: RTS_MENU_ICONS.TOOL,
+    RESEARCH: RTS_MENU_ICONS.SETTINGS
 };
 
 // --- FACTION_DATA Definition ---
+// Units, buildings and upgrades: `requires` lists upgrade keys and building types the faction must
+// have first (a finished, standing building). Locked entries show on the command card with what is missing.
+// Mechanics: the faction's own rules, each keyed by an entry of FACTION_MECHANICS (game-logic.js)
+// and holding that mechanic's settings.
+// Upgrades: each effect changes one stat on every unit or building matched by `appliesTo` (kind 'unit' or
+// 'building', or any entity field such as unitType or damageType): `add` adds to it, `multiply`
+// scales it. Raising maxHp heals by the same amount; sites under construction keep their share of HP instead.
+// Entities created later get completed upgrades too.
 const FACTION_DATA = { 
     human: { 
         name: "Humans", 
-        emojis: { base: '🏰', worker: ['👩‍🌾', '👨‍🌾'], soldier: ['💂‍♀️🗡️', '💂‍♂️🗡️'], archer: ['🧝‍♀️🏹', '🧝‍♂️🏹'], farm: '🌾', barracks: '⛺', archer_trainer: '🏭', guard_tower: '🗼', tree: '🌳', mine: '⛰️', resource_wood: '🪵', resource_coal: '⛏️' },
+        color: '#61afef',
+        // Bases and barracks tend to wounded units nearby
+        mechanics: {
+            healingBuildings: { buildingTypes: ['base', 'barracks'], radius: 220, hpPerPulse: 2 }
+        },
+        emojis: { base: '🏰', worker: ['👩‍🌾', '👨‍🌾'], soldier: ['💂‍♀️🗡️', '💂‍♂️🗡️'], archer: ['🧝‍♀️🏹', '🧝‍♂️🏹'], farm: '🌾', barracks: '⛺', archer_trainer: '🏭', guard_tower: '🗼', blacksmith: '⚒️', tree: '🌳', mine: '⛰️', resource_wood: '🪵', resource_coal: '⛏️' },
         units: {
-            worker: { cost: { wood: 5, coal: 2 }, foodCost: 1, hp: 50, type: 'worker', canBuild: true, trainTime: 8000, hotkey: 'w' },
-            soldier: { cost: { wood: 10, coal: 5 }, foodCost: 2, hp: 100, type: 'soldier', trainTime: 12000, trainedAt: 'barracks', attackRange: 30, attackDamage: 10, attackSpeed: 1000, hotkey: 's' },
-            archer: { cost: { wood: 12, coal: 8 }, foodCost: 2, hp: 70, type: 'archer', trainTime: 15000, trainedAt: 'archer_trainer', attackRange: 150, attackDamage: 8, attackSpeed: 1200, hotkey: 'r' }
+            worker: { name: "Worker", cost: { wood: 5, coal: 2 }, foodCost: 1, hp: 50, sightRange: 200, armor: 0, armorClass: 'light', type: 'worker', canBuild: true, trainTime: 8000, requires: [], hotkey: 'e' },
+            soldier: { name: "Soldier", cost: { wood: 10, coal: 5 }, foodCost: 2, hp: 100, sightRange: 260, armor: 2, armorClass: 'heavy', type: 'soldier', trainTime: 12000, trainedAt: 'barracks', attackRange: 30, attackDamage: 10, damageType: 'melee', attackSpeed: 1000, acquisitionRadius: 220, requires: [], hotkey: 'q' },
+            archer: { name: "Archer", cost: { wood: 12, coal: 8 }, foodCost: 2, hp: 70, sightRange: 300, armor: 0, armorClass: 'light', type: 'archer', trainTime: 15000, trainedAt: 'archer_trainer', attackRange: 150, attackDamage: 8, damageType: 'pierce', attackSpeed: 1200, acquisitionRadius: 240, projectile: { kind: 'arrow', speed: 9 }, requires: ['barracks'], hotkey: 'r' }
         },
         buildings: {
-            base: { cost: {}, size: { w: 180, h: 180 }, hp: 1500, buildTime: 1, provides_food: STARTING_FOOD_CAP, isBase: true, trains: 'worker' },
-            farm: { cost: { wood: 7, coal: 0 }, size: { w: FARM_TOTAL_SIZE, h: FARM_TOTAL_SIZE }, hp: 200, buildTime: 15000, provides_food: 4, hotkey: 'f'},
-            barracks: { cost: { wood: 7, coal: 5 }, size: { w: 140, h: 140 }, hp: 800, buildTime: 25000, trains: 'soldier', hotkey: 'x' },
-            archer_trainer: { cost: { wood: 15, coal: 10 }, size: { w: 130, h: 130 }, hp: 700, buildTime: 30000, trains: 'archer', hotkey: 'c' },
-            guard_tower: { cost: { wood: 20, coal: 15 }, size: { w: 80, h: 100 }, hp: 500, buildTime: 35000, attackRange: 200, attackDamage: 12, attackSpeed: 1800, hotkey: 'v' }
+            base: { name: "Base", cost: {}, size: { w: 180, h: 180 }, hp: 1500, sightRange: 450, armor: 3, armorClass: 'structure', buildTime: 1, provides_food: STARTING_FOOD_CAP, isBase: true, trains: 'worker', requires: [] },
+            farm: { name: "Farm", cost: { wood: 7, coal: 0 }, size: { w: FARM_TOTAL_SIZE, h: FARM_TOTAL_SIZE }, hp: 200, sightRange: 180, armor: 1, armorClass: 'structure', buildTime: 15000, provides_food: 4, requires: [], hotkey: 'f'},
+            barracks: { name: "Barracks", cost: { wood: 7, coal: 5 }, size: { w: 140, h: 140 }, hp: 800, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 25000, trains: 'soldier', requires: [], hotkey: 'x' },
+            archer_trainer: { name: "Archery Range", cost: { wood: 15, coal: 10 }, size: { w: 130, h: 130 }, hp: 700, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 30000, trains: 'archer', requires: ['barracks'], hotkey: 'c' },
+            guard_tower: { name: "Guard Tower", cost: { wood: 20, coal: 15 }, size: { w: 80, h: 100 }, hp: 500, sightRange: 380, armor: 3, armorClass: 'structure', buildTime: 35000, attackRange: 200, attackDamage: 12, damageType: 'pierce', attackSpeed: 1800, projectile: { kind: 'bolt', speed: 12 }, requires: ['barracks'], hotkey: 'v' },
+            blacksmith: { name: "Blacksmith", cost: { wood: 20, coal: 15 }, size: { w: 130, h: 130 }, hp: 700, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 30000, researches: true, requires: ['barracks'], hotkey: 'k' }
+        },
+        // Researched at a building with `researches` (see the upgrade notes above)
+        upgrades: {
+            melee_weapons: { name: "Forged Blades", description: "+3 damage for melee units", cost: { wood: 40, coal: 40 }, researchTime: 30000, requires: [], hotkey: 'q',
+                effects: [{ appliesTo: { kind: 'unit', damageType: 'melee' }, stat: 'attackDamage', add: 3 }] },
+            archer_range: { name: "Longbows", description: "+30 range for archers", cost: { wood: 50, coal: 30 }, researchTime: 35000, requires: ['archer_trainer'], hotkey: 'e',
+                effects: [{ appliesTo: { unitType: 'archer' }, stat: 'attackRange', add: 30 }, { appliesTo: { unitType: 'archer' }, stat: 'acquisitionRadius', add: 30 }] },
+            worker_carry_speed: { name: "Handcarts", description: "Workers carry resources 25% faster", cost: { wood: 30, coal: 20 }, researchTime: 25000, requires: [], hotkey: 't',
+                effects: [{ appliesTo: { unitType: 'worker' }, stat: 'carrySpeed', multiply: 1.25 }] },
+            building_hp: { name: "Masonry", description: "+20% HP for all buildings", cost: { wood: 60, coal: 40 }, researchTime: 40000, requires: ['melee_weapons'], hotkey: 'h',
+                effects: [{ appliesTo: { kind: 'building' }, stat: 'maxHp', multiply: 1.2 }] }
         }
     },
     zombie: { 
         name: "Zombies", 
-        emojis: { base: '🏯', worker: ['🧟‍♀️', '🧟‍♂️'], soldier: '👹🪓', archer: ['🧟‍♀️🏹', '🧟‍♂️🏹'], farm: '🍖', barracks: '🕳️', archer_trainer: '🕋', guard_tower: '⛩', tree: '🌲', mine: '⛰️', resource_wood: '🪵', resource_coal: '⛏️' },
+        color: '#98c379',
+        // No farms: the base feeds a larger horde and every corpse on the field adds more. Units heal themselves.
+        mechanics: {
+            regeneration: { hpPerPulse: 1, delayAfterDamage: 5000 },
+            corpseFood: { foodPerCorpse: 2, maxFood: 30 }
+        },
+        emojis: { base: '🏯', worker: ['🧟‍♀️', '🧟‍♂️'], soldier: '👹🪓', archer: ['🧟‍♀️🏹', '🧟‍♂️🏹'], barracks: '🕳️', archer_trainer: '🕋', guard_tower: '⛩', blacksmith: '🦴', tree: '🌲', mine: '⛰️', resource_wood: '🪵', resource_coal: '⛏️' },
         units: { 
-            worker: { cost: { wood: 5, coal: 2 }, foodCost: 1, hp: 60, type: 'worker', canBuild: true, trainTime: 8000, hotkey: 'w' },
-            soldier: { cost: { wood: 10, coal: 5 }, foodCost: 2, hp: 120, type: 'soldier', trainTime: 12000, trainedAt: 'barracks', attackRange: 35, attackDamage: 12, attackSpeed: 1100, hotkey: 's' },
-            archer: { cost: { wood: 12, coal: 8 }, foodCost: 2, hp: 80, type: 'archer', trainTime: 15000, trainedAt: 'archer_trainer', attackRange: 140, attackDamage: 7, attackSpeed: 1300, hotkey: 'r' }
+            worker: { name: "Worker", cost: { wood: 5, coal: 2 }, foodCost: 1, hp: 60, sightRange: 200, armor: 0, armorClass: 'light', type: 'worker', canBuild: true, trainTime: 8000, requires: [], hotkey: 'e' },
+            soldier: { name: "Soldier", cost: { wood: 10, coal: 5 }, foodCost: 2, hp: 120, sightRange: 260, armor: 2, armorClass: 'heavy', type: 'soldier', trainTime: 12000, trainedAt: 'barracks', attackRange: 35, attackDamage: 12, damageType: 'melee', attackSpeed: 1100, acquisitionRadius: 220, requires: [], hotkey: 'q' },
+            archer: { name: "Archer", cost: { wood: 12, coal: 8 }, foodCost: 2, hp: 80, sightRange: 300, armor: 1, armorClass: 'light', type: 'archer', trainTime: 15000, trainedAt: 'archer_trainer', attackRange: 140, attackDamage: 7, damageType: 'pierce', attackSpeed: 1300, acquisitionRadius: 240, projectile: { kind: 'arrow', speed: 8.5 }, requires: ['barracks'], hotkey: 'r' }
         },
         buildings: {
-             base: { cost: {}, size: { w: 180, h: 180 }, hp: 1800, buildTime: 1, provides_food: STARTING_FOOD_CAP, isBase: true, trains: 'worker' },
-             farm: { cost: { wood: 7, coal: 0 }, size: { w: FARM_TOTAL_SIZE, h: FARM_TOTAL_SIZE }, hp: 250, buildTime: 15000, provides_food: 4, hotkey: 'f' },
-             barracks: { cost: { wood: 7, coal: 5 }, size: { w: 140, h: 140 }, hp: 900, buildTime: 25000, trains: 'soldier', hotkey: 'x' },
-             archer_trainer: { cost: { wood: 15, coal: 10 }, size: { w: 130, h: 130 }, hp: 800, buildTime: 30000, trains: 'archer', hotkey: 'c' },
-             guard_tower: { cost: { wood: 20, coal: 15 }, size: { w: 80, h: 100 }, hp: 600, buildTime: 35000, attackRange: 190, attackDamage: 14, attackSpeed: 1900, hotkey: 'v' }
+             base: { name: "Base", cost: {}, size: { w: 180, h: 180 }, hp: 1800, sightRange: 450, armor: 3, armorClass: 'structure', buildTime: 1, provides_food: 12, isBase: true, trains: 'worker', requires: [] },
+             barracks: { name: "Barracks", cost: { wood: 7, coal: 5 }, size: { w: 140, h: 140 }, hp: 900, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 25000, trains: 'soldier', requires: [], hotkey: 'x' },
+             archer_trainer: { name: "Archery Range", cost: { wood: 15, coal: 10 }, size: { w: 130, h: 130 }, hp: 800, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 30000, trains: 'archer', requires: ['barracks'], hotkey: 'c' },
+             guard_tower: { name: "Guard Tower", cost: { wood: 20, coal: 15 }, size: { w: 80, h: 100 }, hp: 600, sightRange: 380, armor: 3, armorClass: 'structure', buildTime: 35000, attackRange: 190, attackDamage: 14, damageType: 'pierce', attackSpeed: 1900, projectile: { kind: 'bolt', speed: 12 }, requires: ['barracks'], hotkey: 'v' },
+             blacksmith: { name: "Bone Pit", cost: { wood: 20, coal: 15 }, size: { w: 130, h: 130 }, hp: 800, sightRange: 260, armor: 2, armorClass: 'structure', buildTime: 30000, researches: true, requires: ['barracks'], hotkey: 'k' }
+         },
+         upgrades: {
+             melee_weapons: { name: "Sharpened Bones", description: "+3 damage for melee units", cost: { wood: 40, coal: 40 }, researchTime: 30000, requires: [], hotkey: 'q',
+                 effects: [{ appliesTo: { kind: 'unit', damageType: 'melee' }, stat: 'attackDamage', add: 3 }] },
+             archer_range: { name: "Sinew Bowstrings", description: "+25 range for archers", cost: { wood: 50, coal: 30 }, researchTime: 35000, requires: ['archer_trainer'], hotkey: 'e',
+                 effects: [{ appliesTo: { unitType: 'archer' }, stat: 'attackRange', add: 25 }, { appliesTo: { unitType: 'archer' }, stat: 'acquisitionRadius', add: 25 }] },
+             worker_carry_speed: { name: "Hunched Backs", description: "Workers carry resources 25% faster", cost: { wood: 30, coal: 20 }, researchTime: 25000, requires: [], hotkey: 't',
+                 effects: [{ appliesTo: { unitType: 'worker' }, stat: 'carrySpeed', multiply: 1.25 }] },
+             building_hp: { name: "Bone Plating", description: "+20% HP for all buildings", cost: { wood: 60, coal: 40 }, researchTime: 40000, requires: ['melee_weapons'], hotkey: 'h',
+                 effects: [{ appliesTo: { kind: 'building' }, stat: 'maxHp', multiply: 1.2 }] }
          }
     }
 };
 
 /**
  * Helper function to retrieve the correct emoji for a given type and faction.
+ * Some types have several variants; the simulation passes its seeded `randomFn`
+ * to pick one, while UI callers omit it and get the first variant.
  */
-function getEmojiForFaction(type, factionKey) {
+function getEmojiForFaction(type, factionKey, randomFn = null) {
     const faction = FACTION_DATA[factionKey];
     if (!faction || !faction.emojis || !faction.emojis[type]) {
         // Accessing global isDebugVisible (from game-state.js)
@@ -100,5 +202,6 @@ function getEmojiForFaction(type, factionKey) {
         return '?';
     }
     const emojiData = faction.emojis[type];
-    return Array.isArray(emojiData) ? emojiData[Math.floor(Math.random() * emojiData.length)] : emojiData;
+    if (!Array.isArray(emojiData)) return emojiData;
+    return randomFn ? emojiData[Math.floor(randomFn() * emojiData.length)] : emojiData[0];
 }
@@ -1,16 +1,161 @@
 // js/game-logic.js
 // Contains the core game simulation logic: entity creation/management,
 // AI behavior, combat resolution, resource gathering processes,
-// construction progress, and the main game loop.
+// construction progress, and the simulation step.
+// Nothing in this file touches the DOM: entities are plain data objects
+// that renderer.js mirrors into the page, so the rules also run under Node.
 
 "use strict";
 
 // Note: This file assumes that variables from 'game-data.js' (like FACTION_DATA, WORLD_WIDTH, UNIT_SPEED)
-// and 'game-state.js' (like units, buildings, p1Wood, selectedUnit) are globally accessible
-// due to script load order. It also assumes helper functions from 'main.js' (like updateHpBar,
-// placeElementInWorld, getElementWorldBoundingBox, etc.) are globally accessible.
+// and 'game-state.js' (like units, buildings, p1Wood, selectedUnits) are globally accessible
+// due to script load order. UI code learns about changes through the sim events below
+// (see onSimEvent) rather than being called directly.
 
 
+// --- Simulation Events ---
+// Listeners registered by the UI (main.js) or a headless harness. Keyed by event type.
+const simEventListeners = {};
+
+/**
+ * Registers a listener for a simulation event.
+ * Event types: 'resources_changed', 'unit_state_changed', 'entity_attacked',
+ * 'entity_destroyed', 'construction_completed', 'training_changed', 'player_message',
+ * 'game_over', 'game_speed_changed'.
+ * @param {string} type - The event type.
+ * @param {function} handler - Called with the event's detail object.
+ */
+function onSimEvent(type, handler) {
+    if (!simEventListeners[type]) simEventListeners[type] = [];
+    simEventListeners[type].push(handler);
+}
+
+/**
+ * Notifies all listeners of a simulation event.
+ * @param {string} type - The event type.
+ * @param {object} [detail] - Event-specific data.
+ */
+function emitSimEvent(type, detail = {}) {
+    const handlers = simEventListeners[type];
+    if (!handlers) return;
+    handlers.forEach(handler => {
+        try { handler(detail); }
+        catch (e) { console.error(`GAME_LOGIC: Error in '${type}' sim event handler:`, e); }
+    });
+}
+
+/**
+ * Recomputes food totals for both players and tells listeners that stockpiles changed.
+ */
+function notifyResourcesChanged() {
+    refreshFoodTotals();
+    emitSimEvent('resources_changed');
+}
+
+
+// --- Simulation Scheduler ---
+// Delayed effects run on game time, not wall-clock time: a task only comes due as
+// stepSimulation advances simulationTime, so it pauses, scales with game speed and,
+// being plain data ({ type, data }), can be serialized with the rest of the state.
+// Each task type maps to a handler below; data must only hold ids and primitives.
+const SIM_TASK_HANDLERS = {
+    harvest_complete: ({ unitId, resourceId }) => {
+        const unit = findEntityById(unitId);
+        if (!unit || !unit.unitType) return;
+        unit.harvestTimer = null;
+        handleHarvestComplete(unit, findResourceById(resourceId));
+    },
+    remove_resource: ({ resourceId }) => removeResource(resourceId)
+};
+
+/**
+ * Schedules a simulation task to run after delayMs of game time.
+ * @param {string} type - A key of SIM_TASK_HANDLERS.
+ * @param {number} delayMs - Delay in game-time milliseconds.
+ * @param {object} [data] - Serializable arguments passed to the handler.
+ * @returns {number} Task id, usable with cancelSimTask.
+ */
+function scheduleSimTask(type, delayMs, data = {}) {
+    if (!SIM_TASK_HANDLERS[type]) { console.error(`GAME_LOGIC: Unknown sim task type "${type}"`); return null; }
+    const task = { id: scheduledTaskIdCounter++, type: type, dueTime: simulationTime + delayMs, data: data };
+    scheduledTasks.push(task);
+    return task.id;
+}
+
+/** Cancels a scheduled simulation task. Unknown or already-run ids are ignored. */
+function cancelSimTask(taskId) {
+    if (taskId === null || taskId === undefined) return;
+    const index = scheduledTasks.findIndex(t => t.id === taskId);
+    if (index > -1) scheduledTasks.splice(index, 1);
+}
+
+/**
+ * Runs every task whose due time has been reached, in due-time then id order
+ * so the result is deterministic. Tasks scheduled while running wait for a later tick.
+ */
+function runDueSimTasks() {
+    const dueTasks = scheduledTasks.filter(t => t.dueTime <= simulationTime);
+    if (dueTasks.length === 0) return;
+    scheduledTasks = scheduledTasks.filter(t => t.dueTime > simulationTime);
+    dueTasks.sort((a, b) => (a.dueTime - b.dueTime) || (a.id - b.id));
+    dueTasks.forEach(task => {
+        try { SIM_TASK_HANDLERS[task.type](task.data); }
+        catch (e) { console.error(`GAME_LOGIC: Error running sim task "${task.type}":`, e); }
+    });
+}
+
+
+// --- Seeded Randomness ---
+// Every random decision in the simulation must go through simRandom so that a
+// match can be reproduced exactly from its seed. Never use Math.random in sim code.
+
+/**
+ * Seeds the simulation PRNG for a new match.
+ * @param {number} seed - Any integer; it is reduced to an unsigned 32-bit value.
+ */
+function seedSimRandom(seed) {
+    gameSeed = seed >>> 0;
+    rngState = gameSeed;
+}
+
+/**
+ * Returns the next deterministic pseudo-random number in [0, 1) (mulberry32).
+ */
+function simRandom() {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Picks a fresh seed for a game whose seed was not chosen by the player.
+ * This is the only place outside the UI that may use Math.random.
+ */
+function generateGameSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turns player-entered seed text into a numeric seed.
+ * Integers are used as-is; any other text is hashed (FNV-1a), blank text yields null.
+ */
+function parseGameSeed(text) {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed === '') return null;
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+
+// --- Geometry & Lookup Helpers ---
+
 /**
  * Calculates the squared distance between two points.
  * Avoids a square root operation if only comparing distances.
@@ -28,6 +173,310 @@ function distanceSq(pos1, pos2) {
     return dx * dx + dy * dy;
 }
 
+/**
+ * Builds a world-space bounding box from its top-left corner and size.
+ * @returns {object} { xMin, yMin, xMax, yMax, width, height, centerX, centerY }
+ */
+function makeBox(xMin, yMin, width, height) {
+    return {
+        xMin: xMin, yMin: yMin, xMax: xMin + width, yMax: yMin + height,
+        width: width, height: height, centerX: xMin + width / 2, centerY: yMin + height / 2
+    };
+}
+
+/** Axis-aligned bounding box overlap test, with optional padding around box2. */
+function checkAABBOverlap(box1, box2, padding = 0) {
+    if (!box1 || !box2 || box1.width === 0 || box2.width === 0) return false;
+    return (
+        box1.xMin < box2.xMax + padding &&
+        box1.xMax > box2.xMin - padding &&
+        box1.yMin < box2.yMax + padding &&
+        box1.yMax > box2.yMin - padding
+    );
+}
+
+/**
+ * Finds a unit, building, construction site or resource node by its id.
+ * @param {string} id - Entity id (e.g. 'unit-3', 'bldg-1', 'cons-0', 'res-tree-12').
+ * @returns {object|null} The entity, or null if it no longer exists.
+ */
+function findEntityById(id) {
+    if (!id) return null;
+    return entityById.get(id) || null;
+}
+
+/** Finds a living unit or building that can be attacked, by id. */
+function findAttackableById(id) {
+    const entity = findEntityById(id);
+    return entity && (entity.unitType || entity.buildingType) && entity.hp > 0 ? entity : null;
+}
+
+/** Finds an unfinished construction site by id. */
+function findConstructionById(id) {
+    const entity = findEntityById(id);
+    return entity && entity.buildingType && entity.isConstructing ? entity : null;
+}
+
+/** Finds a resource node by id. */
+function findResourceById(id) {
+    const entity = findEntityById(id);
+    return entity && !entity.unitType && !entity.buildingType ? entity : null;
+}
+
+/** Returns the world bounding box of any entity. Units are UNIT_SIZE squares around their position. */
+function getEntityBox(entity) {
+    if (!entity) return makeBox(0, 0, 0, 0);
+    if (entity.unitType) return makeBox(entity.worldX - UNIT_SIZE / 2, entity.worldY - UNIT_SIZE / 2, UNIT_SIZE, UNIT_SIZE);
+    return entity.box;
+}
+
+/** Returns the world-space center {x, y} of any entity. */
+function getEntityCenter(entity) {
+    const box = getEntityBox(entity);
+    return { x: box.centerX, y: box.centerY };
+}
+
+// --- Spatial Index ---
+// Uniform grids of SPATIAL_CELL_SIZE cells (one per entity kind) plus an id -> entity map,
+// so lookups and proximity queries don't scan every entity. Units are bucketed by their
+// position and re-bucketed as they move; buildings and resources by every cell their
+// box overlaps. Query results never depend on bucket order: ties are broken by creation
+// order (entity id), which is also the array order the simulation iterates in.
+const SPATIAL_KEY_STRIDE = 65536; // Cell keys are cy * stride + cx
+
+function spatialCellCoord(value) {
+    return Math.max(0, Math.floor(value / SPATIAL_CELL_SIZE));
+}
+
+function unitCellKey(unit) {
+    return spatialCellCoord(unit.worldY) * SPATIAL_KEY_STRIDE + spatialCellCoord(unit.worldX);
+}
+
+/** Calls fn(key) for every grid cell overlapped by a box grown by padding on each side. */
+function forEachCellKeyInBox(box, padding, fn) {
+    const cxMin = spatialCellCoord(box.xMin - padding), cxMax = spatialCellCoord(box.xMax + padding);
+    const cyMin = spatialCellCoord(box.yMin - padding), cyMax = spatialCellCoord(box.yMax + padding);
+    for (let cy = cyMin; cy <= cyMax; cy++) {
+        for (let cx = cxMin; cx <= cxMax; cx++) fn(cy * SPATIAL_KEY_STRIDE + cx);
+    }
+}
+
+function addToGridCell(grid, key, entity) {
+    let cell = grid.get(key);
+    if (!cell) { cell = new Set(); grid.set(key, cell); }
+    cell.add(entity);
+}
+
+function removeFromGridCell(grid, key, entity) {
+    const cell = grid.get(key);
+    if (!cell) return;
+    cell.delete(entity);
+    if (cell.size === 0) grid.delete(key);
+}
+
+/** Adds a new unit, building, construction site or resource node to the lookup map and its grid. */
+function registerEntity(entity) {
+    entityById.set(entity.id, entity);
+    if (entity.unitType) {
+        const key = unitCellKey(entity);
+        unitCellKeys.set(entity, key);
+        addToGridCell(unitGrid, key, entity);
+        syncResourceClaim(entity);
+    } else {
+        const grid = entity.buildingType ? buildingGrid : resourceGrid;
+        forEachCellKeyInBox(entity.box, 0, key => addToGridCell(grid, key, entity));
+        markNavObstacle(entity.box, 1);
+    }
+}
+
+/** Removes an entity that left the game from the lookup map and its grid. */
+function unregisterEntity(entity) {
+    const wasRegistered = entityById.get(entity.id) === entity;
+    if (wasRegistered) entityById.delete(entity.id);
+    if (entity.unitType) {
+        const key = unitCellKeys.get(entity);
+        if (key !== undefined) removeFromGridCell(unitGrid, key, entity);
+        unitCellKeys.delete(entity);
+        releaseResourceClaim(entity);
+    } else {
+        const grid = entity.buildingType ? buildingGrid : resourceGrid;
+        forEachCellKeyInBox(entity.box, 0, key => removeFromGridCell(grid, key, entity));
+        if (wasRegistered) markNavObstacle(entity.box, -1);
+    }
+}
+
+/** Moves a unit to the right grid cell after its position changed. */
+function updateUnitSpatialCell(unit) {
+    const key = unitCellKey(unit);
+    const oldKey = unitCellKeys.get(unit);
+    if (key === oldKey) return;
+    if (oldKey !== undefined) removeFromGridCell(unitGrid, oldKey, unit);
+    addToGridCell(unitGrid, key, unit);
+    unitCellKeys.set(unit, key);
+}
+
+/** Recreates every index (and the navigation grid) from the entity arrays, e.g. after loading a save. */
+function rebuildSpatialIndex() {
+    [entityById, unitGrid, buildingGrid, resourceGrid, unitCellKeys, resourceClaims, claimedResourceByUnit].forEach(index => index.clear());
+    resetNavGrid(currentWorldWidth, currentWorldHeight);
+    units.forEach(registerEntity);
+    buildings.forEach(registerEntity);
+    resources.forEach(registerEntity);
+}
+
+/** Gives an entity a new id (a completed building keeps its construction site's id). */
+function reassignEntityId(entity, newId) {
+    unregisterEntity(entity);
+    entity.id = newId;
+    registerEntity(entity);
+}
+
+// Resource claims: which units are heading to or harvesting each resource node, kept in
+// step with unit.state/unit.targetId so findNearestResource can skip claimed mines.
+function releaseResourceClaim(unit) {
+    const claimedId = claimedResourceByUnit.get(unit);
+    if (claimedId === undefined) return;
+    const claimants = resourceClaims.get(claimedId);
+    if (claimants) {
+        claimants.delete(unit);
+        if (claimants.size === 0) resourceClaims.delete(claimedId);
+    }
+    claimedResourceByUnit.delete(unit);
+}
+
+/** Updates the resource claim index after a unit's state or targetId changed. */
+function syncResourceClaim(unit) {
+    const claimsId = (unit.state === 'moving_to_resource' || unit.state === 'harvesting') && unit.hp > 0 ? unit.targetId : null;
+    if (claimedResourceByUnit.get(unit) === (claimsId ?? undefined)) return;
+    releaseResourceClaim(unit);
+    if (!claimsId) return;
+    let claimants = resourceClaims.get(claimsId);
+    if (!claimants) { claimants = new Set(); resourceClaims.set(claimsId, claimants); }
+    claimants.add(unit);
+    claimedResourceByUnit.set(unit, claimsId);
+}
+
+/** True if a unit of `factionKey` other than `exceptUnit` is heading to or harvesting the resource. */
+function isResourceClaimedByFaction(resourceId, factionKey, exceptUnit = null) {
+    const claimants = resourceClaims.get(resourceId);
+    if (!claimants) return false;
+    for (const claimant of claimants) {
+        if (claimant !== exceptUnit && claimant.faction === factionKey) return true;
+    }
+    return false;
+}
+
+/** Orders entities of one kind by creation: 'unit-3' before 'unit-12'. */
+function compareEntityIds(a, b) {
+    const aSplit = a.id.lastIndexOf('-'), bSplit = b.id.lastIndexOf('-');
+    const aPrefix = a.id.slice(0, aSplit), bPrefix = b.id.slice(0, bSplit);
+    if (aPrefix !== bPrefix) return aPrefix < bPrefix ? -1 : 1;
+    return Number(a.id.slice(aSplit + 1)) - Number(b.id.slice(bSplit + 1));
+}
+
+/**
+ * Returns the entities of a grid whose cells overlap a box grown by padding, in creation order.
+ * This is a broad phase: callers still run their exact overlap or distance test.
+ */
+function queryGridInBox(grid, box, padding = 0) {
+    const found = new Set();
+    forEachCellKeyInBox(box, padding, key => {
+        const cell = grid.get(key);
+        if (cell) cell.forEach(entity => found.add(entity));
+    });
+    return [...found].sort(compareEntityIds);
+}
+
+/** Returns living units within radius of (x, y), in creation order. */
+function queryUnitsInRadius(x, y, radius) {
+    const radiusSq = radius * radius;
+    return queryGridInBox(unitGrid, makeBox(x - radius, y - radius, radius * 2, radius * 2))
+        .filter(u => u.hp > 0 && distanceSq({ x, y }, { x: u.worldX, y: u.worldY }) <= radiusSq);
+}
+
+/**
+ * Finds the entity nearest to (x, y) that passes `accept`, searching the grid outward
+ * ring by ring so distant cells are only visited when nothing closer qualifies.
+ * Ties go to the entity created first, matching a linear scan with a strict `<`.
+ * @param {Map} grid - unitGrid, buildingGrid or resourceGrid.
+ * @param {function} getPos - Returns the {x, y} distances are measured to; it must lie in
+ *                            a cell the entity is bucketed in (unit position, box center).
+ * @param {function} accept - Filter for candidate entities.
+ * @param {number} [maxDistance] - Only entities strictly closer than this are considered.
+ * @returns {object|null}
+ */
+function findNearestInGrid(grid, x, y, getPos, accept, maxDistance = Infinity) {
+    const originCx = spatialCellCoord(x), originCy = spatialCellCoord(y);
+    const lastRing = Math.ceil(Math.max(currentWorldWidth, currentWorldHeight, x, y) / SPATIAL_CELL_SIZE) + 1;
+    const visited = new Set();
+    let nearest = null;
+    let nearestDistSq = maxDistance * maxDistance;
+
+    const considerCell = (cx, cy) => {
+        if (cx < 0 || cy < 0) return;
+        const cell = grid.get(cy * SPATIAL_KEY_STRIDE + cx);
+        if (!cell) return;
+        cell.forEach(entity => {
+            if (visited.has(entity)) return;
+            visited.add(entity);
+            if (!accept(entity)) return;
+            const distSq = distanceSq({ x, y }, getPos(entity));
+            if (distSq < nearestDistSq || (distSq === nearestDistSq && nearest && compareEntityIds(entity, nearest) < 0)) {
+                nearestDistSq = distSq;
+                nearest = entity;
+            }
+        });
+    };
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+        // Anything not yet visited lies at least (ring - 1) cells away
+        const minUnvisitedDist = Math.max(0, ring - 1) * SPATIAL_CELL_SIZE;
+        if (minUnvisitedDist * minUnvisitedDist > nearestDistSq) break;
+        if (ring === 0) { considerCell(originCx, originCy); continue; }
+        for (let d = -ring; d <= ring; d++) {
+            considerCell(originCx + d, originCy - ring);
+            considerCell(originCx + d, originCy + ring);
+            if (d > -ring && d < ring) {
+                considerCell(originCx - ring, originCy + d);
+                considerCell(originCx + ring, originCy + d);
+            }
+        }
+    }
+    return nearest;
+}
+
+// --- Food Helpers ---
+
+/** Calculates current food used by a faction. */
+function calculateCurrentFood(factionKeyToCalc) {
+    if (!FACTION_DATA[factionKeyToCalc] || !FACTION_DATA[factionKeyToCalc].units) return 0;
+    return units.reduce((sum, u) => sum + (u.faction === factionKeyToCalc ? (FACTION_DATA[factionKeyToCalc].units[u.unitType]?.foodCost || 0) : 0), 0);
+}
+
+/** Calculates total food capacity for a faction: its buildings' provides_food plus what its mechanics add (e.g. corpseFood). */
+function calculateFoodCapacity(factionKeyToCalc) {
+    let capacity = 0;
+    if (!FACTION_DATA[factionKeyToCalc] || !FACTION_DATA[factionKeyToCalc].buildings) return STARTING_FOOD_CAP;
+    buildings.forEach(b => {
+        if (b.faction === factionKeyToCalc && !b.isConstructing && b.hp > 0) {
+            const data = FACTION_DATA[factionKeyToCalc].buildings[b.buildingType];
+            if (data?.provides_food) {
+                capacity += data.provides_food;
+            }
+        }
+    });
+    runFactionMechanicHooks(factionKeyToCalc, 'foodCapacity').forEach(extraFood => { capacity += extraFood || 0; });
+    return Math.max(STARTING_FOOD_CAP, capacity);
+}
+
+/** Updates the cached p1/p2 food usage and capacity globals from the current entities. */
+function refreshFoodTotals() {
+    p1CurrentFood = calculateCurrentFood(p1FactionKey);
+    p1FoodCapacity = calculateFoodCapacity(p1FactionKey);
+    p2CurrentFood = calculateCurrentFood(p2FactionKey);
+    p2FoodCapacity = calculateFoodCapacity(p2FactionKey);
+}
+
 // --- Entity Creation & Management Functions ---
 
 /**
@@ -38,65 +487,52 @@ function distanceSq(pos1, pos2) {
  * @returns {object|null} The created unit object or null if creation failed.
  */
 function createUnit(unitType, spawnPos, factionKey) {
-    const unitFactionData = FACTION_DATA[factionKey]; 
+    const unitFactionData = FACTION_DATA[factionKey];
     if (!unitFactionData) { console.error(`GAME_LOGIC: No faction data for ${factionKey} in createUnit`); return null; }
     const unitStaticData = unitFactionData.units[unitType];
     if (!unitStaticData) { console.error(`GAME_LOGIC: No unit data for ${unitType} in faction ${factionKey}`); return null; }
 
-    const element = document.createElement('div');
-    element.classList.add('game-object', 'unit', unitType);
-    element.textContent = getEmojiForFaction(unitType, factionKey); 
-    
     const unit = {
-        id: `unit-${unitIdCounter++}`, 
+        id: `unit-${unitIdCounter++}`,
         faction: factionKey,
-        element: element,
         unitType: unitType,
+        emoji: getEmojiForFaction(unitType, factionKey, simRandom),
         worldX: spawnPos.x,
         worldY: spawnPos.y,
-        target: null, targetElement: null, state: 'idle',
-        resourceType: null, harvestTimer: null, indicatorElement: null,
+        target: null, targetId: null, state: 'idle',
+        resourceType: null, targetResourceType: null, harvestTimer: null, // harvestTimer holds a scheduled sim task id
         lastHarvestedNodeId: null, constructionId: null, ai_tasked: false,
         hp: unitStaticData.hp, maxHp: unitStaticData.hp,
+        hpRegen: 0, // HP the unit heals itself each mechanics pulse; set by faction mechanics (see FACTION_MECHANICS)
+        lastDamagedTime: null, // simulationTime of the last hit the unit took
+        sightRange: unitStaticData.sightRange || 0, // Radius the unit reveals through the fog of war
+        armor: unitStaticData.armor || 0, armorClass: unitStaticData.armorClass || 'light',
         foodCost: unitStaticData.foodCost,
         canBuild: unitStaticData.canBuild || false,
         attackRange: unitStaticData.attackRange || 0,
         attackDamage: unitStaticData.attackDamage || 0,
+        damageType: unitStaticData.damageType || 'melee', // Looked up against the target's armorClass in DAMAGE_TYPE_MULTIPLIERS
         attackSpeed: unitStaticData.attackSpeed || 1000,
+        acquisitionRadius: unitStaticData.acquisitionRadius || 0, // How close an enemy must come for the unit to fight it unordered
+        projectile: unitStaticData.projectile || null, // { kind, speed } for ranged units; see performAttack
         lastAttackTime: 0,
-        speed: UNIT_SPEED, 
-        hpContainer: null, hpInner: null,
-        progressBarContainer: null, progressBarInner: null,
+        speed: UNIT_SPEED,
+        carrySpeed: UNIT_SPEED, // Speed while taking resources back to the base
+        path: null, pathGoal: null, pathVersion: 0, // Waypoints planned by pathfinding.js for the current order
+        orderQueue: [], // Player commands to run after the current order (see issuePlayerOrder)
+        patrolOrigin: null, // While patrolling: the point the unit turns back to at the end of each leg
     };
+    runFactionMechanicHooks(factionKey, 'unitCreated', unit);
+    applyCompletedUpgrades(unit);
 
-    const indicator = document.createElement('div');
-    indicator.classList.add('carrying-indicator');
-    element.appendChild(indicator);
-    unit.indicatorElement = indicator;
-
-    const { hpContainer, hpInnerElem } = createHpBarElement(); 
-    element.appendChild(hpContainer);
-    unit.hpContainer = hpContainer;
-    unit.hpInner = hpInnerElem; 
-    updateHpBar(unit); 
-
-    gameWorld.appendChild(element); 
-    const unitSize = 36; 
-    placeElementInWorld(element, unit.worldX - unitSize / 2, unit.worldY - unitSize / 2); 
-    element.classList.add('idle'); 
-    element.dataset.unitId = unit.id;
-    element.dataset.faction = factionKey;
-    
-    if (gameMode === 'human_vs_ai' && factionKey === playerFactionKey) { 
-        element.addEventListener('click', (e) => { e.stopPropagation(); handleUnitClick(unit); }); 
-    }
-    
-    units.push(unit); 
+    units.push(unit);
+    registerEntity(unit);
     return unit;
 }
 
 /**
- * Creates a new building (or farm tiles) and adds it to the game.
+ * Creates a new completed building and adds it to the game.
+ * Farms are a single entity; the renderer draws them as a grid of tiles.
  */
 function createBuilding(buildingType, positionBox, factionKey, isBase = false, isConstructed = true) {
     const buildingFactionData = FACTION_DATA[factionKey];
@@ -104,152 +540,66 @@ function createBuilding(buildingType, positionBox, factionKey, isBase = false, i
     const buildingStaticData = buildingFactionData.buildings[buildingType];
     if (!buildingStaticData) { console.error(`GAME_LOGIC: No building data for ${buildingType} in ${factionKey}`); return null; }
 
-    const element = document.createElement('div');
-    const id = `bldg-${buildingIdCounter++}`;
-    element.id = id;
-    element.classList.add('game-object', 'building', buildingType);
-    element.textContent = getEmojiForFaction(buildingType, factionKey);
-    element.style.left = `${positionBox.xMin}px`;
-    element.style.top = `${positionBox.yMin}px`;
-    element.style.width = `${positionBox.width}px`;
-    element.style.height = `${positionBox.height}px`;
-
-    if (buildingType !== 'farm') { 
-        const tempStyleCheck = document.createElement('div');
-        tempStyleCheck.classList.add(buildingType); 
-        gameWorld.appendChild(tempStyleCheck); 
-        element.style.fontSize = window.getComputedStyle(tempStyleCheck).fontSize;
-        gameWorld.removeChild(tempStyleCheck);
-    }
-    
-    element.dataset.buildingId = id;
-    element.dataset.buildingType = buildingType;
-    element.dataset.faction = factionKey;
-
-    let pbContainer = null, pbInner = null;
-    if (buildingStaticData.trains) {
-        const { container, inner } = createProgressBarElement(); 
-        element.appendChild(container);
-        pbContainer = container;
-        pbInner = inner;
-        if (pbContainer) pbContainer.style.display = 'none';
-    }
-    const { hpContainer, hpInnerElem } = createHpBarElement(); 
-    element.appendChild(hpContainer);
-    
-    if (!(buildingType === 'farm' && isConstructed)) {
-        gameWorld.appendChild(element);
-    }
-
     const buildingData = {
-        id: id,
+        id: `bldg-${buildingIdCounter++}`,
         buildingType: buildingType,
-        element: (buildingType === 'farm' && isConstructed) ? null : element, 
-        box: (buildingType === 'farm' && isConstructed) ? positionBox : getElementWorldBoundingBox(element), 
-        isConstructing: !isConstructed, 
+        emoji: getEmojiForFaction(buildingType, factionKey, simRandom),
+        box: makeBox(positionBox.xMin, positionBox.yMin, positionBox.width, positionBox.height),
+        isConstructing: !isConstructed,
         isBase: isBase,
         faction: factionKey,
-        hp: buildingStaticData.hp, 
+        hp: buildingStaticData.hp,
         maxHp: buildingStaticData.hp,
-        hpContainer: (buildingType === 'farm' && isConstructed) ? null : hpContainer,
-        hpInner: (buildingType === 'farm' && isConstructed) ? null : hpInnerElem,
+        sightRange: buildingStaticData.sightRange || 0,
+        armor: buildingStaticData.armor || 0, armorClass: buildingStaticData.armorClass || 'structure',
         provides_food: buildingStaticData.provides_food || 0,
         isTraining: false, trainingProgress: 0, trainingTotalTime: 0, trainingUnitType: null,
-        progressBarContainer: pbContainer, progressBarInner: pbInner,
+        productionQueue: [], // Paid-for unit types; the first one is in training once isTraining is set
+        waitingForFood: false,
+        rallyPoint: null, // { x, y, targetId } where trained units are sent; see getRallyCommand
+        researchingUpgrade: null, researchProgress: 0, // Upgrade key being researched here (buildings with `researches`)
+        repairHpPaid: 0, // HP already paid for that repairing workers have yet to restore
         attackRange: buildingStaticData.attackRange || 0,
         attackDamage: buildingStaticData.attackDamage || 0,
+        damageType: buildingStaticData.damageType || 'melee',
         attackSpeed: buildingStaticData.attackSpeed || 0,
-        lastAttackTime: 0,
-        tileElements: [] 
+        projectile: buildingStaticData.projectile || null,
+        lastAttackTime: 0
     };
+    applyCompletedUpgrades(buildingData);
 
-    if (buildingType === 'farm' && isConstructed) {
-        if (element.parentNode === gameWorld) gameWorld.removeChild(element); 
-        for (let i = 0; i < FARM_GRID_DIM * FARM_GRID_DIM; i++) { 
-            const tile = document.createElement('div');
-            tile.classList.add('game-object', 'building', 'farm', 'farm-tile');
-            tile.textContent = getEmojiForFaction('farm', factionKey);
-            const dx = i % FARM_GRID_DIM;
-            const dy = Math.floor(i / FARM_GRID_DIM);
-            const tileX = positionBox.xMin + dx * FARM_TILE_SIZE;
-            const tileY = positionBox.yMin + dy * FARM_TILE_SIZE;
-            placeElementInWorld(tile, tileX, tileY); 
-            tile.style.width = `${FARM_TILE_SIZE}px`;
-            tile.style.height = `${FARM_TILE_SIZE}px`;
-            tile.style.fontSize = `${FARM_TILE_SIZE * 0.9}px`; 
-            gameWorld.appendChild(tile);
-            buildingData.tileElements.push(tile); 
-        }
-    } else {
-         updateHpBar(buildingData); 
-    }
-
-    if (buildingData.element && buildingType !== 'farm') { 
-      if (((gameMode === 'human_vs_ai' || gameMode === 'ai_vs_ai') && factionKey === playerFactionKey) ||
-          (gameMode === 'human_vs_ai' && factionKey !== playerFactionKey) ) {
-          buildingData.element.addEventListener('click', (e) => { e.stopPropagation(); handleBuildingClick(buildingData); }); 
-      }
-    }
-
-    buildings.push(buildingData); 
+    buildings.push(buildingData);
+    registerEntity(buildingData);
     if (isBase) {
-        if (factionKey === playerFactionKey) playerBaseData = buildingData; 
-        else opponentBaseData = buildingData; 
+        if (factionKey === playerFactionKey) playerBaseData = buildingData;
+        else opponentBaseData = buildingData;
     }
     return buildingData;
 }
 
 /**
- * Creates a construction site visual and data object.
+ * Creates a construction site data object.
  */
 function createConstructionSite(buildingType, box, forFaction, byWorker) {
-    const id = `cons-${constructionIdCounter++}`; 
+    const id = `cons-${constructionIdCounter++}`;
     const buildingStaticData = FACTION_DATA[forFaction].buildings[buildingType];
     if (!buildingStaticData) { console.error("GAME_LOGIC: No static data for construction: " + buildingType); return null; }
 
-    const elem = document.createElement('div');
-    elem.id = id;
-    elem.classList.add('game-object', 'building', 'construction-site', buildingType);
-    elem.textContent = getEmojiForFaction(buildingType, forFaction); 
-    elem.dataset.constructionId = id;
-    elem.dataset.buildingType = buildingType;
-    elem.dataset.faction = forFaction;
-    elem.style.left = `${box.xMin}px`; elem.style.top = `${box.yMin}px`;
-    elem.style.width = `${box.width}px`; elem.style.height = `${box.height}px`;
-
-    const tempFinal = document.createElement('div');
-    tempFinal.classList.add(buildingType);
-    gameWorld.appendChild(tempFinal);
-    elem.style.fontSize = window.getComputedStyle(tempFinal).fontSize;
-    gameWorld.removeChild(tempFinal);
-
-    if(buildingType === 'farm') elem.style.opacity = 0.2;
-
-    const { container: pC, inner: pBI } = createProgressBarElement(); 
-    elem.appendChild(pC);
-    if(pC) pC.style.display = 'none'; 
-    const { hpContainer, hpInnerElem } = createHpBarElement(); 
-    elem.appendChild(hpContainer);
-    
-    elem.addEventListener('click', (e) => { 
-        e.stopPropagation(); 
-        const consDataObj = constructions.find(c => c.id === id) || buildings.find(b => b.id === id && b.isConstructing);
-        if (consDataObj) handleBuildingClick(consDataObj); 
-    });
-    gameWorld.appendChild(elem);
-
     const constructionData = {
-        id: id, buildingType: buildingType, box: box, element: elem,
-        isConstructing: true, assignedWorker: null, progress: 0,
+        id: id, buildingType: buildingType,
+        emoji: getEmojiForFaction(buildingType, forFaction, simRandom),
+        box: makeBox(box.xMin, box.yMin, box.width, box.height),
+        isConstructing: true, assignedWorkers: [], isBeingBuilt: false, progress: 0, // assignedWorkers: the site's builders
         buildTime: buildingStaticData.buildTime,
-        progressBarContainer: pC, progressBarInner: pBI,
         faction: forFaction,
-        hp: buildingStaticData.hp * 0.1, maxHp: buildingStaticData.hp, 
-        hpContainer: hpContainer, hpInner: hpInnerElem
+        hp: buildingStaticData.hp * 0.1, maxHp: buildingStaticData.hp,
+        sightRange: buildingStaticData.sightRange || 0,
+        armor: 0, armorClass: 'structure' // Unfinished sites get no armor
     };
-    updateHpBar(constructionData); 
-    constructions.push(constructionData); 
-    buildings.push(constructionData); 
+    applyCompletedUpgrades(constructionData);
+    constructions.push(constructionData);
+    buildings.push(constructionData);
+    registerEntity(constructionData);
 
     if(byWorker && byWorker.unitType === 'worker' && byWorker.faction === forFaction && byWorker.canBuild){
         assignWorkerToConstruction(constructionData, byWorker, (forFaction !== playerFactionKey || gameMode === 'ai_vs_ai'));
@@ -259,29 +609,47 @@ function createConstructionSite(buildingType, box, forFaction, byWorker) {
 
 
 // --- Core Game Logic Functions ---
+
+/**
+ * Resets state and sets up a new match for the current gameMode, p1FactionKey and p2FactionKey.
+ * Used by both the browser (initializeAndStartGame) and headless runs.
+ * The same seed, factions and mode always produce the same map and the same match.
+ * Throws if the map cannot be created.
+ * @param {number} seed - Seed for the simulation PRNG.
+ */
+function initializeMatchState(seed) {
+    resetCoreGameState();
+    seedSimRandom(seed);
+
+    currentWorldWidth = WORLD_WIDTH;
+    currentWorldHeight = WORLD_HEIGHT;
+    resetNavGrid(currentWorldWidth, currentWorldHeight);
+    resetFogOfWar(currentWorldWidth, currentWorldHeight, [p1FactionKey, p2FactionKey]);
+
+    p1Wood = INITIAL_WOOD; p1Coal = INITIAL_COAL;
+    p1CurrentFood = 0; p1FoodCapacity = STARTING_FOOD_CAP;
+    p2Wood = INITIAL_WOOD; p2Coal = INITIAL_COAL;
+    p2CurrentFood = 0; p2FoodCapacity = STARTING_FOOD_CAP;
+
+    factionAiUpdateCounters[p1FactionKey] = 0;
+    factionAiUpdateCounters[p2FactionKey] = 0;
+
+    initializeMapAndBases();
+    updateFogOfWar();
+    setGameInitialized(true);
+    refreshFoodTotals();
+}
+
 /**
  * Sets up the initial map with bases and resources.
  */
 function initializeMapAndBases() {
-    gameWorld.style.width = `${WORLD_WIDTH}px`; 
-    gameWorld.style.height = `${WORLD_HEIGHT}px`;
+    const p1BaseStaticData = FACTION_DATA[p1FactionKey].buildings.base;
+    const p2BaseStaticData = FACTION_DATA[p2FactionKey].buildings.base;
 
-    const p1BaseStaticData = FACTION_DATA[p1FactionKey].buildings.base; 
-    const p2BaseStaticData = FACTION_DATA[p2FactionKey].buildings.base; 
+    const p1BaseBox = makeBox(BASE_OFFSET_X, WORLD_HEIGHT - BASE_OFFSET_Y - p1BaseStaticData.size.h, p1BaseStaticData.size.w, p1BaseStaticData.size.h);
+    const p2BaseBox = makeBox(WORLD_WIDTH - BASE_OFFSET_X - p2BaseStaticData.size.w, BASE_OFFSET_Y, p2BaseStaticData.size.w, p2BaseStaticData.size.h);
 
-    const p1BaseBox = {
-        xMin: BASE_OFFSET_X, yMin: WORLD_HEIGHT - BASE_OFFSET_Y - p1BaseStaticData.size.h,
-        width: p1BaseStaticData.size.w, height: p1BaseStaticData.size.h,
-        centerX: BASE_OFFSET_X + p1BaseStaticData.size.w / 2,
-        centerY: WORLD_HEIGHT - BASE_OFFSET_Y - p1BaseStaticData.size.h / 2
-    };
-    const p2BaseBox = {
-        xMin: WORLD_WIDTH - BASE_OFFSET_X - p2BaseStaticData.size.w, yMin: BASE_OFFSET_Y,
-        width: p2BaseStaticData.size.w, height: p2BaseStaticData.size.h,
-        centerX: WORLD_WIDTH - BASE_OFFSET_X - p2BaseStaticData.size.w / 2,
-        centerY: BASE_OFFSET_Y + p2BaseStaticData.size.h / 2
-    };
-    
     playerBaseData = createBuilding('base', p1BaseBox, p1FactionKey, true, true);
     opponentBaseData = createBuilding('base', p2BaseBox, p2FactionKey, true, true);
 
@@ -289,37 +657,33 @@ function initializeMapAndBases() {
         throw new Error("GAME_LOGIC: FATAL - Base creation failed during map initialization.");
     }
 
-    const obstacles = [playerBaseData.box, opponentBaseData.box]; 
-    const zoneMargin = 50; 
+    const obstacles = [playerBaseData.box, opponentBaseData.box];
+    const zoneMargin = 50;
     const p1ResourceZone = { minX: zoneMargin, maxX: WORLD_WIDTH * 0.4, minY: WORLD_HEIGHT * 0.6 - zoneMargin, maxY: WORLD_HEIGHT - zoneMargin };
     const p2ResourceZone = { minX: WORLD_WIDTH * 0.6, maxX: WORLD_WIDTH - zoneMargin, minY: zoneMargin, maxY: WORLD_HEIGHT * 0.4 + zoneMargin };
     const neutralZone = { minX: WORLD_WIDTH * 0.2, maxX: WORLD_WIDTH * 0.8, minY: WORLD_HEIGHT * 0.2, maxY: WORLD_HEIGHT * 0.8 };
-    
+
     const startingMinesPerPlayer = 2; const startingTreesPerPlayer = 30;
     const neutralMines = 3; const neutralTrees = 60;
-    let newlyPlacedBoxes; 
+    let newlyPlacedBoxes;
 
-    newlyPlacedBoxes = placeResourcesCarefully('mine', startingMinesPerPlayer, getEmojiForFaction('mine', p1FactionKey), p1ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
-    newlyPlacedBoxes = placeResourcesCarefully('tree', startingTreesPerPlayer, getEmojiForFaction('tree', p1FactionKey), p1ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
-    newlyPlacedBoxes = placeResourcesCarefully('mine', startingMinesPerPlayer, getEmojiForFaction('mine', p2FactionKey), p2ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
-    newlyPlacedBoxes = placeResourcesCarefully('tree', startingTreesPerPlayer, getEmojiForFaction('tree', p2FactionKey), p2ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
-    newlyPlacedBoxes = placeResourcesCarefully('mine', neutralMines, getEmojiForFaction('mine', p1FactionKey), neutralZone, obstacles); 
+    newlyPlacedBoxes = placeResourcesCarefully('mine', startingMinesPerPlayer, getEmojiForFaction('mine', p1FactionKey, simRandom), p1ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
+    newlyPlacedBoxes = placeResourcesCarefully('tree', startingTreesPerPlayer, getEmojiForFaction('tree', p1FactionKey, simRandom), p1ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
+    newlyPlacedBoxes = placeResourcesCarefully('mine', startingMinesPerPlayer, getEmojiForFaction('mine', p2FactionKey, simRandom), p2ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
+    newlyPlacedBoxes = placeResourcesCarefully('tree', startingTreesPerPlayer, getEmojiForFaction('tree', p2FactionKey, simRandom), p2ResourceZone, obstacles); obstacles.push(...newlyPlacedBoxes);
+    newlyPlacedBoxes = placeResourcesCarefully('mine', neutralMines, getEmojiForFaction('mine', p1FactionKey, simRandom), neutralZone, obstacles);
     obstacles.push(...newlyPlacedBoxes);
-    newlyPlacedBoxes = placeResourcesCarefully('tree', neutralTrees, getEmojiForFaction('tree', p1FactionKey), neutralZone, obstacles); 
+    newlyPlacedBoxes = placeResourcesCarefully('tree', neutralTrees, getEmojiForFaction('tree', p1FactionKey, simRandom), neutralZone, obstacles);
     obstacles.push(...newlyPlacedBoxes);
 
     let p1InitialWorkerCount = (gameMode === 'ai_vs_ai' ? 2 : 1);
     for(let i=0; i<p1InitialWorkerCount; i++) {
-        if (playerBaseData && playerBaseData.element) {
-            createUnit('worker', getSpawnPosition(playerBaseData.element, i, p1InitialWorkerCount), p1FactionKey);
-        } else { console.error("GAME_LOGIC: P1 Base element missing for initial worker spawn."); }
-    }
-    
-    let p2InitialWorkerCount = (gameMode === 'ai_vs_ai' || gameMode === 'human_vs_ai') ? 2 : 0; 
-    if (p2InitialWorkerCount > 0 && opponentBaseData && opponentBaseData.element) {
-        for(let i=0; i<p2InitialWorkerCount; i++) {
-             createUnit('worker', getSpawnPosition(opponentBaseData.element, i, p2InitialWorkerCount), p2FactionKey);
-        }
+        createUnit('worker', getSpawnPosition(playerBaseData.box, i, p1InitialWorkerCount), p1FactionKey);
+    }
+
+    let p2InitialWorkerCount = (gameMode === 'ai_vs_ai' || gameMode === 'human_vs_ai') ? 2 : 0;
+    for(let i=0; i<p2InitialWorkerCount; i++) {
+         createUnit('worker', getSpawnPosition(opponentBaseData.box, i, p2InitialWorkerCount), p2FactionKey);
     }
 }
 
@@ -327,70 +691,46 @@ function initializeMapAndBases() {
  * Carefully places resource nodes in a given zone, avoiding overlaps.
  */
 function placeResourcesCarefully(type, count, emoji, zone, allCurrentObstacles) {
-    let elSize;
-    if (type === 'mine') elSize = { w: 140, h: 140 }; 
-    else if (type === 'tree') elSize = { w: 100, h: 100 }; 
-    else elSize = { w: 100, h: 100 }; 
+    const elSize = RESOURCE_NODE_SIZES[type] || { w: 100, h: 100 };
 
     const resourceRadius = Math.max(elSize.w, elSize.h) / 2;
-    const spacing = resourceRadius * 0.8; 
+    const spacing = resourceRadius * 0.8;
     let placedCount = 0;
     let attempts = 0;
-    const maxTotalAttempts = count * 200; 
+    const maxTotalAttempts = count * 200;
     const newlyPlacedBoxes = [];
 
     while (placedCount < count && attempts < maxTotalAttempts) {
         attempts++;
-        const randX = Math.random() * (zone.maxX - zone.minX - elSize.w) + zone.minX + elSize.w / 2;
-        const randY = Math.random() * (zone.maxY - zone.minY - elSize.h) + zone.minY + elSize.h / 2;
+        const randX = simRandom() * (zone.maxX - zone.minX - elSize.w) + zone.minX + elSize.w / 2;
+        const randY = simRandom() * (zone.maxY - zone.minY - elSize.h) + zone.minY + elSize.h / 2;
 
-        const potentialBox = {
-            xMin: randX - elSize.w / 2, yMin: randY - elSize.h / 2,
-            xMax: randX + elSize.w / 2, yMax: randY + elSize.h / 2,
-            width: elSize.w, height: elSize.h, centerX: randX, centerY: randY
-        };
+        const potentialBox = makeBox(randX - elSize.w / 2, randY - elSize.h / 2, elSize.w, elSize.h);
 
         if(potentialBox.xMin < 0 || potentialBox.xMax > currentWorldWidth || potentialBox.yMin < 0 || potentialBox.yMax > currentWorldHeight) continue;
         if(potentialBox.centerX < zone.minX || potentialBox.centerX > zone.maxX || potentialBox.centerY < zone.minY || potentialBox.centerY > zone.maxY) continue;
-        
+
         let tooClose = false;
         for (const existingBox of allCurrentObstacles) {
-            if (existingBox && checkAABBOverlap(potentialBox, existingBox, spacing)) { 
+            if (existingBox && checkAABBOverlap(potentialBox, existingBox, spacing)) {
                 tooClose = true;
                 break;
             }
         }
         if (tooClose) continue;
 
-        const rElement = document.createElement('div');
-        rElement.classList.add('game-object', 'resource', type);
-        rElement.textContent = emoji;
-        const resourceId = `res-${type}-${resourceIdCounter++}`; 
-        rElement.id = resourceId;
-        rElement.style.width = `${elSize.w}px`;
-        rElement.style.height = `${elSize.h}px`;
-        if (type === 'mine') rElement.style.fontSize = '140px'; 
-        else if (type === 'tree') rElement.style.fontSize = '100px'; 
-        
-        placeElementInWorld(rElement, potentialBox.xMin, potentialBox.yMin); 
-        gameWorld.appendChild(rElement);
-
         const resourceData = {
-            id: resourceId,
+            id: `res-${type}-${resourceIdCounter++}`,
             type: type,
-            element: rElement,
-            box: getElementWorldBoundingBox(rElement), 
-            health: (type === 'mine') ? MINE_HEALTH_INIT : 1 
+            emoji: emoji,
+            box: potentialBox,
+            health: (type === 'mine') ? MINE_HEALTH_INIT : 1,
+            depleting: false
         };
 
-        if (resourceData.box.width === 0) { 
-            gameWorld.removeChild(rElement);
-            attempts--; 
-            continue;
-        }
-        
-        resources.push(resourceData); 
-        allCurrentObstacles.push(resourceData.box); 
+        resources.push(resourceData);
+        registerEntity(resourceData);
+        allCurrentObstacles.push(resourceData.box);
         newlyPlacedBoxes.push(resourceData.box);
         placedCount++;
     }
@@ -401,186 +741,237 @@ function placeResourcesCarefully(type, count, emoji, zone, allCurrentObstacles)
 }
 
 /**
- * Sets the state of a unit, updating its class list and internal properties.
+ * Sets the state of a unit, updating its internal properties.
  */
 function setUnitState(unit, newState) {
     if (!unit || unit.state === newState) return;
-    if(unit.element) { 
-        unit.element.classList.remove('error-state', unit.state); 
-    }
 
-    if (unit.state === 'harvesting') { clearTimeout(unit.harvestTimer); unit.harvestTimer = null; }
+    if (unit.state === 'harvesting') { cancelSimTask(unit.harvestTimer); unit.harvestTimer = null; }
     if (unit.state === 'attacking') { unit.lastAttackTime = 0; }
 
     if (newState !== 'building' && newState !== 'moving_to_build' && unit.constructionId) {
-        const cons = constructions.find(c => c.id === unit.constructionId);
-        if (cons && cons.assignedWorker === unit) {
-            cons.assignedWorker = null;
-            if(cons.element) cons.element.classList.remove('building'); 
-            if(cons.progressBarContainer) cons.progressBarContainer.style.display = 'none';
-        }
-        unit.constructionId = null;
+        releaseWorkerFromConstruction(unit);
     }
     unit.state = newState;
-    if(unit.element) {
-        unit.element.classList.add(newState); 
-        unit.element.classList.toggle('carrying', unit.state === 'returning' && unit.resourceType !== null);
-    }
-
-    if (unit.indicatorElement) {
-        let indicatorEmoji = '';
-        if (unit.state === 'returning' && unit.resourceType) {
-            indicatorEmoji = unit.resourceType === 'wood' ? getEmojiForFaction( 'resource_wood', unit.faction) : getEmojiForFaction('resource_coal', unit.faction);
-        }
-        unit.indicatorElement.textContent = indicatorEmoji;
-    }
+    clearUnitPath(unit);
 
     if (newState === 'idle') {
-        unit.target = null; unit.targetElement = null;
+        unit.target = null; unit.targetId = null; unit.patrolOrigin = null;
         unit.lastHarvestedNodeId = null; unit.constructionId = null;
-        unit.ai_tasked = false; 
+        unit.ai_tasked = false;
     } else if (newState === 'attacking') {
-        unit.target = null; 
+        unit.target = null;
         unit.lastAttackTime = 0;
     } else if (newState === 'retreating') {
-        unit.targetElement = null; unit.resourceType = null; 
-    }
-    if (gameMode === 'human_vs_ai' && unit === selectedUnit) {
-        updateSelectionInfo(); 
+        unit.targetId = null; unit.resourceType = null;
+    } else if (newState === 'holding') {
+        unit.target = null; unit.targetId = null;
+        unit.lastAttackTime = 0;
     }
+    syncResourceClaim(unit);
+    emitSimEvent('unit_state_changed', { unit });
 }
 
 /**
  * Issues a command to a unit, setting its target and state.
+ * @param {object} command - { state, target: {x, y}, targetId, constructionId, preferredType, patrolOrigin }
  */
 function issueCommand(unit, command, triggeredByAI = false) {
     if (!unit || unit.hp <= 0) return;
-    clearTimeout(unit.harvestTimer); 
+    cancelSimTask(unit.harvestTimer);
     unit.harvestTimer = null;
 
-    if (command.state !== 'returning') { unit.lastHarvestedNodeId = null; } 
+    if (command.state !== 'returning') { unit.lastHarvestedNodeId = null; }
 
     if (command.state === 'moving_to_resource' && command.preferredType && unit.faction === playerFactionKey && gameMode === 'human_vs_ai') {
         unit.preferredResourceType = command.preferredType;
-    } else if (command.state !== 'moving_to_resource') { 
+    } else if (command.state !== 'moving_to_resource') {
         delete unit.preferredResourceType;
     }
+    unit.targetResourceType = command.state === 'moving_to_resource' ? (command.preferredType || null) : null;
 
-    if (unit.state === 'building' && unit.constructionId && unit.constructionId !== command.constructionId) {
-        const oldCons = constructions.find(c => c.id === unit.constructionId);
-        if (oldCons && oldCons.assignedWorker === unit) {
-            oldCons.assignedWorker = null;
-            if(oldCons.element) oldCons.element.classList.remove('building');
-            if(oldCons.progressBarContainer) oldCons.progressBarContainer.style.display = 'none';
-        }
+    if (unit.constructionId && unit.constructionId !== command.constructionId) {
+        releaseWorkerFromConstruction(unit);
     }
-    unit.constructionId = command.constructionId || null; 
+    unit.constructionId = command.constructionId || null;
     unit.ai_tasked = triggeredByAI;
-    unit.targetElement = command.targetElement; 
-    unit.target = command.target; 
-    
-    setUnitState(unit, command.state); 
+    unit.targetId = command.targetId || null;
+    unit.target = command.target;
+    unit.patrolOrigin = command.state === 'patrolling' ? (command.patrolOrigin || { x: unit.worldX, y: unit.worldY }) : null;
+    clearUnitPath(unit); // A new order is planned from scratch even if the state is unchanged
 
-    if (command.state !== 'returning') { 
-        unit.resourceType = null; 
-        if (unit.indicatorElement) unit.indicatorElement.textContent = '';
-        if (unit.element) unit.element.classList.remove('carrying');
+    setUnitState(unit, command.state);
+    syncResourceClaim(unit); // The state may be unchanged while the target is new
+
+    if (command.state !== 'returning') {
+        unit.resourceType = null;
     }
 }
 
 // --- Combat and Damage ---
-function dealDamage(targetData, damage) {
-    if (!targetData || targetData.hp <= 0) return; 
-    targetData.hp -= damage;
-    updateHpBar(targetData); 
 
-    if (gameMode === 'human_vs_ai' && 
-        targetData.faction === playerFactionKey && 
+/**
+ * Damage one hit of the given damage type does to a target, after the DAMAGE_TYPE_MULTIPLIERS
+ * entry for the target's armor class and then its armor. Never less than MIN_ATTACK_DAMAGE.
+ */
+function getModifiedDamage(damage, damageType, targetData) {
+    const multiplier = DAMAGE_TYPE_MULTIPLIERS[damageType]?.[targetData.armorClass] ?? 1;
+    return Math.max(MIN_ATTACK_DAMAGE, Math.round(damage * multiplier) - (targetData.armor || 0));
+}
+
+/**
+ * Takes hit points off a unit or building and removes it once they run out.
+ * With a damageType the damage is first modified for the target's armor (see getModifiedDamage).
+ */
+function dealDamage(targetData, damage, attacker = null, damageType = null) {
+    if (!targetData || targetData.hp <= 0) return;
+    targetData.hp -= damageType ? getModifiedDamage(damage, damageType, targetData) : damage;
+    targetData.lastDamagedTime = simulationTime;
+    emitSimEvent('entity_attacked', { entity: targetData, attacker });
+
+    if (gameMode === 'human_vs_ai' &&
+        targetData.faction === playerFactionKey &&
         targetData.unitType === 'worker' &&
-        targetData.hp > 0 && 
+        targetData.hp > 0 &&
         (targetData.hp / targetData.maxHp) < WORKER_RETREAT_HP_PERCENT &&
         targetData.state !== 'retreating' && playerBaseData && playerBaseData.hp > 0) {
-        issueCommand(targetData, { 
-            state: 'retreating', 
+        issueCommand(targetData, {
+            state: 'retreating',
             target: {x: playerBaseData.box.centerX, y: playerBaseData.box.centerY}
-        }, false); 
+        }, false);
     }
+    if (attacker && targetData.unitType && targetData.hp > 0) retaliate(targetData, attacker);
 
     if (targetData.hp <= 0) {
-        targetData.hp = 0; 
-        if (targetData.element && targetData.element.parentNode === gameWorld) {
-            try { gameWorld.removeChild(targetData.element); } 
-            catch (e) { console.warn("GAME_LOGIC: Error removing element of dead entity:", e); }
-        }
-
-        if (selectedUnit === targetData) deselectAll(); 
-        if (selectedBuilding === targetData) deselectAll(); 
+        targetData.hp = 0;
 
         units.forEach(attacker => {
-            if ((attacker.state === 'attacking' || attacker.state === 'moving_to_attack') && attacker.targetElement === targetData.element) {
+            if ((attacker.state === 'attacking' || attacker.state === 'moving_to_attack') && attacker.targetId === targetData.id) {
                 setUnitState(attacker, 'idle');
             }
         });
 
+        unregisterEntity(targetData);
         const unitIndex = units.findIndex(u => u.id === targetData.id);
         if (unitIndex > -1) {
             units.splice(unitIndex, 1);
+            if (targetData.constructionId) releaseWorkerFromConstruction(targetData);
+            // Every faction in the match hears of the death, not just the unit's own
+            new Set([p1FactionKey, p2FactionKey]).forEach(factionKey => runFactionMechanicHooks(factionKey, 'unitDied', targetData));
         } else {
             const buildingIndex = buildings.findIndex(b => b.id === targetData.id);
             if (buildingIndex > -1) {
                 const destroyedBuildingData = buildings[buildingIndex];
-                
+
                 const consIndex = constructions.findIndex(c => c.id === targetData.id);
-                if (consIndex > -1) { 
-                    const worker = constructions[consIndex].assignedWorker;
-                    if (worker && worker.state === 'building' && worker.constructionId === targetData.id) {
-                        setUnitState(worker, 'idle'); 
-                    }
+                if (consIndex > -1) {
+                    constructions[consIndex].assignedWorkers.slice().forEach(worker => {
+                        if ((worker.state === 'building' || worker.state === 'moving_to_build') && worker.constructionId === targetData.id) setUnitState(worker, 'idle');
+                    });
                     constructions.splice(consIndex, 1);
                 }
-                buildings.splice(buildingIndex, 1); 
+                buildings.splice(buildingIndex, 1);
 
                 if (destroyedBuildingData.isBase) {
-                    checkGameOver(); 
-                }
-                const staticBldgData = FACTION_DATA[destroyedBuildingData.faction]?.buildings[destroyedBuildingData.buildingType];
-                if (staticBldgData?.provides_food) {
-                    updateResourceDisplay(); 
+                    checkGameOver();
                 }
             }
         }
-        updateResourceDisplay(); 
+        emitSimEvent('entity_destroyed', { entity: targetData });
+        notifyResourcesChanged();
+    }
+}
+
+/** Hits a target at once, or fires a projectile at it if the attacker has one (archers, guard towers). */
+function performAttack(attacker, targetData) {
+    if (attacker.projectile) {
+        launchProjectile(attacker, targetData);
+    } else {
+        dealDamage(targetData, attacker.attackDamage, attacker, attacker.damageType);
+    }
+}
+
+/**
+ * Fires a projectile from an attacker at the spot its target stands on now. The projectile
+ * does not follow the target: it lands there and only hits if the target is still in that spot.
+ */
+function launchProjectile(attacker, targetData) {
+    const origin = getEntityCenter(attacker);
+    const aimPoint = getEntityCenter(targetData);
+    projectiles.push({
+        id: `proj-${projectileIdCounter++}`,
+        kind: attacker.projectile.kind,
+        faction: attacker.faction,
+        sourceId: attacker.id,
+        targetId: targetData.id,
+        x: origin.x, y: origin.y,
+        targetX: aimPoint.x, targetY: aimPoint.y,
+        speed: attacker.projectile.speed,
+        damage: attacker.attackDamage,
+        damageType: attacker.damageType
+    });
+}
+
+/** Moves every projectile towards its aim point and resolves the ones that land this tick. */
+function updateProjectiles(deltaFactor) {
+    for (let i = 0; i < projectiles.length; i++) {
+        const projectile = projectiles[i];
+        const dx = projectile.targetX - projectile.x;
+        const dy = projectile.targetY - projectile.y;
+        const remaining = Math.sqrt(dx * dx + dy * dy);
+        const step = projectile.speed * deltaFactor;
+        if (remaining > step) {
+            projectile.x += dx / remaining * step;
+            projectile.y += dy / remaining * step;
+            continue;
+        }
+        projectiles.splice(i--, 1);
+        const targetData = findAttackableById(projectile.targetId);
+        if (targetData && isPointInBox(projectile.targetX, projectile.targetY, getEntityBox(targetData), PROJECTILE_HIT_TOLERANCE)) {
+            dealDamage(targetData, projectile.damage, findEntityById(projectile.sourceId), projectile.damageType);
+        }
     }
 }
 
+function isPointInBox(x, y, box, padding = 0) {
+    return x >= box.xMin - padding && x <= box.xMax + padding && y >= box.yMin - padding && y <= box.yMax + padding;
+}
+
 function checkGameOver() {
-    if (gameOver) return true; 
+    if (gameOver) return true;
 
     const p1HasBase = buildings.some(b => b.isBase && b.faction === p1FactionKey && b.hp > 0);
     const p2HasBase = buildings.some(b => b.isBase && b.faction === p2FactionKey && b.hp > 0);
     let winner = null;
 
-    if (gameInitialized) { 
+    if (gameInitialized) {
         if (!p2HasBase && p1HasBase) {
             winner = p1FactionKey;
         } else if (!p1HasBase && p2HasBase) {
             winner = p2FactionKey;
         } else if (!p1HasBase && !p2HasBase) {
-            winner = "Draw"; 
+            winner = "Draw";
         }
     }
 
     if (winner) {
-        setGameOver(true); 
-        showGameOver(winner); 
+        setGameOver(true);
+        emitSimEvent('game_over', { winner });
         return true;
     }
     return false;
 }
 
 // --- Resource Gathering & Construction Callbacks/Processes ---
+/** Removes a resource node (felled tree, depleted mine) from the map. */
+function removeResource(resourceId) {
+    const resourceData = findResourceById(resourceId);
+    if (resourceData) unregisterEntity(resourceData);
+    resources = resources.filter(r => r.id !== resourceId);
+}
+
 function handleHarvestComplete(unit, resourceData) {
-    if (!unit || unit.state !== 'harvesting' || !resourceData || !resourceData.element?.isConnected) {
+    if (!unit || unit.state !== 'harvesting' || !resourceData || findResourceById(resourceData.id) !== resourceData) {
         if (unit && unit.state === 'harvesting') setUnitState(unit, 'idle');
         return;
     }
@@ -589,24 +980,16 @@ function handleHarvestComplete(unit, resourceData) {
     const nodeId = resourceData.id;
 
     if (resourceData.type === 'tree') {
-        resourceData.health = 0; 
+        resourceData.health = 0;
         harvestedType = 'wood';
-        if (resourceData.element.parentNode === gameWorld) {
-            try { gameWorld.removeChild(resourceData.element); } catch(e) {}
-        }
-        resources = resources.filter(r => r.id !== nodeId);
+        removeResource(nodeId);
     } else if (resourceData.type === 'mine') {
         if (resourceData.health > 0) {
             resourceData.health--;
             harvestedType = 'coal';
             if (resourceData.health <= 0) {
-                resourceData.element.classList.add('depleting');
-                setTimeout(() => {
-                    if (resourceData.element?.isConnected && resourceData.element.parentNode === gameWorld) {
-                        try { gameWorld.removeChild(resourceData.element); } catch(e) {}
-                    }
-                    resources = resources.filter(r => r.id !== nodeId);
-                }, 500); 
+                resourceData.depleting = true;
+                scheduleSimTask('remove_resource', MINE_DEPLETION_DELAY, { resourceId: nodeId });
             }
         }
     }
@@ -616,14 +999,15 @@ function handleHarvestComplete(unit, resourceData) {
         unit.lastHarvestedNodeId = nodeId;
         const targetBase = unit.faction === playerFactionKey ? playerBaseData : opponentBaseData;
         if (targetBase && targetBase.hp > 0) {
-             issueCommand(unit, { state: 'returning', target: {x:targetBase.box.centerX, y:targetBase.box.centerY}, targetElement: targetBase.element });
+             issueCommand(unit, { state: 'returning', target: {x:targetBase.box.centerX, y:targetBase.box.centerY}, targetId: targetBase.id });
         } else {
-            setUnitState(unit, 'idle'); 
+            setUnitState(unit, 'idle');
         }
-    } else { 
+    } else {
         let nextPreferredType = unit.preferredResourceType || (resourceData.type === 'tree' ? 'mine' : 'tree');
         findAndTargetNearestResource(unit, nextPreferredType, null, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
-        unit.targetElement = null; 
+        unit.targetId = null;
+        syncResourceClaim(unit);
     }
 }
 
@@ -634,102 +1018,138 @@ function handleDepositResource(unit) {
 
     const targetBase = unit.faction === playerFactionKey ? playerBaseData : opponentBaseData;
     if (!targetBase || targetBase.hp <= 0) {
-        setUnitState(unit, 'idle'); 
+        setUnitState(unit, 'idle');
         return;
     }
 
     if (unit.faction === playerFactionKey) {
         if (returnedType === 'wood') { p1Wood++; deposited = true; }
         else if (returnedType === 'coal') { p1Coal++; deposited = true; }
-    } else { 
+    } else {
         if (returnedType === 'wood') { p2Wood++; deposited = true; }
         else if (returnedType === 'coal') { p2Coal++; deposited = true; }
     }
 
-    if(deposited) updateResourceDisplay(); 
+    if(deposited) notifyResourcesChanged();
 
     unit.resourceType = null;
-    if (unit.indicatorElement) unit.indicatorElement.textContent = '';
-    if (unit.element) unit.element.classList.remove('carrying');
+
+    // A delivered load completes a harvest or return order; queued orders take over from here
+    if (unit.orderQueue.length > 0) {
+        setUnitState(unit, 'idle');
+        return;
+    }
 
     let nextTargetNode = null;
     const searchType = unit.preferredResourceType || (returnedType === 'wood' ? 'tree' : 'mine');
-    
+
     if (searchType === 'mine' && lastNodeId) {
-        nextTargetNode = resources.find(r => r.id === lastNodeId && r.element?.isConnected && r.health > 0);
+        const lastNode = findResourceById(lastNodeId);
+        if (lastNode && lastNode.health > 0) nextTargetNode = lastNode;
     }
-    if (!nextTargetNode) { 
+    if (!nextTargetNode) {
         nextTargetNode = findNearestResource(unit, searchType);
     }
-    if (!nextTargetNode && unit.preferredResourceType) { 
+    if (!nextTargetNode && unit.preferredResourceType) {
         nextTargetNode = findNearestResource(unit, searchType === 'tree' ? 'mine' : 'tree');
     }
 
     if (nextTargetNode) {
         findAndTargetNearestResource(unit, nextTargetNode.type, nextTargetNode, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
     } else {
-        setUnitState(unit, 'idle'); 
+        setUnitState(unit, 'idle');
     }
 }
 
 function findAndTargetNearestResource(unit, resourceClassType, specificNode = null, triggeredByAI = false) {
     const nodeToTarget = specificNode || findNearestResource(unit, resourceClassType);
-    if (nodeToTarget && nodeToTarget.element && nodeToTarget.element.isConnected) {
-        const targetBox = nodeToTarget.box || getElementWorldBoundingBox(nodeToTarget.element);
-        if (targetBox.width > 0) {
-            issueCommand(unit, { 
-                state: 'moving_to_resource', 
-                target: { x: targetBox.centerX, y: targetBox.centerY }, 
-                targetElement: nodeToTarget.element, 
-                preferredType: resourceClassType 
-            }, triggeredByAI);
-            return true;
-        } else {
-            setUnitState(unit, 'idle'); 
-        }
+    if (nodeToTarget && findResourceById(nodeToTarget.id) === nodeToTarget) {
+        issueCommand(unit, {
+            state: 'moving_to_resource',
+            target: { x: nodeToTarget.box.centerX, y: nodeToTarget.box.centerY },
+            targetId: nodeToTarget.id,
+            preferredType: resourceClassType
+        }, triggeredByAI);
+        return true;
     } else {
-        setUnitState(unit, 'idle'); 
+        setUnitState(unit, 'idle');
     }
     return false;
 }
 
+/**
+ * Adds a worker to a construction site's builders and sends it to a free spot around the site.
+ * Leaves the site's other builders at work.
+ * @returns {boolean} False if the site already has MAX_BUILDERS_PER_SITE other builders.
+ */
 function assignWorkerToConstruction(constructionData, unit, triggeredByAI = false) {
-    if (constructionData.assignedWorker && constructionData.assignedWorker !== unit) {
-        const oldWorker = constructionData.assignedWorker;
-        if (oldWorker.state === 'building' && oldWorker.constructionId === constructionData.id) {
-            setUnitState(oldWorker, 'idle');
-        }
-    } else if (constructionData.assignedWorker === unit) {
-        return; 
+    if (constructionData.assignedWorkers.includes(unit)) {
+        if (unit.constructionId === constructionData.id && (unit.state === 'building' || unit.state === 'moving_to_build')) return true;
+    } else if (constructionData.assignedWorkers.length >= MAX_BUILDERS_PER_SITE) {
+        emitSimEvent('player_message', { factionKey: unit.faction, message: "This site already has enough builders!" });
+        return false;
     }
 
-    if (unit.constructionId && unit.constructionId !== constructionData.id) {
-        const otherCons = constructions.find(c => c.id === unit.constructionId);
-        if (otherCons && otherCons.assignedWorker === unit) {
-            otherCons.assignedWorker = null;
-            if(otherCons.element) otherCons.element.classList.remove('building');
-            if(otherCons.progressBarContainer) otherCons.progressBarContainer.style.display = 'none';
-        }
-    }
+    if (unit.constructionId && unit.constructionId !== constructionData.id) releaseWorkerFromConstruction(unit);
 
-    constructionData.assignedWorker = unit;
+    if (!constructionData.assignedWorkers.includes(unit)) constructionData.assignedWorkers.push(unit);
     unit.constructionId = constructionData.id;
-    const unitSize = 36; 
-    const targetX = constructionData.box.xMin + constructionData.box.width / 2;
-    const targetY = constructionData.box.yMin + constructionData.box.height + unitSize / 2 + COLLISION_PADDING;
-    issueCommand(unit, { 
-        state: 'moving_to_build', 
-        target: { x: targetX, y: targetY }, 
-        targetElement: constructionData.element,
-        constructionId: constructionData.id 
-    }, triggeredByAI);
+    issueCommand(unit, getBuildCommand(constructionData, unit), triggeredByAI);
+    return true;
+}
+
+/** Takes a worker off the builders of the site it was assigned to. */
+function releaseWorkerFromConstruction(unit) {
+    const cons = findConstructionById(unit.constructionId);
+    if (cons) {
+        const index = cons.assignedWorkers.indexOf(unit);
+        if (index > -1) cons.assignedWorkers.splice(index, 1);
+        cons.isBeingBuilt = cons.assignedWorkers.some(w => w.state === 'building');
+    }
+    unit.constructionId = null;
+}
+
+/**
+ * Returns the command that sends a worker to build a construction site. With a unit the
+ * target is a free spot around the site (see getBuildSpot), otherwise the spot just below it.
+ */
+function getBuildCommand(constructionData, unit = null) {
+    const box = constructionData.box;
+    return {
+        state: 'moving_to_build',
+        target: unit ? getBuildSpot(constructionData, unit) : { x: box.centerX, y: box.yMax + UNIT_SIZE / 2 + COLLISION_PADDING },
+        targetId: constructionData.id,
+        constructionId: constructionData.id
+    };
+}
+
+/**
+ * Picks where a builder stands: the first walkable spot around the site (edge centers first,
+ * then corners) that none of the site's other builders stands on or is heading to.
+ */
+function getBuildSpot(constructionData, unit) {
+    const box = constructionData.box;
+    const gap = UNIT_SIZE / 2 + COLLISION_PADDING;
+    const spots = [
+        { x: box.centerX, y: box.yMax + gap }, { x: box.xMax + gap, y: box.centerY },
+        { x: box.centerX, y: box.yMin - gap }, { x: box.xMin - gap, y: box.centerY },
+        { x: box.xMax + gap, y: box.yMax + gap }, { x: box.xMin - gap, y: box.yMax + gap },
+        { x: box.xMax + gap, y: box.yMin - gap }, { x: box.xMin - gap, y: box.yMin - gap }
+    ].filter(spot => isNavPointWalkable(spot.x, spot.y));
+    const takenSpots = constructionData.assignedWorkers.filter(w => w !== unit).map(w => w.target || { x: w.worldX, y: w.worldY });
+    return spots.find(spot => takenSpots.every(taken => distanceSq(taken, spot) >= UNIT_SPACING * UNIT_SPACING)) ||
+        spots[0] || { x: box.centerX, y: box.yMax + gap };
+}
+
+/** How many times faster than one worker a site is built by this many builders. */
+function getBuildRate(builderCount) {
+    return builderCount > 0 ? builderCount ** BUILDER_EFFICIENCY_EXPONENT : 0;
 }
 
 function startWorkerBuilding(unit, constructionData) {
-    if (unit.constructionId === constructionData.id && constructionData.assignedWorker === unit) {
+    if (unit.constructionId === constructionData.id && constructionData.assignedWorkers.includes(unit)) {
         setUnitState(unit, 'building');
-        if(constructionData.element) constructionData.element.classList.add('building');
-        if (constructionData.progressBarContainer) constructionData.progressBarContainer.style.display = 'block';
+        constructionData.isBeingBuilt = true;
     }
 }
 
@@ -741,41 +1161,74 @@ function completeConstruction(constructionData) {
 
     const buildingIndex = buildings.findIndex(b => b.id === constructionData.id);
     if (buildingIndex === -1) { console.error("GAME_LOGIC: Cannot find construction " + constructionData.id + " in buildings array to complete."); return; }
-    
-    if(constructionData.element && constructionData.element.parentNode === gameWorld) {
-        try { gameWorld.removeChild(constructionData.element); } catch(e) {}
-    }
-    
+    buildings.splice(buildingIndex, 1);
+    unregisterEntity(constructionData);
+
     const newBuilding = createBuilding(buildingType, constructionData.box, buildingFaction, buildingStaticData.isBase || false, true);
-    
-    if (newBuilding) {
-        newBuilding.id = constructionData.id; 
-        if(newBuilding.element && buildingType !== 'farm') newBuilding.element.id = constructionData.id; 
-        buildings[buildingIndex] = newBuilding; 
 
-        if (selectedBuilding === constructionData) { 
-            setSelectedBuilding(newBuilding); 
-            updateCommandCard(); 
-        }
+    if (newBuilding) {
+        reassignEntityId(newBuilding, constructionData.id);
+        emitSimEvent('construction_completed', { construction: constructionData, building: newBuilding });
     } else {
         console.error("GAME_LOGIC: Failed to create final building for " + buildingType);
-        buildings.splice(buildingIndex, 1); 
     }
 
-    const worker = constructionData.assignedWorker;
-    if (worker && worker.constructionId === constructionData.id && worker.state === 'building') {
-        setUnitState(worker, 'idle');
-        worker.constructionId = null;
-    }
+    constructionData.assignedWorkers.forEach(worker => {
+        if (worker.constructionId === constructionData.id && (worker.state === 'building' || worker.state === 'moving_to_build')) {
+            setUnitState(worker, 'idle');
+            worker.constructionId = null;
+        }
+    });
 
     const consIndex = constructions.findIndex(c => c.id === constructionData.id);
     if (consIndex > -1) {
         constructions.splice(consIndex, 1);
     }
 
-    updateResourceDisplay(); 
-    if (gameMode === 'human_vs_ai' && buildingFaction === playerFactionKey && buildingType !== 'farm') {
-        // updateCommandCard handled by setSelectedBuilding if selection changes
+    notifyResourcesChanged();
+}
+
+/** Whether a worker can repair a building: a finished building of its own faction that has lost HP. */
+function canRepairBuilding(unit, buildingData) {
+    return !!(unit.canBuild && buildingData && buildingData.buildingType && !buildingData.isConstructing &&
+        buildingData.faction === unit.faction && buildingData.hp > 0 && buildingData.hp < buildingData.maxHp);
+}
+
+/** Returns the command that sends a worker to repair a building. */
+function getRepairCommand(buildingData) {
+    return {
+        state: 'moving_to_repair',
+        target: { x: buildingData.box.centerX, y: buildingData.box.centerY },
+        targetId: buildingData.id
+    };
+}
+
+/**
+ * Restores one tick's worth of HP to the building a worker is repairing. HP is paid for
+ * REPAIR_HP_PER_PAYMENT at a time; when the faction cannot pay for more the worker stops.
+ * Workers repairing the same building each add their share.
+ */
+function updateRepairingUnit(unit, deltaTime) {
+    const buildingData = findEntityById(unit.targetId);
+    if (!canRepairBuilding(unit, buildingData)) {
+        setUnitState(unit, 'idle');
+        return;
+    }
+    const hpGain = Math.min(REPAIR_HP_PER_SECOND * deltaTime / 1000, buildingData.maxHp - buildingData.hp);
+    if (buildingData.repairHpPaid < hpGain) {
+        if (!canFactionAfford(unit.faction, REPAIR_COST_PER_PAYMENT)) {
+            emitSimEvent('player_message', { factionKey: unit.faction, message: "Not enough resources to repair!" });
+            setUnitState(unit, 'idle');
+            return;
+        }
+        adjustFactionStockpile(unit.faction, REPAIR_COST_PER_PAYMENT, -1);
+        buildingData.repairHpPaid += REPAIR_HP_PER_PAYMENT;
+    }
+    buildingData.hp += hpGain;
+    buildingData.repairHpPaid -= hpGain;
+    if (buildingData.hp >= buildingData.maxHp) {
+        buildingData.hp = buildingData.maxHp;
+        setUnitState(unit, 'idle');
     }
 }
 
@@ -785,102 +1238,530 @@ function completeAnyUnitTraining(buildingData) {
     if (!unitTypeToSpawn) return;
 
     const existingUnitsOfFaction = units.filter(u => u.faction === factionKey).length;
-    const spawnPos = getSpawnPosition(buildingData.element, existingUnitsOfFaction, 5); 
-    
-    const newUnit = createUnit(unitTypeToSpawn, spawnPos, factionKey); 
-    if (newUnit && (factionKey === p2FactionKey || (factionKey === p1FactionKey && gameMode === 'ai_vs_ai'))) {
-        if ((newUnit.unitType === 'soldier' || newUnit.unitType === 'archer') && opponentBaseData && opponentBaseData.hp > 0) {
-             issueCommand(newUnit, { 
-                state: 'moving_to_attack', 
-                target: { x: opponentBaseData.box.centerX, y: opponentBaseData.box.centerY }, 
-                targetElement: opponentBaseData.element 
-            }, true);
+    const spawnPos = getSpawnPosition(buildingData.box, existingUnitsOfFaction, 5);
+
+    const newUnit = createUnit(unitTypeToSpawn, spawnPos, factionKey);
+    if (newUnit && buildingData.rallyPoint) {
+        issueCommand(newUnit, getRallyCommand(newUnit, buildingData.rallyPoint));
+    } else if (newUnit && (factionKey === p2FactionKey || (factionKey === p1FactionKey && gameMode === 'ai_vs_ai'))) {
+        // AI fighters head for an enemy building the faction has seen; until then they wait for the army
+        const ownBase = getFactionBase(factionKey);
+        const attackTarget = (newUnit.unitType === 'soldier' || newUnit.unitType === 'archer') && ownBase ? findAIAttackTarget(factionKey, ownBase) : null;
+        if (attackTarget?.targetId) {
+            issueCommand(newUnit, { state: 'attack_moving', target: attackTarget.target, targetId: null }, true);
         } else {
-            setUnitState(newUnit, 'idle'); 
+            setUnitState(newUnit, 'idle');
         }
     }
 
-    buildingData.isTraining = false;
-    buildingData.trainingUnitType = null;
+    buildingData.productionQueue.shift();
+    clearTrainingState(buildingData);
+    startNextProduction(buildingData);
+
+    emitSimEvent('training_changed', { building: buildingData });
+    notifyResourcesChanged();
+}
+
+function clearTrainingState(buildingData) {
+    buildingData.isTraining = false;
+    buildingData.trainingUnitType = null;
     buildingData.trainingProgress = 0;
     buildingData.trainingTotalTime = 0;
-    if (buildingData.progressBarInner) buildingData.progressBarInner.style.width = '0%';
-    if (buildingData.progressBarContainer) buildingData.progressBarContainer.style.display = 'none';
-    if (buildingData.element) buildingData.element.classList.remove('training');
+}
 
-    if (gameMode === 'human_vs_ai' && buildingData.faction === playerFactionKey) {
-        updateCommandCard(); 
-        updateSelectionInfo(); 
+/**
+ * Returns the order a freshly trained unit gets from its building's rally point: workers
+ * rallied onto a tree or mine start harvesting it, units that can fight attack a rallied
+ * enemy, and everything else (or a target that has gone) moves to the rally position.
+ */
+function getRallyCommand(unit, rallyPoint) {
+    const resourceData = findResourceById(rallyPoint.targetId);
+    if (resourceData && unit.unitType === 'worker' && !(resourceData.type === 'mine' && resourceData.health <= 0)) {
+        return { state: 'moving_to_resource', targetId: resourceData.id, target: getEntityCenter(resourceData), preferredType: resourceData.type };
+    }
+    const enemy = findAttackableById(rallyPoint.targetId);
+    if (enemy && enemy.faction !== unit.faction && unit.attackDamage > 0) {
+        return { state: 'moving_to_attack', targetId: enemy.id, target: getEntityCenter(enemy) };
     }
-    updateResourceDisplay(); 
+    return { state: 'moving', target: { x: rallyPoint.x, y: rallyPoint.y }, targetId: null };
 }
 
 /**
- * Initiates training a unit in a building.
+ * Adds a unit to a building's production queue, paying for it up front. It starts training
+ * once it reaches the front of the queue and its faction has the food for it.
+ * @returns {boolean} True if the unit was queued.
  */
 function trainUnit(unitType, trainingBuilding) {
     const factionKey = trainingBuilding.faction;
     const unitStaticData = FACTION_DATA[factionKey]?.units[unitType];
     const buildingStaticData = FACTION_DATA[factionKey]?.buildings[trainingBuilding.buildingType];
 
-    if (!unitStaticData || !trainingBuilding || trainingBuilding.isTraining || 
-        !buildingStaticData?.trains || buildingStaticData.trains !== unitType) {
-        if(typeof isDebugVisible !== 'undefined' && isDebugVisible) console.warn("GAME_LOGIC: Cannot train unit. Invalid data, building busy, or wrong unit type for building.");
-        return;
+    if (!unitStaticData || !trainingBuilding || !buildingStaticData?.trains || buildingStaticData.trains !== unitType) {
+        if(typeof isDebugVisible !== 'undefined' && isDebugVisible) console.warn("GAME_LOGIC: Cannot train unit. Invalid data or wrong unit type for building.");
+        return false;
+    }
+    const prerequisitesMessage = getMissingPrerequisitesMessage(factionKey, unitType, true);
+    if (prerequisitesMessage) {
+        emitSimEvent('player_message', { factionKey, message: prerequisitesMessage });
+        return false;
+    }
+    if (trainingBuilding.productionQueue.length >= PRODUCTION_QUEUE_SIZE) {
+        emitSimEvent('player_message', { factionKey, message: "Production queue is full!" });
+        return false;
     }
 
     const cost = unitStaticData.cost;
-    let currentResWood = factionKey === playerFactionKey ? p1Wood : p2Wood;
-    let currentResCoal = factionKey === playerFactionKey ? p1Coal : p2Coal;
-    let currentFactionFood = factionKey === playerFactionKey ? p1CurrentFood : p2CurrentFood;
-    let currentFactionFoodCap = factionKey === playerFactionKey ? p1FoodCapacity : p2FoodCapacity;
-
+    const currentResWood = factionKey === p1FactionKey ? p1Wood : p2Wood;
+    const currentResCoal = factionKey === p1FactionKey ? p1Coal : p2Coal;
     if (currentResWood < (cost.wood || 0) || currentResCoal < (cost.coal || 0)) {
-        if (factionKey === playerFactionKey && typeof showTemporaryMessage === 'function') showTemporaryMessage(`Not enough resources for ${unitType}!`);
+        emitSimEvent('player_message', { factionKey, message: `Not enough resources for ${unitType}!` });
+        return false;
+    }
+
+    adjustFactionStockpile(factionKey, cost, -1);
+    trainingBuilding.productionQueue.push(unitType);
+    startNextProduction(trainingBuilding);
+    emitSimEvent('training_changed', { building: trainingBuilding });
+    return true;
+}
+
+/**
+ * Starts training the unit at the front of a building's production queue when the building is
+ * idle and the faction's food (units alive plus units in training) leaves room for it.
+ * @returns {boolean} True if the building's training state changed.
+ */
+function startNextProduction(buildingData) {
+    const unitType = buildingData.productionQueue[0];
+    if (buildingData.isTraining || !unitType) return false;
+
+    const factionKey = buildingData.faction;
+    const unitStaticData = FACTION_DATA[factionKey].units[unitType];
+    const foodInUse = calculateCurrentFood(factionKey) + getTrainingFood(factionKey);
+    if (foodInUse + unitStaticData.foodCost > calculateFoodCapacity(factionKey)) {
+        if (buildingData.waitingForFood) return false;
+        buildingData.waitingForFood = true;
+        emitSimEvent('player_message', { factionKey, message: `Not enough food for ${unitType}!` });
+        return true;
+    }
+
+    buildingData.waitingForFood = false;
+    buildingData.isTraining = true;
+    buildingData.trainingUnitType = unitType;
+    buildingData.trainingProgress = 0;
+    buildingData.trainingTotalTime = unitStaticData.trainTime;
+    return true;
+}
+
+/**
+ * Removes a unit from a building's production queue and refunds its full cost.
+ * Cancelling the unit in training discards its progress and starts the next one.
+ */
+function cancelProduction(buildingData, slotIndex) {
+    const unitType = buildingData.productionQueue[slotIndex];
+    if (!unitType) return;
+
+    buildingData.productionQueue.splice(slotIndex, 1);
+    if (slotIndex === 0) {
+        clearTrainingState(buildingData);
+        buildingData.waitingForFood = false;
+        startNextProduction(buildingData);
+    }
+    adjustFactionStockpile(buildingData.faction, FACTION_DATA[buildingData.faction].units[unitType].cost, 1);
+    emitSimEvent('training_changed', { building: buildingData });
+}
+
+/** Sums the food cost of the units a faction currently has in training. */
+function getTrainingFood(factionKey) {
+    return buildings.reduce((sum, b) => sum + (b.faction === factionKey && b.isTraining ? FACTION_DATA[factionKey].units[b.trainingUnitType].foodCost : 0), 0);
+}
+
+/** Lists the unit types in all of a faction's production queues, in training or waiting. */
+function getQueuedUnitTypes(factionKey) {
+    return buildings.filter(b => b.faction === factionKey && b.productionQueue).flatMap(b => b.productionQueue);
+}
+
+
+// --- Research ---
+// A building with `researches` in its static data researches one upgrade at a time, paid for up
+// front. Finished upgrades are listed in factionUpgrades and change the stats of the faction's
+// units and buildings on the spot; createUnit and createBuilding apply them to new entities.
+// Units and buildings use the same `requires` lists to lock them until their prerequisites exist.
+
+/** Whether a faction has finished researching an upgrade. */
+function hasUpgrade(factionKey, upgradeKey) {
+    return (factionUpgrades[factionKey] || []).includes(upgradeKey);
+}
+
+/**
+ * Lists the entries of a `requires` list a faction does not have yet: upgrade keys it has not
+ * researched and building types it has no finished building of.
+ */
+function getMissingRequirements(factionKey, requires = []) {
+    const factionData = FACTION_DATA[factionKey];
+    return requires.filter(requirement => {
+        if (factionData.upgrades?.[requirement]) return !hasUpgrade(factionKey, requirement);
+        return !buildings.some(b => b.faction === factionKey && b.buildingType === requirement && !b.isConstructing && b.hp > 0);
+    });
+}
+
+/** The `requires` entries a faction is missing before it can train a unit type or build a building type. */
+function getMissingPrerequisites(factionKey, itemType, isUnit) {
+    const factionData = FACTION_DATA[factionKey];
+    const itemStaticData = isUnit ? factionData?.units[itemType] : factionData?.buildings[itemType];
+    return itemStaticData ? getMissingRequirements(factionKey, itemStaticData.requires) : [];
+}
+
+/** Names a `requires` entry (an upgrade key or a building type) for a faction. */
+function describeRequirement(factionKey, requirement) {
+    const factionData = FACTION_DATA[factionKey];
+    if (factionData.upgrades?.[requirement]) return factionData.upgrades[requirement].name;
+    return factionData.buildings[requirement]?.name || requirement.replace(/_/g, ' ');
+}
+
+/** A "<name> requires <missing>!" message for a unit or building type, or null if nothing is missing. */
+function getMissingPrerequisitesMessage(factionKey, itemType, isUnit) {
+    const missingRequirements = getMissingPrerequisites(factionKey, itemType, isUnit);
+    if (missingRequirements.length === 0) return null;
+    const itemStaticData = isUnit ? FACTION_DATA[factionKey].units[itemType] : FACTION_DATA[factionKey].buildings[itemType];
+    const missingNames = missingRequirements.map(requirement => describeRequirement(factionKey, requirement));
+    return `${itemStaticData.name || itemType} requires ${missingNames.join(', ')}!`;
+}
+
+/** The building currently researching an upgrade for a faction, or null. */
+function findResearchingBuilding(factionKey, upgradeKey) {
+    return buildings.find(b => b.faction === factionKey && b.researchingUpgrade === upgradeKey) || null;
+}
+
+/** An upgrade's state for a faction: 'done', 'researching', 'locked' (requirements missing) or 'available'. */
+function getUpgradeStatus(factionKey, upgradeKey) {
+    if (hasUpgrade(factionKey, upgradeKey)) return 'done';
+    if (findResearchingBuilding(factionKey, upgradeKey)) return 'researching';
+    const upgradeData = FACTION_DATA[factionKey].upgrades[upgradeKey];
+    return getMissingRequirements(factionKey, upgradeData.requires).length > 0 ? 'locked' : 'available';
+}
+
+/** Whether an upgrade effect's appliesTo matches an entity. */
+function doesUpgradeEffectApply(effect, entity) {
+    return Object.entries(effect.appliesTo || {}).every(([field, value]) => {
+        if (field === 'kind') return (entity.unitType ? 'unit' : 'building') === value;
+        return entity[field] === value;
+    });
+}
+
+/**
+ * Changes one stat of an entity by an upgrade effect. Raising maxHp restores the same amount of HP,
+ * except on construction sites, whose HP keeps the same share of maxHp so it still follows build progress.
+ */
+function applyUpgradeEffect(entity, effect) {
+    if (!doesUpgradeEffectApply(effect, entity) || typeof entity[effect.stat] !== 'number') return;
+    const oldValue = entity[effect.stat];
+    let newValue = effect.add !== undefined ? oldValue + effect.add : oldValue * (effect.multiply ?? 1);
+    if (Number.isInteger(oldValue)) newValue = Math.round(newValue);
+    entity[effect.stat] = newValue;
+    if (effect.stat !== 'maxHp' || entity.hp <= 0) return;
+    if (entity.isConstructing) entity.hp *= newValue / oldValue;
+    else entity.hp += newValue - oldValue;
+}
+
+/** Applies every upgrade its faction has finished to a newly created unit, building or construction site. */
+function applyCompletedUpgrades(entity) {
+    const upgrades = FACTION_DATA[entity.faction].upgrades || {};
+    (factionUpgrades[entity.faction] || []).forEach(upgradeKey => {
+        upgrades[upgradeKey].effects.forEach(effect => applyUpgradeEffect(entity, effect));
+    });
+}
+
+/**
+ * Starts researching an upgrade at a building, paying for it up front.
+ * @returns {boolean} True if the research started.
+ */
+function startResearch(upgradeKey, buildingData) {
+    const factionKey = buildingData.faction;
+    const upgradeData = FACTION_DATA[factionKey].upgrades?.[upgradeKey];
+    if (!upgradeData || !FACTION_DATA[factionKey].buildings[buildingData.buildingType]?.researches) return false;
+    if (buildingData.researchingUpgrade) {
+        emitSimEvent('player_message', { factionKey, message: "Already researching!" });
+        return false;
+    }
+    const status = getUpgradeStatus(factionKey, upgradeKey);
+    if (status !== 'available') {
+        if (status === 'locked') emitSimEvent('player_message', { factionKey, message: `${upgradeData.name} is not available yet!` });
+        return false;
+    }
+    if (!canFactionAfford(factionKey, upgradeData.cost)) {
+        emitSimEvent('player_message', { factionKey, message: `Not enough resources for ${upgradeData.name}!` });
+        return false;
+    }
+
+    adjustFactionStockpile(factionKey, upgradeData.cost, -1);
+    buildingData.researchingUpgrade = upgradeKey;
+    buildingData.researchProgress = 0;
+    emitSimEvent('training_changed', { building: buildingData });
+    return true;
+}
+
+/** Stops a building's research and refunds its full cost. */
+function cancelResearch(buildingData) {
+    const upgradeKey = buildingData.researchingUpgrade;
+    if (!upgradeKey) return;
+    buildingData.researchingUpgrade = null;
+    buildingData.researchProgress = 0;
+    adjustFactionStockpile(buildingData.faction, FACTION_DATA[buildingData.faction].upgrades[upgradeKey].cost, 1);
+    emitSimEvent('training_changed', { building: buildingData });
+}
+
+/** Finishes a building's research and upgrades every unit and building of its faction. */
+function completeResearch(buildingData) {
+    const factionKey = buildingData.faction;
+    const upgradeKey = buildingData.researchingUpgrade;
+    const upgradeData = FACTION_DATA[factionKey].upgrades[upgradeKey];
+    buildingData.researchingUpgrade = null;
+    buildingData.researchProgress = 0;
+
+    if (!factionUpgrades[factionKey]) factionUpgrades[factionKey] = [];
+    factionUpgrades[factionKey].push(upgradeKey);
+    [...units, ...buildings].forEach(entity => {
+        if (entity.faction === factionKey) upgradeData.effects.forEach(effect => applyUpgradeEffect(entity, effect));
+    });
+
+    emitSimEvent('player_message', { factionKey, message: `Research complete: ${upgradeData.name}` });
+    emitSimEvent('training_changed', { building: buildingData });
+}
+
+
+// --- Faction Mechanics ---
+// What sets the factions apart beyond their numbers. A faction's `mechanics` in FACTION_DATA names
+// entries of FACTION_MECHANICS with their settings, and the simulation calls their hooks at fixed
+// points instead of checking faction keys. Every hook gets the mechanic's settings and the faction key:
+//   unitCreated(config, factionKey, unit) - createUnit, before completed upgrades are applied
+//   unitDied(config, factionKey, unit)    - dealDamage, when a unit of any faction dies
+//   foodCapacity(config, factionKey)      - calculateFoodCapacity; returns extra food capacity
+//   pulse(config, factionKey)             - every FACTION_MECHANICS_PULSE_MS of game time
+const FACTION_MECHANICS = {
+    // Units heal hpPerPulse (their hpRegen) once they have gone delayAfterDamage ms without being hit
+    regeneration: {
+        unitCreated: (config, factionKey, unit) => { unit.hpRegen += config.hpPerPulse; },
+        pulse: (config, factionKey) => {
+            units.forEach(unit => {
+                if (unit.faction !== factionKey || unit.hp <= 0 || unit.hp >= unit.maxHp || unit.hpRegen <= 0) return;
+                if (unit.lastDamagedTime !== null && simulationTime - unit.lastDamagedTime < config.delayAfterDamage) return;
+                unit.hp = Math.min(unit.maxHp, unit.hp + unit.hpRegen);
+            });
+        }
+    },
+    // Each unit that dies, on either side, raises the faction's food capacity by foodPerCorpse, up to maxFood
+    corpseFood: {
+        unitDied: (config, factionKey) => {
+            factionCorpseFood[factionKey] = Math.min(config.maxFood, (factionCorpseFood[factionKey] || 0) + config.foodPerCorpse);
+        },
+        foodCapacity: (config, factionKey) => factionCorpseFood[factionKey] || 0
+    },
+    // Finished buildings of the listed types heal the faction's units within radius; overlapping ranges do not stack
+    healingBuildings: {
+        pulse: (config, factionKey) => {
+            const unitsInRange = new Set();
+            buildings.forEach(b => {
+                if (b.faction !== factionKey || b.isConstructing || b.hp <= 0 || !config.buildingTypes.includes(b.buildingType)) return;
+                queryUnitsInRadius(b.box.centerX, b.box.centerY, config.radius).forEach(unit => {
+                    if (unit.faction === factionKey) unitsInRange.add(unit);
+                });
+            });
+            unitsInRange.forEach(unit => { unit.hp = Math.min(unit.maxHp, unit.hp + config.hpPerPulse); });
+        }
+    }
+};
+
+/**
+ * Calls one hook of every mechanic a faction has (see FACTION_MECHANICS).
+ * @returns {Array} The hooks' return values, in the order the faction lists its mechanics.
+ */
+function runFactionMechanicHooks(factionKey, hookName, ...args) {
+    return Object.entries(FACTION_DATA[factionKey]?.mechanics || {}).flatMap(([mechanicKey, config]) => {
+        const hook = FACTION_MECHANICS[mechanicKey]?.[hookName];
+        return hook ? [hook(config, factionKey, ...args)] : [];
+    });
+}
+
+/** Runs the pulse hooks of both factions' mechanics; called by stepSimulation every FACTION_MECHANICS_PULSE_MS. */
+function pulseFactionMechanics() {
+    new Set([p1FactionKey, p2FactionKey]).forEach(factionKey => runFactionMechanicHooks(factionKey, 'pulse'));
+}
+
+
+// --- Player Commands ---
+// Every order the human player gives goes through executePlayerCommand as plain data
+// ({ type, data } with entity ids, never object references). It is appended to
+// commandLog with the tick it was issued at, so replaying the log on the same seed
+// reproduces the match. The AI calls the entry points directly: it is deterministic
+// and re-derives its own decisions during a replay.
+const PLAYER_COMMAND_HANDLERS = {
+    issue_command: ({ unitId, command, queued }) => {
+        const unit = findEntityById(unitId);
+        if (unit?.unitType && unit.faction === playerFactionKey) issuePlayerOrder(unit, command, queued);
+    },
+    train_unit: ({ unitType, buildingId }) => {
+        const building = findEntityById(buildingId);
+        if (building?.buildingType && building.faction === playerFactionKey && !building.isConstructing) trainUnit(unitType, building);
+    },
+    cancel_training: ({ buildingId, slot }) => {
+        const building = findEntityById(buildingId);
+        if (building?.buildingType && building.faction === playerFactionKey && !building.isConstructing) cancelProduction(building, slot);
+    },
+    start_research: ({ upgradeKey, buildingId }) => {
+        const building = findEntityById(buildingId);
+        if (building?.buildingType && building.faction === playerFactionKey && !building.isConstructing) startResearch(upgradeKey, building);
+    },
+    cancel_research: ({ buildingId }) => {
+        const building = findEntityById(buildingId);
+        if (building?.buildingType && building.faction === playerFactionKey && !building.isConstructing) cancelResearch(building);
+    },
+    // A null point clears the rally point; targetId is the resource or enemy the point was set on
+    set_rally_point: ({ buildingId, point, targetId }) => {
+        const building = findEntityById(buildingId);
+        if (!building?.buildingType || building.faction !== playerFactionKey || building.isConstructing) return;
+        if (!FACTION_DATA[building.faction].buildings[building.buildingType]?.trains) return;
+        building.rallyPoint = point ? { x: point.x, y: point.y, targetId: targetId || null } : null;
+    },
+    // Building placement pays up front and is refunded if the player cancels it
+    reserve_building_cost: ({ buildingType }) => adjustFactionStockpile(playerFactionKey, FACTION_DATA[playerFactionKey].buildings[buildingType]?.cost, -1),
+    refund_building_cost: ({ buildingType }) => adjustFactionStockpile(playerFactionKey, FACTION_DATA[playerFactionKey].buildings[buildingType]?.cost, 1),
+    // The prerequisite is checked again here: it may have been destroyed while the player was placing
+    place_construction: ({ buildingType, box, workerId, queued }) => {
+        const prerequisitesMessage = getMissingPrerequisitesMessage(playerFactionKey, buildingType, false);
+        if (prerequisitesMessage) {
+            adjustFactionStockpile(playerFactionKey, FACTION_DATA[playerFactionKey].buildings[buildingType]?.cost, 1);
+            emitSimEvent('player_message', { factionKey: playerFactionKey, message: prerequisitesMessage });
+            return;
+        }
+        const worker = findEntityById(workerId);
+        const constructionData = createConstructionSite(buildingType, box, playerFactionKey, null);
+        if (constructionData && worker?.unitType === 'worker' && worker.faction === playerFactionKey && worker.canBuild) {
+            issuePlayerOrder(worker, getBuildCommand(constructionData), queued);
+        }
+    },
+    assign_worker: ({ constructionId, unitId, queued }) => {
+        const constructionData = findConstructionById(constructionId);
+        const unit = findEntityById(unitId);
+        if (constructionData?.faction === playerFactionKey && unit?.unitType && unit.faction === playerFactionKey && unit.canBuild) {
+            issuePlayerOrder(unit, getBuildCommand(constructionData), queued);
+        }
+    }
+};
+
+/**
+ * Gives a player unit an order. A queued order (Shift) waits until the unit has finished its
+ * current order and everything queued before it; any other order replaces the whole queue.
+ * @param {object} command - An issueCommand command; 'moving_to_build' commands assign the unit to their construction site.
+ * @param {boolean} [queued] - Append to the unit's order queue instead of replacing it.
+ */
+function issuePlayerOrder(unit, command, queued = false) {
+    if (queued && (unit.state !== 'idle' || unit.orderQueue.length > 0)) {
+        unit.orderQueue.push(command);
         return;
     }
-    if (currentFactionFood + unitStaticData.foodCost > currentFactionFoodCap) {
-        if (factionKey === playerFactionKey && typeof showTemporaryMessage === 'function') showTemporaryMessage(`Not enough food for ${unitType}!`);
+    unit.orderQueue = [];
+    if (command.state === 'moving_to_build') {
+        const constructionData = findConstructionById(command.constructionId);
+        if (constructionData) assignWorkerToConstruction(constructionData, unit, false);
+    } else {
+        issueCommand(unit, command);
+    }
+}
+
+/**
+ * Starts the first queued order an idle unit can still carry out. Orders whose target has
+ * disappeared (a dead enemy, a finished or destroyed site, a site with no room for another builder) are dropped.
+ */
+function startNextQueuedOrder(unit) {
+    while (unit.orderQueue.length > 0) {
+        const command = unit.orderQueue.shift();
+        if (command.state === 'moving_to_build') {
+            const constructionData = findConstructionById(command.constructionId);
+            if (!constructionData || !assignWorkerToConstruction(constructionData, unit, false)) continue;
+            return;
+        }
+        if (command.state === 'moving_to_attack' && !findAttackableById(command.targetId)) continue;
+        if (command.state === 'moving_to_repair' && !canRepairBuilding(unit, findEntityById(command.targetId))) continue;
+        issueCommand(unit, command);
         return;
     }
+}
 
-    if (factionKey === playerFactionKey) {
-        p1Wood -= (cost.wood || 0);
-        p1Coal -= (cost.coal || 0);
-    } else { 
-        p2Wood -= (cost.wood || 0);
-        p2Coal -= (cost.coal || 0);
+/** Whether a faction's stockpile covers a wood/coal cost. */
+function canFactionAfford(factionKey, cost) {
+    const wood = factionKey === p1FactionKey ? p1Wood : p2Wood;
+    const coal = factionKey === p1FactionKey ? p1Coal : p2Coal;
+    return wood >= (cost.wood || 0) && coal >= (cost.coal || 0);
+}
+
+/** Adds (direction 1) or removes (direction -1) a wood/coal cost from a faction's stockpile. */
+function adjustFactionStockpile(factionKey, cost, direction) {
+    if (!cost) return;
+    if (factionKey === p1FactionKey) {
+        p1Wood += direction * (cost.wood || 0);
+        p1Coal += direction * (cost.coal || 0);
+    } else {
+        p2Wood += direction * (cost.wood || 0);
+        p2Coal += direction * (cost.coal || 0);
     }
-    if (typeof updateResourceDisplay === 'function') updateResourceDisplay(); 
+    notifyResourcesChanged();
+}
 
-    trainingBuilding.isTraining = true;
-    trainingBuilding.trainingUnitType = unitType;
-    trainingBuilding.trainingProgress = 0;
-    trainingBuilding.trainingTotalTime = unitStaticData.trainTime;
+/**
+ * Runs a player command and records it in the command log.
+ * Ignored once the match is over and while a replay is playing, which only runs its recorded commands.
+ * @param {string} type - A key of PLAYER_COMMAND_HANDLERS.
+ * @param {object} data - Serializable arguments (ids and primitives).
+ * @returns {boolean} True if the command was run.
+ */
+function executePlayerCommand(type, data) {
+    if (activeReplay || !gameInitialized || gameOver) return false;
+    return applyPlayerCommand(type, data);
+}
 
-    if (trainingBuilding.progressBarInner) trainingBuilding.progressBarInner.style.width = '0%';
-    if (trainingBuilding.progressBarContainer) trainingBuilding.progressBarContainer.style.display = 'block';
-    if (trainingBuilding.element) trainingBuilding.element.classList.add('training');
+/** Records and runs a player command without the replay guard (used by live input and replays alike). */
+function applyPlayerCommand(type, data) {
+    const handler = PLAYER_COMMAND_HANDLERS[type];
+    if (!handler) { console.error(`GAME_LOGIC: Unknown player command "${type}"`); return false; }
+    if (commandLog) commandLog.push({ tick: simTickCount, time: simulationTime, type: type, data: JSON.parse(JSON.stringify(data)) });
+    handler(data);
+    return true;
+}
 
-    if (gameMode === 'human_vs_ai' && factionKey === playerFactionKey) {
-        if (typeof updateCommandCard === 'function') updateCommandCard(); 
-        if (typeof updateSelectionInfo === 'function') updateSelectionInfo(); 
+/**
+ * Runs the replay's recorded commands that were issued once `simTickCount` ticks had run,
+ * i.e. at the same point between ticks where the player originally gave them.
+ */
+function applyDueReplayCommands() {
+    if (!activeReplay) return;
+    const commands = activeReplay.commands;
+    while (activeReplay.nextCommandIndex < commands.length && commands[activeReplay.nextCommandIndex].tick <= simTickCount) {
+        const entry = commands[activeReplay.nextCommandIndex++];
+        applyPlayerCommand(entry.type, entry.data);
     }
 }
 
 
 // --- AI Logic ---
+/** Returns the building with the fewest queued units (the first one on a tie), or null for an empty list. */
+function findShortestProductionQueue(trainingBuildings) {
+    return trainingBuildings.reduce((best, b) => (!best || b.productionQueue.length < best.productionQueue.length ? b : best), null);
+}
+
+/** Whether a faction has the prerequisites and resources for a unit or building type; units also need food room. */
 function aiCanAffordGeneric(factionKey, itemType, isUnit, woodRes, coalRes, foodRes, foodCap) {
     const itemDataContainer = isUnit ? FACTION_DATA[factionKey]?.units : FACTION_DATA[factionKey]?.buildings;
     if (!itemDataContainer) return false;
     const itemStaticData = itemDataContainer[itemType];
     if (!itemStaticData || !itemStaticData.cost) return false;
 
+    if (getMissingPrerequisites(factionKey, itemType, isUnit).length > 0) return false;
+
     const cost = itemStaticData.cost;
     if (woodRes < (cost.wood || 0) || coalRes < (cost.coal || 0)) return false;
-    
+
     if (isUnit) {
-        if (!itemStaticData.foodCost) return true; 
+        if (!itemStaticData.foodCost) return true;
         if (foodRes + itemStaticData.foodCost > foodCap) return false;
     }
     return true;
@@ -888,10 +1769,10 @@ function aiCanAffordGeneric(factionKey, itemType, isUnit, woodRes, coalRes, food
 
 function aiStartConstructionGeneric(factionKey, type, box, assignedWorker) {
     const cost = FACTION_DATA[factionKey].buildings[type].cost;
-    if (factionKey === p1FactionKey) { 
+    if (factionKey === p1FactionKey) {
         p1Wood -= (cost.wood || 0);
         p1Coal -= (cost.coal || 0);
-    } else { 
+    } else {
         p2Wood -= (cost.wood || 0);
         p2Coal -= (cost.coal || 0);
     }
@@ -901,7 +1782,7 @@ function aiStartConstructionGeneric(factionKey, type, box, assignedWorker) {
 function aiTryBuildGeneric(factionKey, factionBaseData, buildingType, builderUnit) {
     if (!factionBaseData || !factionBaseData.box || !builderUnit || !builderUnit.canBuild) return false;
     const buildingStaticData = FACTION_DATA[factionKey].buildings[buildingType];
-    if (!buildingStaticData) return false;
+    if (!buildingStaticData || getMissingPrerequisites(factionKey, buildingType, false).length > 0) return false;
 
     const baseBox = factionBaseData.box;
     const size = buildingStaticData.size;
@@ -912,85 +1793,66 @@ function aiTryBuildGeneric(factionKey, factionBaseData, buildingType, builderUni
 
     while (attempts < MAX_ATTEMPTS) {
         attempts++;
-        const angle = Math.random() * 2 * Math.PI;
-        const radius = Math.random() * (PLACEMENT_RADIUS_MAX - PLACEMENT_RADIUS_MIN) + PLACEMENT_RADIUS_MIN;
+        const angle = simRandom() * 2 * Math.PI;
+        const radius = simRandom() * (PLACEMENT_RADIUS_MAX - PLACEMENT_RADIUS_MIN) + PLACEMENT_RADIUS_MIN;
         const potentialX = baseBox.centerX + Math.cos(angle) * radius;
         const potentialY = baseBox.centerY + Math.sin(angle) * radius;
-        const potentialBox = {
-            xMin: potentialX - size.w / 2, yMin: potentialY - size.h / 2,
-            xMax: potentialX + size.w / 2, yMax: potentialY + size.h / 2,
-            width: size.w, height: size.h, centerX: potentialX, centerY: potentialY
-        };
+        const potentialBox = makeBox(potentialX - size.w / 2, potentialY - size.h / 2, size.w, size.h);
 
         if (potentialBox.xMin < 0 || potentialBox.xMax > currentWorldWidth || potentialBox.yMin < 0 || potentialBox.yMax > currentWorldHeight) continue;
-        
-        let overlaps = resources.some(r => r.element?.isConnected && checkAABBOverlap(potentialBox, r.box || getElementWorldBoundingBox(r.element), COLLISION_PADDING));
-        if (!overlaps) overlaps = buildings.some(b => b.element && checkAABBOverlap(potentialBox, b.box || getElementWorldBoundingBox(b.element), COLLISION_PADDING));
-        if (!overlaps) overlaps = constructions.some(c => c.element && checkAABBOverlap(potentialBox, c.box || getElementWorldBoundingBox(c.element), COLLISION_PADDING));
 
-        if (!overlaps) {
+        if (!isAreaObstructed(potentialBox, COLLISION_PADDING)) {
             aiStartConstructionGeneric(factionKey, buildingType, potentialBox, builderUnit);
-            return true; 
+            return true;
         }
     }
-    return false; 
+    return false;
 }
 
-function getSpawnPosition(buildingElement, index, totalUnitsOfType = 1) {
-    if (!buildingElement) {
-        console.warn("GAME_LOGIC: getSpawnPosition called with no buildingElement, defaulting to center.");
-        return { x: currentWorldWidth / 2, y: currentWorldHeight / 2 };
-    }
-    const bBox = getElementWorldBoundingBox(buildingElement); 
-    if (bBox.width === 0 && bBox.height === 0) { 
-        console.warn("GAME_LOGIC: getSpawnPosition buildingElement has zero dimensions, defaulting to center.");
+/**
+ * Picks a spawn point on a ring around a building's box.
+ * @param {object} bBox - The building's world bounding box.
+ */
+function getSpawnPosition(bBox, index, totalUnitsOfType = 1) {
+    if (!bBox || (bBox.width === 0 && bBox.height === 0)) {
+        console.warn("GAME_LOGIC: getSpawnPosition called with no usable box, defaulting to center.");
         return { x: currentWorldWidth / 2, y: currentWorldHeight / 2 };
     }
     const center = { x: bBox.centerX, y: bBox.centerY };
-    const baseRadius = Math.max(bBox.width, bBox.height) / 2 + 25; 
+    const baseRadius = Math.max(bBox.width, bBox.height) / 2 + 25;
     const angleIncrement = totalUnitsOfType > 1 ? (360 / totalUnitsOfType) : 0;
-    const angle = (index * angleIncrement) * (Math.PI / 180); 
-    const radiusOffset = Math.floor(index / totalUnitsOfType) * 10; 
-    const radius = baseRadius + radiusOffset + (Math.sqrt(index % totalUnitsOfType) * 8); 
-    
+    const angle = (index * angleIncrement) * (Math.PI / 180);
+    const radiusOffset = Math.floor(index / totalUnitsOfType) * 10;
+    const radius = baseRadius + radiusOffset + (Math.sqrt(index % totalUnitsOfType) * 8);
+
     let spawnX = center.x + Math.cos(angle) * radius;
     let spawnY = center.y + Math.sin(angle) * radius;
 
-    const unitHalfSize = 18; 
+    const unitHalfSize = UNIT_SIZE / 2;
     spawnX = Math.max(unitHalfSize, Math.min(currentWorldWidth - unitHalfSize, spawnX));
     spawnY = Math.max(unitHalfSize, Math.min(currentWorldHeight - unitHalfSize, spawnY));
-    
+
     return { x: spawnX, y: spawnY };
 }
 
+/**
+ * Finds the nearest resource node of a type for a unit. Mines that are empty or
+ * already claimed by another unit of the same faction are skipped.
+ */
 function findNearestResource(unit, resourceClassType) {
-    let nearestNode = null;
-    let minDistanceSq = Infinity;
-    const unitPos = { x: unit.worldX, y: unit.worldY };
-
-    resources.forEach(resource => {
-        if (resource.type !== resourceClassType || !resource.element?.isConnected) return;
-        if (resourceClassType === 'mine' && resource.health <= 0) return; 
-
-        const isTargetedByOwnFaction = units.some(u => 
-            u !== unit && 
-            u.faction === unit.faction && 
-            u.targetElement === resource.element && 
-            (u.state === 'moving_to_resource' || u.state === 'harvesting')
-        );
-        if (isTargetedByOwnFaction && resourceClassType === 'mine') return; 
-
-        const bbox = resource.box || getElementWorldBoundingBox(resource.element);
-        if (!bbox || bbox.width === 0) return; 
-
-        const resourcePos = { x: bbox.centerX, y: bbox.centerY };
-        const distSq = distanceSq(unitPos, resourcePos); // distanceSq is now in this file
-        if (distSq < minDistanceSq) {
-            minDistanceSq = distSq;
-            nearestNode = resource;
-        }
-    });
-    return nearestNode;
+    return findNearestInGrid(resourceGrid, unit.worldX, unit.worldY,
+        resource => ({ x: resource.box.centerX, y: resource.box.centerY }),
+        resource => resource.type === resourceClassType &&
+            !(resourceClassType === 'mine' && (resource.health <= 0 || isResourceClaimedByFaction(resource.id, unit.faction, unit))));
+}
+
+/**
+ * True if a box (grown by padding) overlaps any resource node, building or construction site.
+ * Used to validate building placement.
+ */
+function isAreaObstructed(box, padding = 0) {
+    return queryGridInBox(resourceGrid, box, padding).some(r => checkAABBOverlap(box, r.box, padding)) ||
+           queryGridInBox(buildingGrid, box, padding).some(b => checkAABBOverlap(box, b.box, padding));
 }
 
 
@@ -1005,316 +1867,626 @@ function updateSingleAI(currentAIFactionKey) {
         return;
     }
     factionAiUpdateCounters[currentAIFactionKey] = 0;
-    
-    const isP1AI = currentAIFactionKey === p1FactionKey; 
-    let currentAIWood = isP1AI ? p1Wood : p2Wood; 
-    let currentAICoal = isP1AI ? p1Coal : p2Coal; 
-    let currentAIFood = calculateCurrentFood(currentAIFactionKey); 
+
+    const isP1AI = currentAIFactionKey === p1FactionKey;
+    let currentAIWood = isP1AI ? p1Wood : p2Wood;
+    let currentAICoal = isP1AI ? p1Coal : p2Coal;
+    const aiQueuedUnitTypes = getQueuedUnitTypes(currentAIFactionKey);
+    // Units waiting in production queues are already paid for, so they count as food in use
+    let currentAIFood = calculateCurrentFood(currentAIFactionKey) +
+        aiQueuedUnitTypes.reduce((sum, unitType) => sum + FACTION_DATA[currentAIFactionKey].units[unitType].foodCost, 0);
     let currentAIFoodCap = calculateFoodCapacity(currentAIFactionKey);
 
-    let currentAIBase = isP1AI ? playerBaseData : opponentBaseData; 
-    let enemyAIBase = isP1AI ? opponentBaseData : playerBaseData; 
+    let currentAIBase = isP1AI ? playerBaseData : opponentBaseData;
 
     if (!currentAIBase || currentAIBase.hp <= 0) {
-        return; 
-    }
-
-    const aiUnits = units.filter(u => u.faction === currentAIFactionKey && u.hp > 0); 
-    const aiWorkers = aiUnits.filter(u => u.unitType === 'worker'); 
-    const aiSoldiers = aiUnits.filter(u => u.unitType === 'soldier'); 
-    const aiArchers = aiUnits.filter(u => u.unitType === 'archer'); 
-    
-    const aiOwnBases = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'base' && !b.isConstructing && b.hp > 0); 
-    const aiOwnBarracks = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'barracks' && !b.isConstructing && b.hp > 0); 
-    const aiOwnArcheryRanges = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'archer_trainer' && !b.isConstructing && b.hp > 0); 
-    const aiOwnFarmsCount = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'farm' && !b.isConstructing && b.hp > 0).length; 
-    const aiOwnGuardTowersCount = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'guard_tower' && !b.isConstructing && b.hp > 0).length; 
-    
-    const needsFood = (currentAIFoodCap - currentAIFood) < (aiWorkers.length > 1 ? 3 : 2); 
-    
-    const isBuildingFarm = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'farm'); 
-    const isBuildingBarracks = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'barracks'); 
-    const isBuildingArchery = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'archer_trainer'); 
-    const isBuildingGuardTower = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'guard_tower'); 
-
-    if (aiOwnBases.length > 0 && !aiOwnBases[0].isTraining && aiWorkers.length < AI_TARGET_WORKERS && 
+        return;
+    }
+
+    const aiUnits = units.filter(u => u.faction === currentAIFactionKey && u.hp > 0);
+    const aiWorkers = aiUnits.filter(u => u.unitType === 'worker');
+    const aiSoldiers = aiUnits.filter(u => u.unitType === 'soldier');
+    const aiArchers = aiUnits.filter(u => u.unitType === 'archer');
+    const countQueued = unitType => aiQueuedUnitTypes.filter(t => t === unitType).length;
+    const hasQueueRoom = building => building && building.productionQueue.length < AI_PRODUCTION_QUEUE_DEPTH;
+
+    const aiOwnBases = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'base' && !b.isConstructing && b.hp > 0);
+    const aiOwnBarracks = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'barracks' && !b.isConstructing && b.hp > 0);
+    const aiOwnArcheryRanges = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'archer_trainer' && !b.isConstructing && b.hp > 0);
+    const aiNextBarracks = findShortestProductionQueue(aiOwnBarracks);
+    const aiNextArcheryRange = findShortestProductionQueue(aiOwnArcheryRanges);
+    const aiOwnFarmsCount = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'farm' && !b.isConstructing && b.hp > 0).length;
+    const aiOwnGuardTowersCount = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'guard_tower' && !b.isConstructing && b.hp > 0).length;
+    const aiOwnBlacksmiths = buildings.filter(b => b.faction === currentAIFactionKey && b.buildingType === 'blacksmith' && !b.isConstructing && b.hp > 0);
+
+    const needsFood = (currentAIFoodCap - currentAIFood) < (aiWorkers.length > 1 ? 3 : 2);
+
+    const isBuildingFarm = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'farm');
+    const isBuildingBarracks = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'barracks');
+    const isBuildingArchery = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'archer_trainer');
+    const isBuildingGuardTower = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'guard_tower');
+    const isBuildingBlacksmith = constructions.some(c => c.faction === currentAIFactionKey && c.buildingType === 'blacksmith');
+
+    if (hasQueueRoom(aiOwnBases[0]) && aiWorkers.length + countQueued('worker') < AI_TARGET_WORKERS &&
         aiCanAffordGeneric(currentAIFactionKey, 'worker', true, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
-        trainUnit('worker', aiOwnBases[0]); 
-        return; 
-    } 
-    
-    const availableBuilders = aiWorkers.filter(w => w.state === 'idle' && !w.ai_tasked && !w.constructionId); 
-    if (availableBuilders.length > 0) { 
-        const builder = availableBuilders[0]; 
+        trainUnit('worker', aiOwnBases[0]);
+        return;
+    }
+
+    const availableBuilders = aiWorkers.filter(w => w.state === 'idle' && !w.ai_tasked && !w.constructionId);
+    if (availableBuilders.length > 0) {
+        const builder = availableBuilders[0];
+        // Damaged towers and the base come first, a few workers at a time
+        const countRepairers = buildingData => aiWorkers.filter(w => (w.state === 'repairing' || w.state === 'moving_to_repair') && w.targetId === buildingData.id).length;
+        const aiRepairTarget = buildings.find(b => (b.isBase || b.buildingType === 'guard_tower') && canRepairBuilding(builder, b) &&
+            b.hp < b.maxHp * AI_REPAIR_HP_PERCENT && countRepairers(b) < AI_MAX_REPAIRERS);
+        if (aiRepairTarget && canFactionAfford(currentAIFactionKey, REPAIR_COST_PER_PAYMENT)) {
+            issueCommand(builder, getRepairCommand(aiRepairTarget), true);
+            return;
+        }
+
         let builtSomething = false;
-        if (needsFood && !isBuildingFarm && aiOwnFarmsCount < Math.ceil((aiUnits.reduce((sum, u) => sum + u.foodCost, 0) + 5) / STARTING_FOOD_CAP) && 
-            aiCanAffordGeneric(currentAIFactionKey, 'farm', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) { 
-            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'farm', builder); 
-        } else if (aiOwnBarracks.length === 0 && !isBuildingBarracks && aiWorkers.length >=2 && 
-                   aiCanAffordGeneric(currentAIFactionKey, 'barracks', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) { 
-            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'barracks', builder); 
-        } else if (aiOwnBarracks.length > 0 && aiOwnArcheryRanges.length === 0 && !isBuildingArchery && aiWorkers.length >= 3 && 
-                   aiCanAffordGeneric(currentAIFactionKey, 'archer_trainer', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) { 
-            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'archer_trainer', builder); 
-        } else if (aiOwnBarracks.length > 0 && aiOwnGuardTowersCount < AI_TARGET_GUARD_TOWERS && !isBuildingGuardTower && aiWorkers.length >=3 && 
-                   currentAIWood > 50 && currentAICoal > 40 && 
-                   aiCanAffordGeneric(currentAIFactionKey, 'guard_tower', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap) ) { 
-            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'guard_tower', builder); 
+        if (needsFood && !isBuildingFarm && aiOwnFarmsCount < Math.ceil((aiUnits.reduce((sum, u) => sum + u.foodCost, 0) + 5) / STARTING_FOOD_CAP) &&
+            aiCanAffordGeneric(currentAIFactionKey, 'farm', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'farm', builder);
+        } else if (aiOwnBarracks.length === 0 && !isBuildingBarracks && aiWorkers.length >=2 &&
+                   aiCanAffordGeneric(currentAIFactionKey, 'barracks', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'barracks', builder);
+        } else if (aiOwnArcheryRanges.length === 0 && !isBuildingArchery && aiWorkers.length >= 3 &&
+                   aiCanAffordGeneric(currentAIFactionKey, 'archer_trainer', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'archer_trainer', builder);
+        } else if (aiOwnGuardTowersCount < AI_TARGET_GUARD_TOWERS && !isBuildingGuardTower && aiWorkers.length >=3 &&
+                   currentAIWood > 50 && currentAICoal > 40 &&
+                   aiCanAffordGeneric(currentAIFactionKey, 'guard_tower', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap) ) {
+            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'guard_tower', builder);
+        } else if (aiOwnArcheryRanges.length > 0 && aiOwnBlacksmiths.length === 0 && !isBuildingBlacksmith && aiWorkers.length >= 3 &&
+                   aiCanAffordGeneric(currentAIFactionKey, 'blacksmith', false, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+            builtSomething = aiTryBuildGeneric(currentAIFactionKey, currentAIBase, 'blacksmith', builder);
         }
 
-        if (!builtSomething && builder.state === 'idle') { 
-             let preferredType = (currentAIWood < currentAICoal * 1.2 || currentAIWood < 40 + aiWorkers.length * 5) ? 'tree' : 'mine'; 
-             if (currentAICoal < 25 + aiWorkers.length * 3 && currentAIWood > 50) preferredType = 'mine'; 
-             let targetNode = findNearestResource(builder, preferredType); 
-             if (!targetNode) { targetNode = findNearestResource(builder, preferredType === 'tree' ? 'mine' : 'tree'); } 
+        if (!builtSomething && builder.state === 'idle') {
+             let preferredType = (currentAIWood < currentAICoal * 1.2 || currentAIWood < 40 + aiWorkers.length * 5) ? 'tree' : 'mine';
+             if (currentAICoal < 25 + aiWorkers.length * 3 && currentAIWood > 50) preferredType = 'mine';
+             let targetNode = findNearestResource(builder, preferredType);
+             if (!targetNode) { targetNode = findNearestResource(builder, preferredType === 'tree' ? 'mine' : 'tree'); }
              if (targetNode) { findAndTargetNearestResource(builder, targetNode.type, targetNode, true); }
         }
-         if(builtSomething) return; 
-    } 
-    
-    if (aiOwnBarracks.length > 0 && !aiOwnBarracks[0].isTraining && aiSoldiers.length < AI_TARGET_SOLDIERS && 
-        aiCanAffordGeneric(currentAIFactionKey, 'soldier', true, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) { 
-        trainUnit('soldier', aiOwnBarracks[0]); 
-    } else if (aiOwnArcheryRanges.length > 0 && !aiOwnArcheryRanges[0].isTraining && aiArchers.length < AI_TARGET_ARCHERS && 
-        aiCanAffordGeneric(currentAIFactionKey, 'archer', true, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) { 
-        trainUnit('archer', aiOwnArcheryRanges[0]); 
-    } 
-    
-    const idleCombatUnits = aiUnits.filter(u => (u.unitType === 'soldier' || u.unitType === 'archer') && u.state === 'idle' && !u.ai_tasked); 
-    if (idleCombatUnits.length > 2 && enemyAIBase && enemyAIBase.hp > 0) { 
-        idleCombatUnits.forEach(unit => { 
-            issueCommand(unit, { 
-                state: 'moving_to_attack', 
-                target: { x: enemyAIBase.box.centerX, y: enemyAIBase.box.centerY }, 
-                targetElement: enemyAIBase.element 
-            }, true); 
-        }); 
-    } 
-}
-
-
-// --- Main Game Loop ---
-function gameLoop(timestamp) {
-    if (currentGameState !== 'in_game' || gameOver) {
-        if (gameInitialized || currentGameState !== 'start_modal') {
-            requestAnimationFrame(gameLoop); 
+         if(builtSomething) return;
+    }
+
+    if (hasQueueRoom(aiNextBarracks) && aiSoldiers.length + countQueued('soldier') < AI_TARGET_SOLDIERS &&
+        aiCanAffordGeneric(currentAIFactionKey, 'soldier', true, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+        trainUnit('soldier', aiNextBarracks);
+    } else if (hasQueueRoom(aiNextArcheryRange) && aiArchers.length + countQueued('archer') < AI_TARGET_ARCHERS &&
+        aiCanAffordGeneric(currentAIFactionKey, 'archer', true, currentAIWood, currentAICoal, currentAIFood, currentAIFoodCap)) {
+        trainUnit('archer', aiNextArcheryRange);
+    }
+
+    // Research in the listed order, but only with resources to spare beyond the army's reserve
+    const idleBlacksmith = aiOwnBlacksmiths.find(b => !b.researchingUpgrade);
+    if (idleBlacksmith) {
+        const upgrades = FACTION_DATA[currentAIFactionKey].upgrades;
+        const upgradeKey = Object.keys(upgrades).find(key => getUpgradeStatus(currentAIFactionKey, key) === 'available');
+        const cost = upgradeKey ? upgrades[upgradeKey].cost : null;
+        if (cost && canFactionAfford(currentAIFactionKey, { wood: (cost.wood || 0) + AI_RESEARCH_RESERVE.wood, coal: (cost.coal || 0) + AI_RESEARCH_RESERVE.coal })) {
+            startResearch(upgradeKey, idleBlacksmith);
         }
-        return;
     }
 
-    const deltaTime = (lastTimestamp > 0) ? Math.min(50, timestamp - lastTimestamp) : 16.67; 
-    lastTimestamp = timestamp; 
-    const deltaFactor = deltaTime / 16.67; 
-    
-    let dxPan = 0, dyPan = 0; 
-    if (keysPressed.w || keysPressed.arrowup) dyPan += PAN_SPEED; 
-    if (keysPressed.s || keysPressed.arrowdown) dyPan -= PAN_SPEED; 
-    if (keysPressed.a || keysPressed.arrowleft) dxPan += PAN_SPEED; 
-    if (keysPressed.d || keysPressed.arrowright) dxPan -= PAN_SPEED; 
-    if (dxPan !== 0 || dyPan !== 0) { 
-        viewOffsetX += dxPan * deltaFactor; 
-        viewOffsetY += dyPan * deltaFactor; 
-        clampCamera(); 
-        applyTransform(); 
-    } 
-    
+    const idleCombatUnits = aiUnits.filter(u => (u.unitType === 'soldier' || u.unitType === 'archer') && u.state === 'idle' && !u.ai_tasked && u.orderQueue.length === 0);
+    const attackTarget = idleCombatUnits.length > 2 ? findAIAttackTarget(currentAIFactionKey, currentAIBase) : null;
+    if (attackTarget) {
+        // Attack-move, so the army fights whatever it meets on the way instead of walking past it
+        idleCombatUnits.forEach(unit => {
+            issueCommand(unit, { state: 'attack_moving', target: attackTarget.target, targetId: null }, true);
+        });
+    }
+}
+
+/**
+ * Where an AI faction sends its army, judged only from its own fog of war: the enemy base if it
+ * has seen it, else the remembered enemy building nearest its own base, else the unexplored
+ * spot farthest from its base, to find the enemy. Null once nothing is left to find.
+ * @returns {{ target: {x: number, y: number}, targetId: string|null }|null} targetId is the remembered building's id.
+ */
+function findAIAttackTarget(factionKey, ownBase) {
+    const from = { x: ownBase.box.centerX, y: ownBase.box.centerY };
+    const knownBuildings = getLastSeenBuildings(factionKey);
+    const distSqFromBase = snapshot => distanceSq({ x: snapshot.box.centerX, y: snapshot.box.centerY }, from);
+    const knownTarget = knownBuildings.find(snapshot => snapshot.isBase) ||
+        knownBuildings.reduce((best, snapshot) => !best || distSqFromBase(snapshot) < distSqFromBase(best) ? snapshot : best, null);
+    if (knownTarget) return { target: { x: knownTarget.box.centerX, y: knownTarget.box.centerY }, targetId: knownTarget.id };
+    const scoutPoint = findFarthestUnexploredPoint(factionKey, from.x, from.y);
+    return scoutPoint ? { target: scoutPoint, targetId: null } : null;
+}
+
+
+// --- Game Speed ---
+/**
+ * Sets the game speed. Unknown values are ignored.
+ * @param {number} speed - One of GAME_SPEED_OPTIONS (0 pauses).
+ */
+function setGameSpeed(speed) {
+    if (!GAME_SPEED_OPTIONS.includes(speed)) return;
+    if (speed === 0 && gameSpeed > 0) speedBeforePause = gameSpeed;
+    gameSpeed = speed;
+    emitSimEvent('game_speed_changed', { speed: gameSpeed });
+}
+
+/** Pauses the game, or resumes it at the speed it had before pausing. */
+function toggleGamePause() {
+    setGameSpeed(gameSpeed === 0 ? speedBeforePause : 0);
+}
+
+/**
+ * Moves to the next slower/faster speed in GAME_SPEED_OPTIONS. Never pauses or unpauses.
+ * @param {number} direction - +1 for faster, -1 for slower.
+ */
+function stepGameSpeed(direction) {
+    const runningSpeeds = GAME_SPEED_OPTIONS.filter(s => s > 0);
+    const current = gameSpeed > 0 ? gameSpeed : speedBeforePause;
+    const index = runningSpeeds.indexOf(current);
+    const next = runningSpeeds[Math.max(0, Math.min(runningSpeeds.length - 1, index + direction))];
+    if (gameSpeed === 0) {
+        speedBeforePause = next;
+        emitSimEvent('game_speed_changed', { speed: gameSpeed });
+    } else {
+        setGameSpeed(next);
+    }
+}
+
+
+// --- Steering ---
+// Local movement rules on top of the planned path: moving units steer around units in
+// their way (avoidance), stop once they reach a target others already crowd (arrival),
+// and every unit is pushed out of units it overlaps (separation). Other units give way
+// to working ones, so a group settles around what it attacks or harvests instead of
+// shoving the front rank away.
+const SEPARATION_FALLBACK_DIRECTIONS = [[1, 0], [0.7071, 0.7071], [0, 1], [-0.7071, 0.7071], [-1, 0], [-0.7071, -0.7071], [0, -1], [0.7071, -0.7071]];
+
+/**
+ * Workers on a gathering trip pass through other units, as in most RTS games,
+ * so a crowd at a mine or the base never stalls the economy.
+ */
+function ignoresUnitCollisions(unit) {
+    return unit.unitType === 'worker' && (unit.state === 'moving_to_resource' || unit.state === 'returning');
+}
+
+/** Distance from a unit to the near side of a target, treating the target as a circle. */
+function getDistanceToTargetEdge(unit, targetData) {
+    const targetBox = getEntityBox(targetData);
+    const distToTargetCenterSq = distanceSq({x: unit.worldX, y: unit.worldY}, {x: targetBox.centerX, y: targetBox.centerY});
+    const targetRadiusApproximation = Math.min(targetBox.width, targetBox.height) / 2;
+    return Math.max(0, Math.sqrt(distToTargetCenterSq) - targetRadiusApproximation);
+}
+
+function isTargetInAttackRange(unit, targetData) {
+    return getDistanceToTargetEdge(unit, targetData) <= unit.attackRange + ATTACK_RANGE_TOLERANCE;
+}
+
+/**
+ * Finds the closest living enemy unit within `radius` of a unit or, if there is none, the
+ * closest enemy building or construction site whose near side is within `radius`.
+ * @param {function} [accept] - Extra filter for candidates.
+ */
+function findNearestEnemy(unit, radius, accept = () => true) {
+    const enemyUnit = findNearestInGrid(unitGrid, unit.worldX, unit.worldY,
+        other => ({ x: other.worldX, y: other.worldY }),
+        other => other.hp > 0 && other.faction !== unit.faction && accept(other),
+        radius);
+    if (enemyUnit) return enemyUnit;
+    return findNearestInGrid(buildingGrid, unit.worldX, unit.worldY,
+        b => ({ x: b.box.centerX, y: b.box.centerY }),
+        b => b.hp > 0 && b.faction !== unit.faction && getDistanceToTargetEdge(unit, b) < radius && accept(b),
+        radius + MAX_BUILDING_SIZE / 2);
+}
+
+/**
+ * Threat scan for combat units: an idle unit, or one patrolling or attack-moving, goes after
+ * the nearest enemy within its acquisition radius.
+ */
+function acquireTarget(unit) {
+    const isIdle = unit.state === 'idle' && unit.orderQueue.length === 0;
+    if (!isIdle && unit.state !== 'patrolling' && unit.state !== 'attack_moving') return;
+    const enemy = findNearestEnemy(unit, unit.acquisitionRadius);
+    if (!enemy) return;
+    if (isIdle) {
+        issueCommand(unit, { state: 'moving_to_attack', targetId: enemy.id, target: getEntityCenter(enemy) }, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
+    } else {
+        engageEnemy(unit, enemy);
+    }
+}
+
+/**
+ * Makes a combat unit that was just hit fight back, unless it is busy with an order of its
+ * own (moving, attacking something else, holding position). The attacker may be a unit or a tower.
+ */
+function retaliate(unit, attacker) {
+    if (!(unit.attackDamage > 0) || attacker.hp <= 0 || attacker.faction === unit.faction) return;
+    if (unit.state === 'idle' && unit.orderQueue.length === 0) {
+        issueCommand(unit, { state: 'moving_to_attack', targetId: attacker.id, target: getEntityCenter(attacker) }, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
+    } else if (unit.state === 'patrolling' || unit.state === 'attack_moving') {
+        engageEnemy(unit, attacker);
+    }
+}
+
+/**
+ * Sends a patrolling or attack-moving unit after an enemy it came across. Its current order
+ * goes back to the front of its order queue, so it picks its route up again once the fight is over.
+ */
+function engageEnemy(unit, enemy) {
+    unit.orderQueue.unshift({ state: unit.state, target: unit.target, targetId: null, patrolOrigin: unit.patrolOrigin });
+    issueCommand(unit, { state: 'moving_to_attack', targetId: enemy.id, target: getEntityCenter(enemy) }, unit.ai_tasked);
+}
+
+/**
+ * A unit holding position never moves: it keeps firing at its target while that stays in
+ * range and otherwise picks the nearest enemy in range.
+ */
+function updateHoldingUnit(unit, timestamp) {
+    let targetData = findAttackableById(unit.targetId);
+    if (!targetData || targetData.faction === unit.faction || !isTargetInAttackRange(unit, targetData)) {
+        targetData = findNearestEnemy(unit, unit.attackRange + ATTACK_RANGE_TOLERANCE + UNIT_SIZE, other => isTargetInAttackRange(unit, other));
+        unit.targetId = targetData ? targetData.id : null;
+    }
+    if (targetData && (!unit.lastAttackTime || timestamp - unit.lastAttackTime >= unit.attackSpeed)) {
+        performAttack(unit, targetData);
+        unit.lastAttackTime = timestamp;
+    }
+}
+
+/** Units busy at their spot hold it; idle units are nudged aside like moving ones. */
+function isWorkingUnitState(state) {
+    return state === 'attacking' || state === 'harvesting' || state === 'building' || state === 'repairing' || state === 'holding';
+}
+
+function getFactionBase(factionKey) {
+    return factionKey === playerFactionKey ? playerBaseData : opponentBaseData;
+}
+
+/**
+ * Arrival rules besides reaching the exact target point. Workers deposit, start harvesting
+ * or start repairing once they touch the base, resource node or building, and plain moves end when the
+ * unit bumps into an idle unit of its faction that is already closer to the spot.
+ */
+function hasArrivedNearTarget(unit, targetPos, distSqToTarget) {
+    if (unit.state === 'returning' || unit.state === 'retreating' || unit.state === 'moving_to_resource') {
+        const targetEntity = unit.state === 'moving_to_resource' ? findResourceById(unit.targetId) : getFactionBase(unit.faction);
+        if (targetEntity && checkAABBOverlap(getEntityBox(unit), targetEntity.box, COLLISION_PADDING)) return true;
+    }
+    if (unit.state === 'moving_to_repair') {
+        const buildingData = findEntityById(unit.targetId);
+        if (buildingData && checkAABBOverlap(getEntityBox(unit), buildingData.box, COLLISION_PADDING)) return true;
+    }
+    if (unit.state === 'moving' || unit.state === 'attack_moving' || unit.state === 'retreating') {
+        if (distSqToTarget > (UNIT_SPACING * 4) ** 2) return false;
+        return queryUnitsInRadius(unit.worldX, unit.worldY, UNIT_SPACING).some(other =>
+            other !== unit && other.faction === unit.faction && other.state === 'idle' &&
+            distanceSq({ x: other.worldX, y: other.worldY }, targetPos) < distSqToTarget);
+    }
+    return false;
+}
+
+/**
+ * Bends a unit's heading (a unit vector) sideways around the units standing in its way.
+ * All blockers are passed on the same side, away from their weighted center, so a unit
+ * walks around a cluster instead of into the gap between two of its members.
+ * The attack target is never avoided, and a bend that would lead into an obstacle is dropped.
+ * @returns {{x:number,y:number}} The direction to move in this tick.
+ */
+function steerAroundUnits(unit, dirX, dirY, moveFactor) {
+    if (ignoresUnitCollisions(unit)) return { x: dirX, y: dirY };
+    const lookAhead = UNIT_SPACING * 1.5;
+    let lateralSum = 0, strength = 0, firstBlocker = null;
+    queryUnitsInRadius(unit.worldX, unit.worldY, lookAhead).forEach(other => {
+        if (other === unit || other.id === unit.targetId || ignoresUnitCollisions(other)) return;
+        const offsetX = other.worldX - unit.worldX, offsetY = other.worldY - unit.worldY;
+        const ahead = offsetX * dirX + offsetY * dirY;
+        const lateral = offsetX * -dirY + offsetY * dirX; // Positive: other is on the left
+        if (ahead <= 0 || Math.abs(lateral) >= UNIT_SPACING) return;
+        const weight = (1 - Math.abs(lateral) / UNIT_SPACING) * (1 - ahead / lookAhead);
+        lateralSum += lateral * weight;
+        strength = Math.max(strength, weight);
+        if (!firstBlocker) firstBlocker = other;
+    });
+    if (!firstBlocker) return { x: dirX, y: dirY };
+    // Blockers dead ahead: the unit created later steps aside to the left, the earlier one to the right
+    const side = lateralSum !== 0 ? -Math.sign(lateralSum) : (compareEntityIds(unit, firstBlocker) > 0 ? 1 : -1);
+    const x = dirX - dirY * side * strength * 2, y = dirY + dirX * side * strength * 2;
+    const length = Math.sqrt(x * x + y * y);
+    const steered = { x: x / length, y: y / length };
+    return isNavPointWalkable(unit.worldX + steered.x * moveFactor, unit.worldY + steered.y * moveFactor) ? steered : { x: dirX, y: dirY };
+}
+
+/**
+ * Pushes overlapping units apart, at most maxPush per unit and tick. Units standing on the
+ * same point are split along a direction derived from their ids, so the result is reproducible.
+ */
+function separateUnits(maxPush) {
     units.forEach(unit => {
-        if (!unit.element || !unit.element.isConnected || unit.hp <= 0) return;
-        updateHpBar(unit); 
+        if (unit.hp <= 0 || ignoresUnitCollisions(unit)) return;
+        const unitWorking = isWorkingUnitState(unit.state);
+        let pushX = 0, pushY = 0;
+        queryUnitsInRadius(unit.worldX, unit.worldY, UNIT_SPACING).forEach(other => {
+            if (other === unit || ignoresUnitCollisions(other)) return;
+            const otherWorking = isWorkingUnitState(other.state);
+            const share = unitWorking === otherWorking ? 0.5 : (unitWorking ? 0 : 1);
+            if (share === 0) return;
+            let dx = unit.worldX - other.worldX, dy = unit.worldY - other.worldY;
+            let dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= UNIT_SPACING) return;
+            if (dist === 0) {
+                const laterUnit = compareEntityIds(unit, other) > 0 ? unit : other;
+                const [fx, fy] = SEPARATION_FALLBACK_DIRECTIONS[Number(laterUnit.id.slice(laterUnit.id.lastIndexOf('-') + 1)) % SEPARATION_FALLBACK_DIRECTIONS.length];
+                const sign = laterUnit === unit ? 1 : -1;
+                dx = fx * sign; dy = fy * sign; dist = 1;
+            }
+            const overlap = UNIT_SPACING - dist;
+            pushX += (dx / dist) * overlap * share;
+            pushY += (dy / dist) * overlap * share;
+        });
+        const pushLength = Math.sqrt(pushX * pushX + pushY * pushY);
+        if (pushLength === 0) return;
+        const scale = Math.min(1, maxPush / pushLength);
+        const newX = unit.worldX + pushX * scale, newY = unit.worldY + pushY * scale;
+        // Never push a unit off open ground into a building or resource node
+        if (!isNavPointWalkable(newX, newY) && isNavPointWalkable(unit.worldX, unit.worldY)) return;
+        unit.worldX = Math.max(0, Math.min(currentWorldWidth, newX));
+        unit.worldY = Math.max(0, Math.min(currentWorldHeight, newY));
+        updateUnitSpatialCell(unit);
+    });
+}
+
+
+// --- Simulation Step ---
+/**
+ * Converts elapsed frame time into whole fixed-size simulation ticks.
+ * Leftover time is carried in simAccumulator to the next call, so the sim always
+ * advances in identical SIM_TICK_MS steps regardless of frame rate.
+ * Game speed only changes how many ticks run per frame: movement, training,
+ * construction, attack cooldowns, scheduled tasks and AI cadence all count game
+ * time or ticks, so they scale together and a match plays out the same at any speed.
+ * @param {number} frameDeltaMs - Real time since the previous frame, in milliseconds.
+ * @returns {number} The number of ticks that were run.
+ */
+function advanceSimulation(frameDeltaMs) {
+    if (!gameInitialized || gameOver || gameSpeed <= 0) return 0;
+    const maxBacklog = SIM_TICK_MS * MAX_SIM_TICKS_PER_FRAME * Math.max(1, gameSpeed);
+    simAccumulator = Math.min(simAccumulator + Math.max(0, frameDeltaMs) * gameSpeed, maxBacklog);
+
+    let ticksRun = 0;
+    while (simAccumulator >= SIM_TICK_MS && !gameOver) {
+        if (activeReplay && simTickCount >= activeReplay.endTick) { simAccumulator = 0; break; } // Replay reached its end
+        stepSimulation(SIM_TICK_MS);
+        simAccumulator -= SIM_TICK_MS;
+        ticksRun++;
+    }
+    return ticksRun;
+}
+
+/**
+ * Advances the whole simulation by deltaTime milliseconds:
+ * unit movement and combat, training, guard towers, faction mechanics, construction, fog of war and AI.
+ * Safe to call without a DOM; renderer.js draws the resulting state.
+ * @param {number} deltaTime - Elapsed game time in milliseconds.
+ */
+function stepSimulation(deltaTime) {
+    if (!gameInitialized || gameOver) return;
+
+    applyDueReplayCommands();
+    simulationTime += deltaTime;
+    simTickCount++;
+    navSearchesThisTick = 0;
+    runDueSimTasks();
+    const timestamp = simulationTime;
+    const deltaFactor = deltaTime / 16.67;
+
+    units.forEach(unit => {
+        if (unit.hp <= 0) return;
+        if (unit.state === 'idle' && unit.orderQueue.length > 0) startNextQueuedOrder(unit);
+        if (unit.attackDamage > 0 && unit.acquisitionRadius > 0) acquireTarget(unit);
         let targetPos = unit.target;
-        const isMovingState = unit.state === 'moving' || unit.state === 'moving_to_resource' || unit.state === 'returning' || unit.state === 'moving_to_build' || unit.state === 'moving_to_attack' || unit.state === 'retreating';
+        const isMovingState = unit.state === 'moving' || unit.state === 'attack_moving' || unit.state === 'moving_to_resource' || unit.state === 'returning' || unit.state === 'moving_to_build' || unit.state === 'moving_to_repair' || unit.state === 'moving_to_attack' || unit.state === 'retreating' || unit.state === 'patrolling';
 
         if (unit.state === 'returning' || unit.state === 'retreating') {
             const targetBase = unit.faction === playerFactionKey ? playerBaseData : opponentBaseData;
             if (targetBase && targetBase.box && targetBase.hp > 0) {
                 targetPos = { x: targetBase.box.centerX, y: targetBase.box.centerY };
-                unit.target = targetPos; 
+                unit.target = targetPos;
             } else {
-                setUnitState(unit, 'idle'); return; 
+                setUnitState(unit, 'idle'); return;
             }
         }
 
-        if (unit.state === 'moving_to_attack' && unit.targetElement) {
-            const targetData = units.find(u => u.element === unit.targetElement && u.hp > 0) || 
-                             buildings.find(b => b.element === unit.targetElement && b.hp > 0);
+        if (unit.state === 'moving_to_attack' && unit.targetId) {
+            const targetData = findAttackableById(unit.targetId);
             if (targetData) {
-                const targetBox = getElementWorldBoundingBox(targetData.element);
-                targetPos = { x: targetBox.centerX, y: targetBox.centerY }; 
+                targetPos = getEntityCenter(targetData);
                 unit.target = targetPos;
-            } else { 
+            } else {
                 setUnitState(unit, 'idle'); return;
             }
         }
-        
+
+        if (unit.state === 'moving_to_repair' && !canRepairBuilding(unit, findEntityById(unit.targetId))) {
+            setUnitState(unit, 'idle'); return; // Destroyed or already repaired by others
+        }
+
         if (isMovingState && targetPos) {
             const moveDx = targetPos.x - unit.worldX;
             const moveDy = targetPos.y - unit.worldY;
             const distSqToTarget = moveDx * moveDx + moveDy * moveDy;
-            let arrivalThresholdSq = (unit.speed * 1.5) ** 2; 
+            let arrivalThresholdSq = (unit.speed * 1.5) ** 2;
             let targetInRange = false;
 
-            if (unit.state === 'moving_to_attack' && unit.targetElement && unit.attackRange > 0) {
-                const targetData = units.find(u => u.element === unit.targetElement && u.hp > 0) || 
-                                 buildings.find(b => b.element === unit.targetElement && b.hp > 0);
+            if (unit.state === 'moving_to_attack' && unit.targetId && unit.attackRange > 0) {
+                const targetData = findAttackableById(unit.targetId);
                 if (targetData && targetData.faction !== unit.faction) {
-                    const targetBox = getElementWorldBoundingBox(targetData.element);
-                    const distToTargetCenterSq = distanceSq({x: unit.worldX, y: unit.worldY}, {x: targetBox.centerX, y: targetBox.centerY});
-                    const targetRadiusApproximation = Math.min(targetBox.width, targetBox.height) / 2;
-                    const distToTargetEdgeApprox = Math.max(0, Math.sqrt(distToTargetCenterSq) - targetRadiusApproximation);
-                    
-                    if (distToTargetEdgeApprox <= unit.attackRange + ATTACK_RANGE_TOLERANCE) {
-                        targetInRange = true;
-                    }
-                } else { 
+                    targetInRange = isTargetInAttackRange(unit, targetData);
+                } else {
                     setUnitState(unit, 'idle'); return;
                 }
             }
 
             if (unit.state === 'moving_to_attack' && targetInRange) {
                 setUnitState(unit, 'attacking');
-                unit.target = null; 
-            } else if (distSqToTarget > arrivalThresholdSq) {
-                const dist = Math.sqrt(distSqToTarget);
-                const moveFactor = unit.speed * deltaFactor;
-                unit.worldX += (moveDx / dist) * moveFactor;
-                unit.worldY += (moveDy / dist) * moveFactor;
-                placeElementInWorld(unit.element, unit.worldX - unit.element.offsetWidth / 2, unit.worldY - unit.element.offsetHeight / 2);
-                if (unit.ai_tasked && unit.state !== 'moving_to_attack' && unit.state !== 'moving_to_build') {
-                    unit.ai_tasked = false; 
+                unit.target = null;
+            } else if (distSqToTarget > arrivalThresholdSq && !hasArrivedNearTarget(unit, targetPos, distSqToTarget)) {
+                const waypoint = getMovementWaypoint(unit, targetPos);
+                if (!waypoint) return; // Waiting for a path search slot
+                const moveFactor = (unit.state === 'returning' && unit.resourceType ? unit.carrySpeed : unit.speed) * deltaFactor;
+                const headingDx = waypoint.x - unit.worldX;
+                const headingDy = waypoint.y - unit.worldY;
+                const headingDist = Math.sqrt(headingDx * headingDx + headingDy * headingDy);
+                const reachedWaypoint = waypoint !== targetPos && hasReachedWaypoint(unit, headingDist, moveFactor, targetPos);
+                if (reachedWaypoint) unit.path.shift();
+                if (reachedWaypoint && headingDist <= moveFactor) {
+                    unit.worldX = waypoint.x;
+                    unit.worldY = waypoint.y;
+                } else {
+                    const direction = steerAroundUnits(unit, headingDx / headingDist, headingDy / headingDist, moveFactor);
+                    unit.worldX += direction.x * moveFactor;
+                    unit.worldY += direction.y * moveFactor;
                 }
-            } else { 
+                updateUnitSpatialCell(unit);
+                if (unit.ai_tasked && unit.state !== 'moving_to_attack' && unit.state !== 'attack_moving' && unit.state !== 'moving_to_build' && unit.state !== 'moving_to_repair') {
+                    unit.ai_tasked = false;
+                }
+            } else {
                 const previousState = unit.state;
-                const arrivedAtElement = unit.targetElement;
-                unit.target = null; 
+                const arrivedAtId = unit.targetId;
+                unit.target = null;
 
                 if (previousState === 'moving_to_resource') {
-                    const resourceData = resources.find(r => r.element === arrivedAtElement);
-                    if (resourceData && resourceData.element?.isConnected && !(resourceData.type === 'mine' && resourceData.health <= 0)) {
+                    const resourceData = findResourceById(arrivedAtId);
+                    if (resourceData && !(resourceData.type === 'mine' && resourceData.health <= 0)) {
                         unit.resourceType = resourceData.type === 'tree' ? 'wood' : 'coal';
                         setUnitState(unit, 'harvesting');
                         const harvestTime = resourceData.type === 'tree' ? TREE_HARVEST_TIME : MINE_HARVEST_TIME;
-                        clearTimeout(unit.harvestTimer);
-                        unit.harvestTimer = setTimeout(() => handleHarvestComplete(unit, resourceData), harvestTime);
-                    } else { 
-                        findAndTargetNearestResource(unit, (arrivedAtElement?.classList.contains('mine') ? 'mine' : 'tree'), null, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
+                        cancelSimTask(unit.harvestTimer);
+                        unit.harvestTimer = scheduleSimTask('harvest_complete', harvestTime, { unitId: unit.id, resourceId: resourceData.id });
+                    } else {
+                        findAndTargetNearestResource(unit, (unit.targetResourceType === 'mine' ? 'mine' : 'tree'), null, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
                     }
                 } else if (previousState === 'returning') {
                     handleDepositResource(unit);
                 } else if (previousState === 'retreating') {
                     setUnitState(unit, 'idle');
                 } else if (previousState === 'moving_to_build') {
-                    const consData = constructions.find(c => c.id === unit.constructionId);
-                    if (consData && consData.isConstructing && consData.assignedWorker === unit && consData.element === arrivedAtElement) {
+                    const consData = findConstructionById(unit.constructionId);
+                    if (consData && consData.isConstructing && consData.assignedWorkers.includes(unit) && consData.id === arrivedAtId) {
                         startWorkerBuilding(unit, consData);
-                    } else { 
-                        setUnitState(unit, 'idle'); unit.constructionId = null; unit.targetElement = null;
+                    } else {
+                        setUnitState(unit, 'idle'); unit.constructionId = null; unit.targetId = null;
                     }
-                } else if (previousState === 'moving') {
+                } else if (previousState === 'moving_to_repair') {
+                    if (canRepairBuilding(unit, findEntityById(arrivedAtId))) {
+                        setUnitState(unit, 'repairing');
+                    } else {
+                        setUnitState(unit, 'idle');
+                    }
+                } else if (previousState === 'moving' || previousState === 'attack_moving') {
                     setUnitState(unit, 'idle');
-                    unit.targetElement = null;
-                } else if (previousState === 'moving_to_attack') { 
-                    const targetData = units.find(u => u.element === arrivedAtElement && u.hp > 0) || 
-                                     buildings.find(b => b.element === arrivedAtElement && b.hp > 0);
+                    unit.targetId = null;
+                } else if (previousState === 'patrolling') {
+                    // Turn around; a patrol only ends when the unit is given another order
+                    unit.target = unit.patrolOrigin;
+                    unit.patrolOrigin = targetPos;
+                    clearUnitPath(unit);
+                } else if (previousState === 'moving_to_attack') {
+                    const targetData = findAttackableById(arrivedAtId);
                     if (targetData && targetData.faction !== unit.faction) {
-                        setUnitState(unit, 'attacking'); 
-                    } else { 
-                        setUnitState(unit, 'idle'); unit.targetElement = null;
+                        setUnitState(unit, 'attacking');
+                    } else {
+                        setUnitState(unit, 'idle'); unit.targetId = null;
                     }
                 }
             }
         }
-        
+
         if (unit.state === 'attacking' && unit.attackDamage > 0) {
-            const targetData = units.find(u => u.element === unit.targetElement && u.hp > 0) || 
-                             buildings.find(b => b.element === unit.targetElement && b.hp > 0);
-            
-            if (!targetData || targetData.faction === unit.faction || !targetData.element?.isConnected) {
-                setUnitState(unit, 'idle'); 
+            const targetData = findAttackableById(unit.targetId);
+
+            if (!targetData || targetData.faction === unit.faction) {
+                setUnitState(unit, 'idle');
             } else {
-                const targetBox = getElementWorldBoundingBox(targetData.element);
-                const distSqToEnemy = distanceSq({x: unit.worldX, y: unit.worldY}, {x: targetBox.centerX, y: targetBox.centerY});
-                const targetRadiusApproximation = Math.min(targetBox.width, targetBox.height) / 2;
-                const distToTargetEdgeApprox = Math.max(0, Math.sqrt(distSqToEnemy) - targetRadiusApproximation);
-
-                if (distToTargetEdgeApprox > unit.attackRange + ATTACK_RANGE_TOLERANCE) {
-                    issueCommand(unit, { 
-                        state: 'moving_to_attack', 
-                        target: { x: targetBox.centerX, y: targetBox.centerY }, 
-                        targetElement: targetData.element 
+                const targetBox = getEntityBox(targetData);
+                if (!isTargetInAttackRange(unit, targetData)) {
+                    issueCommand(unit, {
+                        state: 'moving_to_attack',
+                        target: { x: targetBox.centerX, y: targetBox.centerY },
+                        targetId: targetData.id
                     }, (unit.faction !== playerFactionKey || gameMode === 'ai_vs_ai'));
-                } else { 
+                } else {
                     if (!unit.lastAttackTime || timestamp - unit.lastAttackTime >= unit.attackSpeed) {
-                        dealDamage(targetData, unit.attackDamage);
+                        performAttack(unit, targetData);
                         unit.lastAttackTime = timestamp;
                     }
                 }
             }
         }
+
+        if (unit.state === 'holding' && unit.attackDamage > 0) updateHoldingUnit(unit, timestamp);
+        if (unit.state === 'repairing') updateRepairingUnit(unit, deltaTime);
     });
-    
-    buildings.forEach(bldg => { 
-        updateHpBar(bldg); 
+    separateUnits(UNIT_SPEED * deltaFactor * 0.5);
+
+    buildings.forEach(bldg => {
+        if (!bldg.isConstructing && bldg.waitingForFood && startNextProduction(bldg)) {
+            emitSimEvent('training_changed', { building: bldg });
+        }
         if (!bldg.isConstructing && bldg.isTraining && bldg.trainingTotalTime > 0) {
             bldg.trainingProgress += deltaTime;
-            const progressPercent = Math.min(100, (bldg.trainingProgress / bldg.trainingTotalTime) * 100);
-            if (bldg.progressBarInner) bldg.progressBarInner.style.width = `${progressPercent}%`;
-            if (bldg.progressBarContainer && bldg.progressBarContainer.style.display === 'none') {
-                bldg.progressBarContainer.style.display = 'block';
-            }
             if (bldg.trainingProgress >= bldg.trainingTotalTime) {
                 completeAnyUnitTraining(bldg);
             }
         }
+        if (!bldg.isConstructing && bldg.researchingUpgrade) {
+            bldg.researchProgress += deltaTime;
+            if (bldg.researchProgress >= FACTION_DATA[bldg.faction].upgrades[bldg.researchingUpgrade].researchTime) {
+                completeResearch(bldg);
+            }
+        }
         if (!bldg.isConstructing && bldg.buildingType === 'guard_tower' && bldg.attackDamage > 0 && bldg.hp > 0) {
             if (!bldg.lastAttackTime || timestamp - bldg.lastAttackTime >= bldg.attackSpeed) {
-                let closestEnemy = null;
-                let minDistSq = bldg.attackRange * bldg.attackRange;
-                const towerPos = { x: bldg.box.centerX, y: bldg.box.centerY };
-
-                units.forEach(unit => {
-                    if (unit.hp > 0 && unit.faction !== bldg.faction) {
-                        const unitPos = { x: unit.worldX, y: unit.worldY };
-                        const dSq = distanceSq(towerPos, unitPos); 
-                        if (dSq < minDistSq) {
-                            minDistSq = dSq;
-                            closestEnemy = unit;
-                        }
-                    }
-                });
+                const closestEnemy = findNearestInGrid(unitGrid, bldg.box.centerX, bldg.box.centerY,
+                    unit => ({ x: unit.worldX, y: unit.worldY }),
+                    unit => unit.hp > 0 && unit.faction !== bldg.faction,
+                    bldg.attackRange);
                 if (closestEnemy) {
-                    dealDamage(closestEnemy, bldg.attackDamage);
+                    performAttack(bldg, closestEnemy);
                     bldg.lastAttackTime = timestamp;
                 }
             }
         }
     });
-    
-    for (let i = constructions.length - 1; i >= 0; i--) { 
+
+    updateProjectiles(deltaFactor);
+
+    if (Math.floor(simulationTime / FACTION_MECHANICS_PULSE_MS) > Math.floor((simulationTime - deltaTime) / FACTION_MECHANICS_PULSE_MS)) {
+        pulseFactionMechanics();
+    }
+
+    for (let i = constructions.length - 1; i >= 0; i--) {
         const cons = constructions[i];
-        if (!cons.isConstructing || !cons.element || !cons.element.isConnected) {
+        if (!cons.isConstructing) {
             continue;
         }
-        updateHpBar(cons); 
-        const worker = cons.assignedWorker; 
-        let isBuildingByWorker = false; 
-        if (worker && worker.state === 'building' && worker.constructionId === cons.id) { 
-            isBuildingByWorker = true; 
-            cons.progress += deltaTime; 
-            const hpGain = (cons.maxHp / cons.buildTime) * deltaTime; 
-            cons.hp = Math.min(cons.maxHp, cons.hp + hpGain); 
-            updateHpBar(cons); 
-        } 
-        if (cons.progressBarInner) { 
-            const progressPercent = Math.min(100, (cons.progress && cons.buildTime ? (cons.progress / cons.buildTime * 100) : 0)); 
-            cons.progressBarInner.style.width = `${progressPercent}%`; 
-            if(cons.progressBarContainer) cons.progressBarContainer.style.display = isBuildingByWorker ? 'block' : 'none'; 
-        } 
-        if(cons.element) cons.element.classList.toggle('building', isBuildingByWorker); 
-        if (cons.progress >= cons.buildTime) { 
-            completeConstruction(cons); 
-        } 
-    }
-    
+        const builderCount = cons.assignedWorkers.filter(w => w.state === 'building' && w.constructionId === cons.id && w.hp > 0).length;
+        cons.isBeingBuilt = builderCount > 0;
+        if (cons.isBeingBuilt) {
+            const buildTime = deltaTime * getBuildRate(builderCount);
+            cons.progress += buildTime;
+            const hpGain = (cons.maxHp / cons.buildTime) * buildTime;
+            cons.hp = Math.min(cons.maxHp, cons.hp + hpGain);
+        }
+        if (cons.progress >= cons.buildTime) {
+            completeConstruction(cons);
+        }
+    }
+
+    if (simTickCount % FOG_UPDATE_INTERVAL_TICKS === 0) updateFogOfWar();
+
     aiGlobalUpdateCounter++;
     if (gameMode === 'ai_vs_ai') {
         if (aiGlobalUpdateCounter % 2 === 0) updateSingleAI(p1FactionKey);
@@ -1322,10 +2494,6 @@ function gameLoop(timestamp) {
     } else if (gameMode === 'human_vs_ai') {
         updateSingleAI(p2FactionKey);
     }
-    
-    if (!gameOver && checkGameOver()) { return; } 
-    
-    if (isDebugVisible) updateDebugPanel(); 
-    
-    requestAnimationFrame(gameLoop);
+
+    if (!gameOver) checkGameOver();
 }
@@ -1,6 +1,6 @@
 // js/game-state.js
 // Holds all dynamic state variables for the game.
-// These are modified by game-logic.js and read/used by main.js (for UI).
+// These are modified by game-logic.js and read/used by renderer.js and main.js (for UI).
 // Loaded after game-data.js.
 
 "use strict";
@@ -38,10 +38,35 @@ let units = [];                 // All unit objects
 let buildings = [];             // All building objects (including construction sites conceptually)
 let resources = [];             // All resource node objects (trees, mines)
 let constructions = [];         // Active construction site objects (distinct from completed buildings)
+let projectiles = [];           // Arrows and tower bolts in flight (see launchProjectile); not in the spatial index
+
+// --- Spatial Index ---
+// Lookup structures over the entity arrays above, maintained by game-logic.js
+// (registerEntity / unregisterEntity / updateUnitSpatialCell). Never serialized:
+// rebuildSpatialIndex recreates them from the arrays.
+const entityById = new Map();     // id -> unit, building, construction site or resource node
+const unitGrid = new Map();       // cell key -> Set of units whose position is in that cell
+const buildingGrid = new Map();   // cell key -> Set of buildings/construction sites overlapping that cell
+const resourceGrid = new Map();   // cell key -> Set of resource nodes overlapping that cell
+const unitCellKeys = new Map();   // unit -> its current cell key in unitGrid
+const resourceClaims = new Map(); // resource id -> Set of units moving to or harvesting it
+const claimedResourceByUnit = new Map(); // unit -> resource id it is counted under in resourceClaims
+
+// --- Navigation Grid (see pathfinding.js) ---
+// Built from the same registrations as the spatial index; only navBlockVersion is saved.
+let navGrid = null;             // { cols, rows, blockers: Uint16Array } obstacle count per cell; null outside a match
+let navBlockVersion = 0;        // Bumped whenever an obstacle is added, so units re-check their paths
+let navSearchesThisTick = 0;    // A* searches run in the current tick
+
+// --- Fog of War (see fog-of-war.js) ---
+let fogGrid = null;             // { cols, rows } of the vision grid; null outside a match
+let factionVision = {};         // factionKey -> { visible: Uint8Array, explored: Uint8Array, lastSeenBuildings: { id: snapshot } }
+let fogViewFactionKey = null;   // Faction whose fog the renderer shows; null shows the whole map (set by main.js)
 
 // --- Selection State (for player interaction) ---
-let selectedUnit = null;        // The currently selected unit object by the player
-let selectedBuilding = null;    // The currently selected building object by the player
+let selectedUnits = [];         // Units currently selected by the player, in the order they were added
+let selectedBuilding = null;    // The currently selected building object (never selected together with units)
+let controlGroups = {};         // Number key ('1'-'9') -> player units and buildings bound to it (see main.js)
 
 // --- Key Entity References ---
 let playerBaseData = null;      // Reference to player 1's main base object
@@ -52,6 +77,13 @@ let unitIdCounter = 0;
 let buildingIdCounter = 0;
 let constructionIdCounter = 0;
 let resourceIdCounter = 0; 
+let projectileIdCounter = 0;
+
+// --- Research (see the Research section of game-logic.js) ---
+let factionUpgrades = {};       // factionKey -> upgrade keys the faction has finished researching, in order
+
+// --- Faction Mechanics (see the Faction Mechanics section of game-logic.js) ---
+let factionCorpseFood = {};     // factionKey -> food capacity the corpseFood mechanic has gained from corpses
 
 // --- AI State ---
 let factionAiUpdateCounters = {}; // Stores AI update tick counts per faction: { [factionKey]: count }
@@ -59,6 +91,29 @@ let aiGlobalUpdateCounter = 0;    // General counter, can be used to stagger AI
 
 // --- Game Loop Timing ---
 let lastTimestamp = 0;          // Timestamp of the last game loop execution
+let simulationTime = 0;         // Elapsed game time in ms, advanced only by stepSimulation
+let simAccumulator = 0;         // Frame time not yet consumed by fixed SIM_TICK_MS steps
+let simTickCount = 0;           // Number of fixed simulation ticks run this game
+
+// --- Game Speed ---
+let gameSpeed = 1;              // Multiplier from GAME_SPEED_OPTIONS applied to elapsed frame time; 0 = paused
+let speedBeforePause = 1;       // Speed restored when unpausing
+
+// --- Scheduled Simulation Tasks ---
+// Delayed effects (harvest completion, mine removal, ...) as plain data so they pause,
+// speed up and save together with the rest of the simulation. See scheduleSimTask.
+let scheduledTasks = [];        // [{ id, type, dueTime, data }], due times are in simulationTime ms
+let scheduledTaskIdCounter = 0;
+
+// --- Seeded Randomness ---
+let gameSeed = 0;               // Seed of the current game (shown in the debug panel)
+let rngState = 0;               // Internal state of the simulation PRNG (see simRandom)
+
+// --- Command Log & Replay ---
+// Player orders reach the simulation only through executePlayerCommand, which logs them here.
+// Together with the seed this reproduces the whole match (the AI re-derives its own moves).
+let commandLog = [];            // [{ tick, time, type, data }] for this match; null if the log is incomplete (e.g. an old save)
+let activeReplay = null;        // While watching a replay: { source, commands, nextCommandIndex, endTick }
 
 // --- UI Interaction State ---
 // These are primarily managed in main.js but stored here for potential access 
@@ -98,29 +153,22 @@ function resetCoreGameState() {
     gameOver = false;
     // currentGameState is reset by the calling function (e.g., startGameWithOptions in main.js)
 
-    // Clear entity arrays and ensure their DOM elements are removed
-    // Spread into a new array before iterating to avoid issues if removal modifies the original array
-    [...units, ...buildings, ...resources, ...constructions].forEach(entity => {
-        if (entity.element && entity.element.parentNode) {
-            entity.element.remove();
-        }
-        // Special handling for farms if they store multiple tile elements
-        if (entity.buildingType === 'farm' && Array.isArray(entity.tileElements)) {
-            entity.tileElements.forEach(tile => {
-                if (tile && tile.parentNode) {
-                    tile.remove();
-                }
-            });
-        }
-    });
-
+    // Rendered DOM elements are owned by renderer.js (see clearRenderedWorld)
     units = []; 
     buildings = []; 
     resources = []; 
     constructions = [];
-
-    selectedUnit = null; 
+    projectiles = [];
+    [entityById, unitGrid, buildingGrid, resourceGrid, unitCellKeys, resourceClaims, claimedResourceByUnit].forEach(index => index.clear());
+    navGrid = null;
+    navBlockVersion = 0;
+    navSearchesThisTick = 0;
+    fogGrid = null;
+    factionVision = {};
+
+    selectedUnits = [];
     selectedBuilding = null;
+    controlGroups = {};
     playerBaseData = null; 
     opponentBaseData = null;
 
@@ -128,10 +176,23 @@ function resetCoreGameState() {
     buildingIdCounter = 0; 
     constructionIdCounter = 0;
     resourceIdCounter = 0;
+    projectileIdCounter = 0;
 
+    factionUpgrades = {};
+    factionCorpseFood = {};
     factionAiUpdateCounters = {}; // Will be repopulated in initializeAndStartGame
     aiGlobalUpdateCounter = 0;
     lastTimestamp = 0;
+    simulationTime = 0;
+    simAccumulator = 0;
+    simTickCount = 0;
+    gameSpeed = 1;
+    speedBeforePause = 1;
+    scheduledTasks = [];
+    scheduledTaskIdCounter = 0;
+    // gameSeed/rngState are set by seedSimRandom when the match is initialized
+    commandLog = [];
+    activeReplay = null;
 
     // Reset UI-related state variables that are managed here (or mirrored from main.js for logic access)
     scale = 1.0; viewOffsetX = 0; viewOffsetY = 0;
@@ -168,9 +229,9 @@ function setCurrentGameState(state) {
     // if (isDebugVisible) console.log("GAME-STATE: Current Game State set to: ", currentGameState);
     // Potentially trigger UI changes based on game state here if not handled elsewhere
 }
-function setSelectedUnit(unit) { 
-    selectedUnit = unit; 
-    // if (isDebugVisible) console.log("GAME-STATE: Selected unit:", unit ? unit.id : 'None');
+function setSelectedUnits(unitList) { 
+    selectedUnits = unitList; 
+    // if (isDebugVisible) console.log("GAME-STATE: Selected units:", unitList.map(u => u.id));
 }
 function setSelectedBuilding(building) { 
     selectedBuilding = building; 
@@ -1,17 +1,20 @@
 // js/main.js
 // Handles game initialization, top-level UI (modals, panels), global input,
-// JSRTSMenu builders and interaction, camera, and placement previews.
+// JSRTSMenu builders and interaction, camera, placement previews and the frame loop.
 // This is the main "conductor" script, loaded last.
 
 "use strict";
 
 // --- DOM Element References (will be assigned in DOMContentLoaded) ---
-let viewportElement, gameWorld, modalOverlay, mainMenuOverlay, uiPanelElement, uiLeftElements,
+let viewportElement, gameWorld, modalOverlay, mainMenuOverlay, uiPanelElement, uiLeftElements, minimapPanel,
     humanBtn, zombieBtn, versusBtn, resumeGameBtn, editorModeBtn, restartGameBtn, 
-    gameOverMessageDiv, commandCardContainerElement,
-    woodCountSpan, coalCountSpan, foodCountSpan, foodCapSpan, selectionInfoDiv,
+    gameOverMessageDiv, commandCardContainerElement, seedInput, gameSpeedWidget, fogViewSelect,
+    loadSavedGameBtn, saveNameInput, saveGameBtn, saveSlotList, exportSaveBtn, importSaveBtn, importSaveInput,
+    watchReplayBtn, replayFileInput, exportReplayBtn, replayControls, replayPlayBtn, replaySeekSlider,
+    replayTimeLabel, replayPerspectiveSelect, replayExitBtn,
+    woodCountSpan, coalCountSpan, foodCountSpan, foodCapSpan, selectionInfoDiv, selectionBoxElement,
     debugPanel, debugCurrentGameState, debugPlayerFaction, debugOpponentFaction, 
-    debugWorldSize, debugUnitCount,
+    debugWorldSize, debugSeed, debugSimTick, debugUnitCount,
     debugP1Wood, debugP1Coal, debugP1Food, debugP1FoodCap,
     debugP2Wood, debugP2Coal, debugP2Food, debugP2FoodCap,
     debugP1BuildingCount, debugP2BuildingCount,
@@ -23,6 +26,38 @@ let viewportElement, gameWorld, modalOverlay, mainMenuOverlay, uiPanelElement, u
 let commandCardMenu;
 let contextMenu;
 let globalCooldownManagerInstance; // Instantiated in initializeMenus
+let gameLoopFrameId = null; // requestAnimationFrame handle of the running gameLoop
+
+const SAVE_SLOT_KEY_PREFIX = 'emojiRts.save.'; // localStorage key prefix for named save slots
+const REPLAY_SEEK_FRAME_BUDGET_MS = 10; // Wall-clock time per frame spent fast-forwarding to a seek target
+
+// Replay viewer state (see startReplayViewer)
+let replayPerspectiveFactionKey = null; // Faction whose resources and base the viewer follows
+let replaySeekTargetTick = null;        // Tick being fast-forwarded to, or null
+let isDraggingReplaySeek = false;       // True while the seek slider is held, so the loop doesn't move it
+
+// Selection input state (see handleViewportMouseDown)
+const SELECTION_DRAG_THRESHOLD = 5;     // Pixels a left-drag must move before it becomes a selection box
+let selectionDrag = null;               // { startX, startY, addToSelection, isBox } while the left button is held on the ground
+let selectionGridCells = [];            // [{ unit, hpBar }] cells shown in the selection panel for a multi-unit selection
+const CONTROL_GROUP_DOUBLE_TAP_MS = 400; // Pressing a group's number twice within this time centers the camera on it
+let lastControlGroupRecall = null;      // { groupKey, time } of the last group recalled by its number key
+let pendingGroundOrder = null;          // Unit state (a key of GROUND_ORDER_PROMPTS) waiting for the player to click where the order goes
+const GROUND_ORDER_PROMPTS = {
+    moving: "Move: click the destination (Shift queues it).",
+    patrolling: "Patrol: click the far end of the route (Shift queues it).",
+    attack_moving: "Attack-Move: click the destination; enemies on the way are fought (Shift queues it).",
+    moving_to_repair: "Repair: click a damaged building of yours (Shift queues it)."
+};
+// Command card entries for soldiers and archers; their hotkeys also work while the card is closed.
+// None of them is W, A, S or D, so the camera keeps panning whatever is selected.
+const COMBAT_UNIT_COMMANDS = [
+    { label: "Move", hotkey: 'm', iconSrc: GAME_ACTION_ICONS.MOVE, run: () => beginGroundOrderTargeting('moving') },
+    { label: "Stop", hotkey: 'x', iconSrc: GAME_ACTION_ICONS.STOP, run: () => orderSelectedUnits(() => ({ state: 'idle', target: null, targetId: null })) },
+    { label: "Hold Position", hotkey: 'h', iconSrc: GAME_ACTION_ICONS.HOLD_POSITION, run: () => orderSelectedUnits(() => ({ state: 'holding', target: null, targetId: null })) },
+    { label: "Patrol", hotkey: 'p', iconSrc: GAME_ACTION_ICONS.PATROL, run: () => beginGroundOrderTargeting('patrolling') },
+    { label: "Attack-Move", hotkey: 'q', iconSrc: GAME_ACTION_ICONS.ATTACK_MOVE, run: () => beginGroundOrderTargeting('attack_moving') }
+];
 
 
 // --- Initialization and Setup ---
@@ -34,6 +69,7 @@ document.addEventListener('DOMContentLoaded', () => {
     mainMenuOverlay = document.getElementById('main-menu-overlay');
     uiPanelElement = document.getElementById('ui-panel');
     uiLeftElements = document.getElementById('ui-left-elements');
+    minimapPanel = document.getElementById('minimap-panel');
     humanBtn = document.getElementById('human-btn');
     zombieBtn = document.getElementById('zombie-btn');
     versusBtn = document.getElementById('versus-btn');
@@ -42,18 +78,40 @@ document.addEventListener('DOMContentLoaded', () => {
     restartGameBtn = document.getElementById('restart-game-btn');
     gameOverMessageDiv = document.getElementById('game-over-message');
     commandCardContainerElement = document.getElementById('command-card-container');
+    seedInput = document.getElementById('seed-input');
+    gameSpeedWidget = document.getElementById('game-speed-widget');
+    fogViewSelect = document.getElementById('fog-view-select');
+    loadSavedGameBtn = document.getElementById('load-saved-game-btn');
+    saveNameInput = document.getElementById('save-name-input');
+    saveGameBtn = document.getElementById('save-game-btn');
+    saveSlotList = document.getElementById('save-slot-list');
+    exportSaveBtn = document.getElementById('export-save-btn');
+    importSaveBtn = document.getElementById('import-save-btn');
+    importSaveInput = document.getElementById('import-save-input');
+    watchReplayBtn = document.getElementById('watch-replay-btn');
+    replayFileInput = document.getElementById('replay-file-input');
+    exportReplayBtn = document.getElementById('export-replay-btn');
+    replayControls = document.getElementById('replay-controls');
+    replayPlayBtn = document.getElementById('replay-play-btn');
+    replaySeekSlider = document.getElementById('replay-seek');
+    replayTimeLabel = document.getElementById('replay-time');
+    replayPerspectiveSelect = document.getElementById('replay-perspective');
+    replayExitBtn = document.getElementById('replay-exit-btn');
 
     woodCountSpan = document.getElementById('wood-count'); 
     coalCountSpan = document.getElementById('coal-count'); 
     foodCountSpan = document.getElementById('food-count'); 
     foodCapSpan = document.getElementById('food-capacity');
     selectionInfoDiv = document.getElementById('selection-info');
+    selectionBoxElement = document.getElementById('selection-box');
     
     debugPanel = document.getElementById('debug-panel'); 
     debugCurrentGameState = document.getElementById('debug-current-game-state');
     debugPlayerFaction = document.getElementById('debug-player-faction'); 
     debugOpponentFaction = document.getElementById('debug-opponent-faction');
     debugWorldSize = document.getElementById('debug-world-size'); 
+    debugSeed = document.getElementById('debug-seed');
+    debugSimTick = document.getElementById('debug-sim-tick');
     debugUnitCount = document.getElementById('debug-unit-count');
     debugP1Wood = document.getElementById('debug-p1-wood'); 
     debugP1Coal = document.getElementById('debug-p1-coal');
@@ -75,11 +133,22 @@ document.addEventListener('DOMContentLoaded', () => {
     debugSelectedTarget = document.getElementById('debug-selected-target');
     
     initializeMenus();
+    initializeGameSpeedWidget();
+    initializeMinimap(document.getElementById('minimap-canvas'));
+    if (fogViewSelect) fogViewSelect.onchange = () => setFogView(fogViewSelect.value || null);
+    initializeSaveLoadPanel();
+    initializeReplayControls();
+    registerSimEventHandlers();
 
     // Assign event listeners for modal buttons
     humanBtn.onclick = () => { startGameWithOptions('human_vs_ai', 'human'); };
     zombieBtn.onclick = () => { startGameWithOptions('human_vs_ai', 'zombie'); };
     versusBtn.onclick = () => { startGameWithOptions('ai_vs_ai', 'human', 'zombie'); };
+    watchReplayBtn.onclick = () => { if (replayFileInput) replayFileInput.click(); };
+    loadSavedGameBtn.onclick = () => {
+        if(modalOverlay) modalOverlay.style.display = 'none';
+        showMainMenu();
+    };
     
     resumeGameBtn.onclick = hideMainMenu;
     editorModeBtn.onclick = () => {
@@ -90,11 +159,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     restartGameBtn.onclick = () => { 
         hideMainMenu(); 
-        if(modalOverlay) modalOverlay.style.display = 'flex'; 
-        setCurrentGameState('start_modal');
-        if (commandCardMenu) commandCardMenu.hide();
-        if (contextMenu) contextMenu.hide();
-        if (gameWorld) gameWorld.innerHTML = ''; 
+        returnToStartModal();
     };
 
     // Viewport and global event listeners
@@ -126,6 +191,107 @@ function initializeMenus() {
     contextMenu = new JSRTSMenu('context-menu-actual-container', globalCooldownManagerInstance);
 }
 
+/**
+ * Subscribes the UI to simulation events raised by game-logic.js.
+ */
+function registerSimEventHandlers() {
+    onSimEvent('resources_changed', updateResourceDisplay);
+    onSimEvent('unit_state_changed', ({ unit }) => {
+        if (gameMode === 'human_vs_ai' && selectedUnits.includes(unit)) updateSelectionInfo();
+    });
+    onSimEvent('entity_attacked', ({ entity }) => addMinimapPing(entity));
+    onSimEvent('entity_destroyed', ({ entity }) => {
+        removeFromControlGroups(entity);
+        if (selectedBuilding === entity) deselectAll();
+        else if (selectedUnits.includes(entity)) removeUnitFromSelection(entity);
+        // Losing a building can lock command card entries again
+        else if (entity.buildingType && entity.faction === playerFactionKey && commandCardMenu?.isVisible) updateCommandCard();
+    });
+    onSimEvent('construction_completed', ({ construction, building }) => {
+        replaceInControlGroups(construction, building);
+        if (selectedBuilding === construction) setSelectedBuilding(building);
+        // A finished building can unlock command card entries
+        if (selectedBuilding === building || (building.faction === playerFactionKey && commandCardMenu?.isVisible)) updateCommandCard();
+    });
+    onSimEvent('training_changed', ({ building }) => {
+        if (gameMode === 'human_vs_ai' && building.faction === playerFactionKey) {
+            updateCommandCard();
+            updateSelectionInfo();
+        }
+    });
+    onSimEvent('player_message', ({ factionKey, message }) => {
+        if (factionKey === playerFactionKey) showTemporaryMessage(message);
+    });
+    onSimEvent('game_over', ({ winner }) => {
+        // A replay keeps running so the viewer can seek back; only note the result
+        if (activeReplay) showTemporaryMessage(`Replay: ${winner === "Draw" ? "Draw" : (FACTION_DATA[winner]?.name || winner) + " win"}.`, 3000);
+        else showGameOver(winner);
+    });
+    onSimEvent('game_speed_changed', updateGameSpeedWidget);
+}
+
+/**
+ * Builds one button per entry in GAME_SPEED_OPTIONS inside the game speed widget.
+ */
+function initializeGameSpeedWidget() {
+    if (!gameSpeedWidget) return;
+    gameSpeedWidget.innerHTML = '';
+    GAME_SPEED_OPTIONS.forEach(speed => {
+        const button = document.createElement('button');
+        button.textContent = speed === 0 ? '⏸' : `${speed}x`;
+        button.title = speed === 0 ? 'Pause (Space)' : `Game speed ${speed}x`;
+        button.dataset.speed = speed;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (speed === 0) toggleGamePause();
+            else setGameSpeed(speed);
+        });
+        gameSpeedWidget.appendChild(button);
+    });
+    updateGameSpeedWidget();
+}
+
+/** Highlights the active game speed in the widget. */
+function updateGameSpeedWidget() {
+    if (!gameSpeedWidget) return;
+    gameSpeedWidget.classList.toggle('paused', gameSpeed === 0);
+    gameSpeedWidget.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.speed) === gameSpeed);
+    });
+}
+
+// --- Fog of War View ---
+
+/** Shows the fog of war of a faction, or the whole map when factionKey is null. */
+function setFogView(factionKey) {
+    fogViewFactionKey = factionKey || null;
+    updateFogViewSelect();
+    if (gameInitialized) renderWorld();
+}
+
+/** Steps the fog view through full map, player 1 and player 2 (V key for observers). */
+function cycleFogView() {
+    const views = [null, p1FactionKey, p2FactionKey];
+    setFogView(views[(views.indexOf(fogViewFactionKey) + 1) % views.length]);
+}
+
+/**
+ * Fills the fog view picker for the current match. Only observers (AI vs AI and replays)
+ * get it; a human player always sees through their own faction's fog.
+ */
+function updateFogViewSelect() {
+    if (!fogViewSelect) return;
+    fogViewSelect.innerHTML = '';
+    [['', 'Fog: Full map'], [p1FactionKey, null], [p2FactionKey, null]].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label || `Fog: ${FACTION_DATA[value]?.name || value}`;
+        fogViewSelect.appendChild(option);
+    });
+    fogViewSelect.value = fogViewFactionKey || '';
+    fogViewSelect.classList.toggle('visible', currentGameState === 'in_game' && (gameMode === 'ai_vs_ai' || !!activeReplay));
+}
+
 // --- Game State Transition Functions ---
 
 /**
@@ -144,18 +310,41 @@ function startGameWithOptions(mode, p1Key, p2KeyIfAiVsAi = null) {
         opponentFactionKey = p2FactionKey;
     }
 
+    showGameScreen();
+    const seed = parseGameSeed(seedInput?.value) ?? generateGameSeed();
+    initializeAndStartGame(seed); 
+}
+
+/** Hides the modals and shows the game viewport and speed widget. */
+function showGameScreen() {
     if(modalOverlay) modalOverlay.style.display = 'none';
     if(mainMenuOverlay) mainMenuOverlay.style.display = 'none';
-    if(uiPanelElement) uiPanelElement.style.visibility = (gameMode === 'human_vs_ai') ? 'visible' : 'hidden';
+    if(gameOverMessageDiv) gameOverMessageDiv.style.display = 'none';
     if(viewportElement) viewportElement.style.visibility = 'visible';
+    if(gameSpeedWidget) gameSpeedWidget.classList.add('visible');
     setCurrentGameState('in_game'); 
-    initializeAndStartGame(); 
+}
+
+/** Leaves the current match (or replay) and shows the start modal. */
+function returnToStartModal() {
+    if(gameOverMessageDiv) gameOverMessageDiv.style.display = 'none';
+    if(modalOverlay) modalOverlay.style.display = 'flex'; 
+    setCurrentGameState('start_modal');
+    if (commandCardMenu) commandCardMenu.hide();
+    if (contextMenu) contextMenu.hide();
+    if (gameSpeedWidget) gameSpeedWidget.classList.remove('visible');
+    if (fogViewSelect) fogViewSelect.classList.remove('visible');
+    if (minimapPanel) minimapPanel.style.visibility = '';
+    if (replayControls) replayControls.classList.remove('visible');
+    replaySeekTargetTick = null;
+    clearRenderedWorld();
 }
 
 /**
  * Initializes all game systems, data, map, and starts the game loop.
+ * @param {number} seed - Seed for the simulation PRNG; the same seed reproduces the same map and match.
  */
-function initializeAndStartGame() { 
+function initializeAndStartGame(seed) { 
     if (!gameWorld) gameWorld = document.getElementById('game-world');
     if (!gameWorld) { 
         console.error("MAIN.JS: FATAL - Could not find #game-world element during game start!"); 
@@ -164,21 +353,10 @@ function initializeAndStartGame() {
         return; 
     }
 
-    resetCoreGameState(); 
-
-    currentWorldWidth = WORLD_WIDTH; 
-    currentWorldHeight = WORLD_HEIGHT; 
-
-    p1Wood = INITIAL_WOOD; p1Coal = INITIAL_COAL;
-    p1CurrentFood = 0; p1FoodCapacity = STARTING_FOOD_CAP;
-    p2Wood = INITIAL_WOOD; p2Coal = INITIAL_COAL;
-    p2CurrentFood = 0; p2FoodCapacity = STARTING_FOOD_CAP;
-    
-    factionAiUpdateCounters[p1FactionKey] = 0; 
-    factionAiUpdateCounters[p2FactionKey] = 0;
+    clearRenderedWorld();
 
     try {
-        initializeMapAndBases(); 
+        initializeMatchState(seed);
     } catch (error) {
         console.error("MAIN.JS: FATAL ERROR during map/base initialization:", error);
         setCurrentGameState('start_modal'); 
@@ -191,20 +369,372 @@ function initializeAndStartGame() {
         }
         return;
     }
-    setGameInitialized(true); 
-    
-    updateResourceDisplay();
-    updateSelectionInfo();
-    updateCommandCard(); 
-    
+    gameWorld.style.width = `${currentWorldWidth}px`;
+    gameWorld.style.height = `${currentWorldHeight}px`;
     if (playerBaseData && playerBaseData.box) { 
         centerViewOn(playerBaseData.box.centerX, playerBaseData.box.centerY);
     } else if (WORLD_WIDTH && WORLD_HEIGHT) { 
         centerViewOn(WORLD_WIDTH / 2, WORLD_HEIGHT / 2); 
     }
+    beginGameSession();
+}
+
+/**
+ * Renders the freshly initialized or loaded match, refreshes the UI and (re)starts the game loop.
+ */
+function beginGameSession() {
+    // Decided here rather than in showGameScreen: the match (or replay) state is final now
+    if(uiPanelElement) uiPanelElement.style.visibility = (gameMode === 'human_vs_ai' || activeReplay) ? 'visible' : 'hidden';
+    if(minimapPanel) minimapPanel.style.visibility = 'visible'; // Observers of AI vs AI get the minimap too
+    if(replayControls) replayControls.classList.toggle('visible', !!activeReplay);
+    // Players see through their own fog; observers start with the full map (a replay with the followed faction's fog)
+    if (activeReplay) fogViewFactionKey = replayPerspectiveFactionKey;
+    else fogViewFactionKey = gameMode === 'human_vs_ai' ? playerFactionKey : null;
+    updateFogViewSelect();
+    resetMinimap();
+    renderWorld();
+    renderMinimap();
+    
+    updateResourceDisplay();
+    updateSelectionInfo();
+    updateCommandCard(); 
+    
     applyTransform();
+    updateGameSpeedWidget();
+    updateDebugPanel();
+
+    // Never let a previous game's loop keep running alongside the new one
+    if (gameLoopFrameId !== null) cancelAnimationFrame(gameLoopFrameId);
+    gameLoopFrameId = requestAnimationFrame(gameLoop); 
+}
+
+// --- Save / Load ---
+
+/** Binds the main menu's save slot, export and import controls. */
+function initializeSaveLoadPanel() {
+    if (saveGameBtn) saveGameBtn.onclick = () => {
+        const name = (saveNameInput?.value || '').trim() || defaultSaveName();
+        if (writeSaveSlot(name)) {
+            showTemporaryMessage(`Game saved as "${name}".`);
+            if (saveNameInput) saveNameInput.value = '';
+            refreshSaveLoadPanel();
+        }
+    };
+    if (exportSaveBtn) exportSaveBtn.onclick = exportSaveFile;
+    if (exportReplayBtn) exportReplayBtn.onclick = exportReplayFile;
+    if (importSaveBtn) importSaveBtn.onclick = () => { if (importSaveInput) importSaveInput.click(); };
+    if (importSaveInput) importSaveInput.onchange = () => {
+        const file = importSaveInput.files && importSaveInput.files[0];
+        importSaveInput.value = ''; // Allow importing the same file again
+        if (file) importSaveFile(file);
+    };
+}
+
+/** Default slot name, e.g. "Humans vs Zombies 12:34". */
+function defaultSaveName() {
+    const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${FACTION_DATA[p1FactionKey]?.name || p1FactionKey} vs ${FACTION_DATA[p2FactionKey]?.name || p2FactionKey} ${time}`;
+}
+
+/** True while there is a running match that can be saved (replays can't be). */
+function canSaveGame() {
+    return gameInitialized && !gameOver && !activeReplay;
+}
+
+/** Lists the save slots in localStorage, newest first: [{ name, savedAt, doc }]. */
+function listSaveSlots() {
+    const slots = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(SAVE_SLOT_KEY_PREFIX)) continue;
+            try {
+                const doc = JSON.parse(localStorage.getItem(key));
+                slots.push({ name: key.slice(SAVE_SLOT_KEY_PREFIX.length), savedAt: doc?.savedAt || '', doc });
+            } catch (error) {
+                console.warn(`MAIN.JS: Ignoring unreadable save slot "${key}":`, error);
+            }
+        }
+    } catch (error) {
+        console.error("MAIN.JS: localStorage is not available:", error);
+    }
+    return slots.sort((a, b) => (b.savedAt > a.savedAt ? 1 : b.savedAt < a.savedAt ? -1 : 0));
+}
+
+/** Saves the current match into a named slot (overwriting it). Returns true on success. */
+function writeSaveSlot(name) {
+    if (!canSaveGame()) { showTemporaryMessage("No game in progress to save."); return false; }
+    try {
+        localStorage.setItem(SAVE_SLOT_KEY_PREFIX + name, JSON.stringify(serializeGameState(name)));
+        return true;
+    } catch (error) {
+        console.error("MAIN.JS: Saving game failed:", error);
+        showTemporaryMessage(`Could not save game: ${error.message}`, 3000);
+        return false;
+    }
+}
+
+function deleteSaveSlot(name) {
+    try { localStorage.removeItem(SAVE_SLOT_KEY_PREFIX + name); }
+    catch (error) { console.error("MAIN.JS: Deleting save slot failed:", error); }
+}
+
+/** Rebuilds the slot list and enables/disables the controls that need a running match. */
+function refreshSaveLoadPanel() {
+    const hasGame = canSaveGame();
+    if (saveGameBtn) saveGameBtn.disabled = !hasGame;
+    if (saveNameInput) saveNameInput.disabled = !hasGame;
+    if (exportSaveBtn) exportSaveBtn.disabled = !hasGame;
+    if (resumeGameBtn) resumeGameBtn.disabled = !(gameInitialized && !gameOver);
+    if (exportReplayBtn) exportReplayBtn.disabled = !canBuildReplay();
+    if (!saveSlotList) return;
+
+    saveSlotList.innerHTML = '';
+    const slots = listSaveSlots();
+    if (slots.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'save-slot-empty';
+        empty.textContent = 'No saved games.';
+        saveSlotList.appendChild(empty);
+        return;
+    }
+    slots.forEach(slot => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.className = 'save-slot-name';
+        const savedAt = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : '';
+        label.textContent = slot.name;
+        label.title = savedAt;
+
+        const loadBtn = document.createElement('button');
+        loadBtn.textContent = 'Load';
+        loadBtn.onclick = () => loadSavedGame(slot.doc);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.onclick = () => { deleteSaveSlot(slot.name); refreshSaveLoadPanel(); };
+
+        item.append(label, loadBtn, deleteBtn);
+        saveSlotList.appendChild(item);
+    });
+}
+
+/** Offers a JSON document to the player as a file download. */
+function downloadJsonFile(fileBaseName, doc) {
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `emoji-rts-${fileBaseName.replace(/[^a-z0-9_-]+/gi, '_')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/** Reads a .json file chosen by the player and passes the parsed document to onLoaded. */
+function readJsonFile(file, onLoaded) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let doc;
+        try { doc = JSON.parse(reader.result); }
+        catch (error) { showTemporaryMessage(`Could not read ${file.name}: not valid JSON.`, 3000); return; }
+        onLoaded(doc);
+    };
+    reader.onerror = () => showTemporaryMessage(`Could not read ${file.name}.`, 3000);
+    reader.readAsText(file);
+}
 
-    requestAnimationFrame(gameLoop); 
+/** Downloads the current match as a .json save file. */
+function exportSaveFile() {
+    if (!canSaveGame()) { showTemporaryMessage("No game in progress to export."); return; }
+    const name = (saveNameInput?.value || '').trim() || defaultSaveName();
+    downloadJsonFile(name, serializeGameState(name));
+}
+
+/** Reads a .json save file chosen by the player and loads it. */
+function importSaveFile(file) {
+    readJsonFile(file, loadSavedGame);
+}
+
+/**
+ * Replaces the current match (if any) with a save document and resumes play.
+ * Invalid documents are rejected before anything is torn down.
+ */
+function loadSavedGame(doc) {
+    try {
+        validateSaveDocument(doc);
+    } catch (error) {
+        showTemporaryMessage(`Cannot load save: ${error.message}`, 3000);
+        return false;
+    }
+    if (commandCardMenu) commandCardMenu.hide();
+    if (contextMenu) contextMenu.hide();
+    if (placingBuildingType || placingFarm) cancelPlacement();
+    clearRenderedWorld();
+    try {
+        deserializeGameState(doc);
+    } catch (error) {
+        console.error("MAIN.JS: Loading save failed:", error);
+        setGameInitialized(false);
+        showTemporaryMessage(`Cannot load save: ${error.message}`, 3000);
+        refreshSaveLoadPanel();
+        return false;
+    }
+    if (isDebugVisible) console.log(`MAIN.JS: Loaded save "${doc.name}" (tick ${simTickCount}, seed ${gameSeed}).`);
+
+    showGameScreen();
+    gameWorld.style.width = `${currentWorldWidth}px`;
+    gameWorld.style.height = `${currentWorldHeight}px`;
+    clampCamera();
+    beginGameSession();
+    return true;
+}
+
+// --- Replays ---
+
+/** Binds the replay viewer's controls and the "Watch Replay" file picker. */
+function initializeReplayControls() {
+    if (replayFileInput) replayFileInput.onchange = () => {
+        const file = replayFileInput.files && replayFileInput.files[0];
+        replayFileInput.value = '';
+        if (file) readJsonFile(file, startReplayViewer);
+    };
+    if (replayPlayBtn) replayPlayBtn.onclick = () => toggleGamePause();
+    if (replayExitBtn) replayExitBtn.onclick = returnToStartModal;
+    if (replaySeekSlider) {
+        replaySeekSlider.addEventListener('input', () => {
+            isDraggingReplaySeek = true;
+            updateReplayTimeLabel(Number(replaySeekSlider.value));
+        });
+        replaySeekSlider.addEventListener('change', () => {
+            isDraggingReplaySeek = false;
+            seekReplay(Number(replaySeekSlider.value));
+        });
+    }
+    if (replayPerspectiveSelect) replayPerspectiveSelect.onchange = () => setReplayPerspective(replayPerspectiveSelect.value);
+}
+
+/** Downloads the current match's command log as a .json replay file. */
+function exportReplayFile() {
+    try {
+        const doc = buildReplayDocument();
+        const p1Name = FACTION_DATA[doc.settings.p1FactionKey]?.name || doc.settings.p1FactionKey;
+        const p2Name = FACTION_DATA[doc.settings.p2FactionKey]?.name || doc.settings.p2FactionKey;
+        downloadJsonFile(`replay-${p1Name}-vs-${p2Name}-${doc.seed}`, doc);
+    } catch (error) {
+        showTemporaryMessage(`Cannot export replay: ${error.message}`, 3000);
+    }
+}
+
+/**
+ * Starts the replay viewer for a replay document: re-creates the match from its seed
+ * and shows the replay controls. Player input is ignored while the replay plays.
+ */
+function startReplayViewer(doc) {
+    try {
+        validateReplayDocument(doc);
+    } catch (error) {
+        showTemporaryMessage(`Cannot play replay: ${error.message}`, 3000);
+        return false;
+    }
+    if (commandCardMenu) commandCardMenu.hide();
+    if (contextMenu) contextMenu.hide();
+    clearRenderedWorld();
+    try {
+        startReplay(doc);
+    } catch (error) {
+        console.error("MAIN.JS: Starting replay failed:", error);
+        setGameInitialized(false);
+        showTemporaryMessage(`Cannot play replay: ${error.message}`, 3000);
+        return false;
+    }
+    if (isDebugVisible) console.log(`MAIN.JS: Watching replay (seed ${doc.seed}, ${doc.commands.length} commands, ${doc.endTick} ticks).`);
+    replaySeekTargetTick = null;
+    isDraggingReplaySeek = false;
+
+    if (replayPerspectiveSelect) {
+        replayPerspectiveSelect.innerHTML = '';
+        [p1FactionKey, p2FactionKey].forEach(factionKey => {
+            const option = document.createElement('option');
+            option.value = factionKey;
+            option.textContent = `View: ${FACTION_DATA[factionKey]?.name || factionKey}`;
+            replayPerspectiveSelect.appendChild(option);
+        });
+    }
+    if (replaySeekSlider) replaySeekSlider.max = String(activeReplay.endTick);
+
+    showGameScreen();
+    gameWorld.style.width = `${currentWorldWidth}px`;
+    gameWorld.style.height = `${currentWorldHeight}px`;
+    setReplayPerspective(playerFactionKey);
+    beginGameSession();
+    return true;
+}
+
+/** Switches which faction the replay viewer follows and centers the camera on its base. */
+function setReplayPerspective(factionKey) {
+    if (!activeReplay || !FACTION_DATA[factionKey]) return;
+    replayPerspectiveFactionKey = factionKey;
+    if (replayPerspectiveSelect) replayPerspectiveSelect.value = factionKey;
+    if (fogViewFactionKey) setFogView(factionKey); // Keep the full map if the viewer chose it
+    const base = buildings.find(b => b.isBase && b.faction === factionKey && b.hp > 0);
+    if (base) centerViewOn(base.box.centerX, base.box.centerY);
+    updateResourceDisplay();
+    updateSelectionInfo();
+}
+
+/**
+ * Jumps the replay to a tick. Going backwards restarts from the seed; the remaining
+ * ticks are then fast-forwarded a chunk per frame by gameLoop.
+ */
+function seekReplay(targetTick) {
+    if (!activeReplay) return;
+    const clampedTick = Math.max(0, Math.min(activeReplay.endTick, Math.round(targetTick)));
+    if (clampedTick < simTickCount) {
+        const selectedUnitIds = selectedUnits.map(u => u.id);
+        const selectedBuildingId = selectedBuilding?.id || null;
+        restartReplay();
+        setSelectedUnits(selectedUnitIds.map(id => findEntityById(id)).filter(u => u?.unitType));
+        const reselectedBuilding = findEntityById(selectedBuildingId);
+        if (reselectedBuilding?.buildingType) setSelectedBuilding(reselectedBuilding);
+        updateSelectionInfo();
+    }
+    replaySeekTargetTick = clampedTick;
+}
+
+/** Fast-forwards towards replaySeekTargetTick for up to REPLAY_SEEK_FRAME_BUDGET_MS; called once per frame while seeking. */
+function continueReplaySeek() {
+    const deadline = performance.now() + REPLAY_SEEK_FRAME_BUDGET_MS;
+    let reached = false;
+    while (!reached && performance.now() < deadline) {
+        reached = advanceReplayTo(replaySeekTargetTick, 1);
+    }
+    if (reached) {
+        replaySeekTargetTick = null;
+        updateResourceDisplay();
+        updateSelectionInfo();
+    }
+}
+
+/** Formats a tick count as m:ss of game time. */
+function formatReplayTime(ticks) {
+    const totalSeconds = Math.floor(ticks * SIM_TICK_MS / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function updateReplayTimeLabel(tick) {
+    if (replayTimeLabel && activeReplay) replayTimeLabel.textContent = `${formatReplayTime(tick)} / ${formatReplayTime(activeReplay.endTick)}`;
+}
+
+/** Syncs the replay bar (play button, seek slider, time) with the simulation. */
+function updateReplayControls() {
+    if (!activeReplay) return;
+    if (replayPlayBtn) replayPlayBtn.textContent = gameSpeed === 0 ? '▶' : '⏸';
+    if (!isDraggingReplaySeek) {
+        const shownTick = replaySeekTargetTick ?? simTickCount;
+        if (replaySeekSlider) replaySeekSlider.value = String(shownTick);
+        updateReplayTimeLabel(shownTick);
+    }
 }
 
 
@@ -214,6 +744,7 @@ function showMainMenu() {
     if(mainMenuOverlay) mainMenuOverlay.style.display = 'flex';
     if (commandCardMenu) commandCardMenu.hide();
     if (contextMenu) contextMenu.hide();
+    refreshSaveLoadPanel();
 }
 
 /** Hides the main menu overlay and resumes game or returns to start. */
@@ -228,20 +759,69 @@ function hideMainMenu() {
     }
 }
 
+// --- Main Game Loop ---
+/**
+ * Per-frame driver: camera panning, fixed-tick simulation catch-up, then rendering.
+ * The rules themselves live in stepSimulation (game-logic.js); frame timing only
+ * decides how many SIM_TICK_MS ticks run this frame.
+ */
+function gameLoop(timestamp) {
+    gameLoopFrameId = null;
+    if (currentGameState !== 'in_game' || gameOver) {
+        lastTimestamp = 0; // Don't count paused time as elapsed game time
+        if (gameInitialized || currentGameState !== 'start_modal') {
+            gameLoopFrameId = requestAnimationFrame(gameLoop); 
+        }
+        return;
+    }
+
+    const frameDelta = (lastTimestamp > 0) ? timestamp - lastTimestamp : SIM_TICK_MS; 
+    lastTimestamp = timestamp; 
+    const deltaFactor = Math.min(50, frameDelta) / 16.67; 
+    
+    let dxPan = 0, dyPan = 0; 
+    if (keysPressed.w || keysPressed.arrowup) dyPan += PAN_SPEED; 
+    if (keysPressed.s || keysPressed.arrowdown) dyPan -= PAN_SPEED; 
+    if (keysPressed.a || keysPressed.arrowleft) dxPan += PAN_SPEED; 
+    if (keysPressed.d || keysPressed.arrowright) dxPan -= PAN_SPEED; 
+    if (dxPan !== 0 || dyPan !== 0) { 
+        viewOffsetX += dxPan * deltaFactor; 
+        viewOffsetY += dyPan * deltaFactor; 
+        clampCamera(); 
+        applyTransform(); 
+    } 
+
+    if (replaySeekTargetTick !== null) continueReplaySeek();
+    else advanceSimulation(frameDelta);
+    renderWorld();
+    renderMinimap();
+    updateSelectionGridHp();
+    if (activeReplay) updateReplayControls();
+
+    if (gameOver && !activeReplay) return; 
+    
+    if (isDebugVisible) updateDebugPanel(); 
+    
+    gameLoopFrameId = requestAnimationFrame(gameLoop);
+}
+
 // --- UI Update Functions ---
 /** Updates the resource display panel for the current player. */
 function updateResourceDisplay() {
     try {
-        p1CurrentFood = calculateCurrentFood(p1FactionKey); 
-        p1FoodCapacity = calculateFoodCapacity(p1FactionKey); 
-        if (gameMode === 'human_vs_ai') {
+        refreshFoodTotals();
+        if (activeReplay) {
+            const viewingP1 = replayPerspectiveFactionKey !== p2FactionKey;
+            if(woodCountSpan) woodCountSpan.textContent = viewingP1 ? p1Wood : p2Wood;
+            if(coalCountSpan) coalCountSpan.textContent = viewingP1 ? p1Coal : p2Coal;
+            if(foodCountSpan) foodCountSpan.textContent = viewingP1 ? p1CurrentFood : p2CurrentFood;
+            if(foodCapSpan) foodCapSpan.textContent = viewingP1 ? p1FoodCapacity : p2FoodCapacity;
+        } else if (gameMode === 'human_vs_ai') {
             if(woodCountSpan) woodCountSpan.textContent = p1Wood;
             if(coalCountSpan) coalCountSpan.textContent = p1Coal;
             if(foodCountSpan) foodCountSpan.textContent = p1CurrentFood;
             if(foodCapSpan) foodCapSpan.textContent = p1FoodCapacity;
         }
-        p2CurrentFood = calculateCurrentFood(p2FactionKey);
-        p2FoodCapacity = calculateFoodCapacity(p2FactionKey);
     } catch (e) { console.error("MAIN.JS: Resource display error:", e); }
     
     if (commandCardMenu && commandCardMenu.isVisible && currentGameState === 'in_game') { 
@@ -253,19 +833,30 @@ function updateResourceDisplay() {
 /** Updates the selection information panel. */
 function updateSelectionInfo() {
     if (!selectionInfoDiv) return;
+    selectionGridCells = [];
+    if (activeReplay && selectedUnits.length === 0 && !selectedBuilding) {
+        selectionInfoDiv.innerHTML = `Replay - Viewing ${FACTION_DATA[replayPerspectiveFactionKey]?.name || replayPerspectiveFactionKey}`;
+        return;
+    }
     if (gameMode === 'ai_vs_ai') { selectionInfoDiv.innerHTML = "AI vs AI - Watching..."; return; }
     
+    if (selectedUnits.length > 1) { showSelectionGrid(); updateDebugPanel(); return; }
+
     let text = 'Selected: None';
+    const selectedUnit = selectedUnits[0];
     if (selectedUnit) { 
-        text = `Selected: ${getEmojiForFaction(selectedUnit.unitType, selectedUnit.faction)} Unit ${selectedUnit.id} (${selectedUnit.unitType}, ${selectedUnit.hp}/${selectedUnit.maxHp} HP, Faction: ${selectedUnit.faction}, State: ${selectedUnit.state})`; 
+        text = `Selected: ${selectedUnit.emoji} Unit ${selectedUnit.id} (${selectedUnit.unitType}, ${selectedUnit.hp}/${selectedUnit.maxHp} HP, Faction: ${selectedUnit.faction}, State: ${selectedUnit.state})`; 
     } else if (selectedBuilding) { 
         if (selectedBuilding.isConstructing){ 
-            text = `Selected: ${getEmojiForFaction(selectedBuilding.buildingType, selectedBuilding.faction)} Site ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP, Constructing...)`;
+            text = `Selected: ${selectedBuilding.emoji} Site ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP, Constructing...)`;
         } else if (selectedBuilding.faction === playerFactionKey) { 
-            text = `Selected: ${getEmojiForFaction(selectedBuilding.buildingType, selectedBuilding.faction)} ${selectedBuilding.buildingType} ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP)`; 
+            text = `Selected: ${selectedBuilding.emoji} ${selectedBuilding.buildingType} ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP)`; 
             if(selectedBuilding.isTraining) { text += ` (Training ${getEmojiForFaction(selectedBuilding.trainingUnitType, selectedBuilding.faction)} ${selectedBuilding.trainingUnitType})`; }
+            else if (selectedBuilding.waitingForFood) { text += ` (Needs food for ${getEmojiForFaction(selectedBuilding.productionQueue[0], selectedBuilding.faction)} ${selectedBuilding.productionQueue[0]})`; }
+            if (selectedBuilding.productionQueue.length > 1) { text += ` +${selectedBuilding.productionQueue.length - 1} queued`; }
+            if (selectedBuilding.researchingUpgrade) { text += ` (Researching ${FACTION_DATA[playerFactionKey].upgrades[selectedBuilding.researchingUpgrade].name})`; }
         } else if (selectedBuilding.faction !== playerFactionKey) { 
-            text = `Selected: Opponent ${getEmojiForFaction(selectedBuilding.buildingType, selectedBuilding.faction)} ${selectedBuilding.buildingType} ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP)`; 
+            text = `Selected: Opponent ${selectedBuilding.emoji} ${selectedBuilding.buildingType} ${selectedBuilding.id} (${selectedBuilding.hp}/${selectedBuilding.maxHp} HP)`; 
             if(selectedBuilding.isTraining) { text += ` (Training...)`; } 
             else if (selectedBuilding.isConstructing) { text += ` (Constructing...)`; }
         }
@@ -276,9 +867,32 @@ function updateSelectionInfo() {
     updateDebugPanel(); 
 }
 
+/** Fills the selection panel with one emoji and HP bar per selected unit. */
+function showSelectionGrid() {
+    selectionInfoDiv.textContent = `Selected: ${selectedUnits.length} units`;
+    const grid = document.createElement('div');
+    grid.className = 'selection-grid';
+    selectedUnits.forEach(unit => {
+        const cell = document.createElement('div');
+        cell.className = 'selection-cell';
+        cell.textContent = unit.emoji;
+        const { hpContainer, hpInnerElem } = createHpBarElement();
+        cell.appendChild(hpContainer);
+        grid.appendChild(cell);
+        selectionGridCells.push({ unit: unit, hpBar: { hpContainer: hpContainer, hpInner: hpInnerElem } });
+    });
+    selectionInfoDiv.appendChild(grid);
+    updateSelectionGridHp();
+}
+
+/** Refreshes the HP bars of the selection grid; called every frame since damage raises no UI event. */
+function updateSelectionGridHp() {
+    selectionGridCells.forEach(({ unit, hpBar }) => updateHpBar(hpBar, unit));
+}
+
 /** Updates or shows/hides the command card based on current selection. */
 function updateCommandCard() {
-    if (currentGameState !== 'in_game' || !gameInitialized || gameOver || gameMode === 'ai_vs_ai' || !commandCardMenu) {
+    if (currentGameState !== 'in_game' || !gameInitialized || gameOver || gameMode === 'ai_vs_ai' || activeReplay || !commandCardMenu) {
         if(commandCardMenu) commandCardMenu.hide();
         return;
     }
@@ -286,20 +900,17 @@ function updateCommandCard() {
     const anchorElement = commandCardContainerElement; 
     let builderFn = null;
 
-    if (selectedUnit && selectedUnit.faction === playerFactionKey) {
-        switch (selectedUnit.unitType) {
-            case 'worker': builderFn = buildWorkerCommandCard; break;
-        }
+    if (selectedUnits.length > 0 && selectedUnits[0].faction === playerFactionKey) {
+        if (getSelectionUnitType() === 'worker') builderFn = buildWorkerCommandCard;
+        else if (isCombatSelection()) builderFn = buildCombatUnitCommandCard;
     } else if (selectedBuilding && selectedBuilding.faction === playerFactionKey && !selectedBuilding.isConstructing) {
-         switch (selectedBuilding.buildingType) {
-            case 'base': builderFn = buildBaseCommandCard; break;
-            case 'barracks': builderFn = buildBarracksCommandCard; break;
-            case 'archer_trainer': builderFn = buildArcherTrainerCommandCard; break;
-        }
+        const buildingStaticData = FACTION_DATA[playerFactionKey].buildings[selectedBuilding.buildingType];
+        if (buildingStaticData?.researches) builderFn = buildResearchCommandCard;
+        else if (buildingStaticData?.trains) builderFn = buildTrainingCommandCard;
     }
 
     if (builderFn) {
-        commandCardMenu.showRoot(anchorElement, builderFn, selectedUnit?.element || selectedBuilding?.element);
+        commandCardMenu.showRoot(anchorElement, builderFn, getRenderedElement(selectedUnits[0]?.id || selectedBuilding?.id));
     } else {
         commandCardMenu.hide();
     }
@@ -310,153 +921,186 @@ function buildWorkerCommandCard() {
     const currentFactionStaticData = FACTION_DATA[playerFactionKey]; 
     const canAfford = (cost) => p1Wood >= (cost.wood || 0) && p1Coal >= (cost.coal || 0); 
 
+    // One button per building the faction can construct, in FACTION_DATA order; locked ones say what they need
     const buildActionsSubmenu = () => {
         commandCardMenu.addBackButton();
-        const farmData = currentFactionStaticData.buildings.farm;
-        commandCardMenu.addButton(`Farm`, () => { if(canAfford(farmData.cost)) startPlacingBuilding('farm'); else showTemporaryMessage("Not enough resources for Farm!"); },
-            { iconSrc: GAME_ACTION_ICONS.BUILD_FARM, costText: `W${farmData.cost.wood}`, isCostInsufficient: !canAfford(farmData.cost), hotkey: farmData.hotkey, tooltip: `Build Farm (${farmData.hotkey?.toUpperCase()})` });
-
-        const barracksData = currentFactionStaticData.buildings.barracks;
-        commandCardMenu.addButton(`Barracks`, () => { if(canAfford(barracksData.cost)) startPlacingBuilding('barracks'); else showTemporaryMessage("Not enough resources for Barracks!"); },
-            { iconSrc: GAME_ACTION_ICONS.BUILD_BARRACKS, costText: `W${barracksData.cost.wood}C${barracksData.cost.coal}`, isCostInsufficient: !canAfford(barracksData.cost), hotkey: barracksData.hotkey, tooltip: `Build Barracks (${barracksData.hotkey?.toUpperCase()})` });
-        
-        const archeryData = currentFactionStaticData.buildings.archer_trainer;
-        commandCardMenu.addButton(`Archery`, () => { if(canAfford(archeryData.cost)) startPlacingBuilding('archer_trainer'); else showTemporaryMessage("Not enough resources for Archery!"); },
-            { iconSrc: GAME_ACTION_ICONS.BUILD_ARCHERY, costText: `W${archeryData.cost.wood}C${archeryData.cost.coal}`, isCostInsufficient: !canAfford(archeryData.cost), hotkey: archeryData.hotkey, tooltip: `Build Archery (${archeryData.hotkey?.toUpperCase()})` });
-
-        const towerData = currentFactionStaticData.buildings.guard_tower;
-        commandCardMenu.addButton(`Guard Tower`, () => { if(canAfford(towerData.cost)) startPlacingBuilding('guard_tower'); else showTemporaryMessage("Not enough resources for Guard Tower!"); },
-            { iconSrc: GAME_ACTION_ICONS.BUILD_TOWER, costText: `W${towerData.cost.wood}C${towerData.cost.coal}`, isCostInsufficient: !canAfford(towerData.cost), hotkey: towerData.hotkey, tooltip: `Build Guard Tower (${towerData.hotkey?.toUpperCase()})` });
+        Object.entries(currentFactionStaticData.buildings).forEach(([buildingType, buildingData]) => {
+            if (buildingData.isBase) return;
+            const missing = getMissingPrerequisites(playerFactionKey, buildingType, false).map(requirement => describeRequirement(playerFactionKey, requirement));
+            const cost = buildingData.cost;
+            const role = buildingData.trains ? ` to train ${currentFactionStaticData.units[buildingData.trains]?.name || buildingData.trains}s`
+                : buildingData.researches ? " to research upgrades" : "";
+            commandCardMenu.addButton(missing.length > 0 ? `🔒 ${buildingData.name}` : buildingData.name,
+                () => { if (canAfford(cost)) startPlacingBuilding(buildingType); else showTemporaryMessage(`Not enough resources for ${buildingData.name}!`); },
+                {
+                    iconSrc: GAME_ACTION_ICONS[`BUILD_${buildingType.toUpperCase()}`] || RTS_MENU_ICONS.ADD,
+                    costText: `W${cost.wood || 0}${cost.coal ? `C${cost.coal}` : ''}`,
+                    isCostInsufficient: !canAfford(cost),
+                    disabled: missing.length > 0,
+                    hotkey: buildingData.hotkey,
+                    tooltip: `Build ${buildingData.name} (${buildingData.hotkey?.toUpperCase()})${role}<br>${describeCombatStats(buildingData)}`,
+                    disabledTooltip: missing.length > 0 ? `${buildingData.name} requires: ${missing.join(', ')}` : `Not enough resources for ${buildingData.name}.`
+                }
+            );
+        });
     };
 
     commandCardMenu.addButton("Build", () => { commandCardMenu.openSubmenu(buildActionsSubmenu); return true; }, 
         { iconSrc: RTS_MENU_ICONS.ADD, hotkey: 'b', opensSubmenu: true, tooltip: "Open build menu (B)"}
     );
+    commandCardMenu.addButton("Repair", () => { beginGroundOrderTargeting('moving_to_repair'); },
+        { iconSrc: GAME_ACTION_ICONS.REPAIR, hotkey: 'r', tooltip: `Repair a damaged building (R). Costs W${REPAIR_COST_PER_PAYMENT.wood}C${REPAIR_COST_PER_PAYMENT.coal} per ${REPAIR_HP_PER_PAYMENT} HP; more workers repair faster.` }
+    );
 }
 
-function buildBaseCommandCard() {
-    const currentFactionStaticData = FACTION_DATA[playerFactionKey];
-    const unitToTrain = currentFactionStaticData.buildings.base.trains; 
-    if (!unitToTrain) return;
-    const unitData = currentFactionStaticData.units[unitToTrain];
-    if (!unitData) return;
+function buildCombatUnitCommandCard() {
+    COMBAT_UNIT_COMMANDS.forEach(command => {
+        commandCardMenu.addButton(command.label, () => { command.run(); },
+            { iconSrc: command.iconSrc, hotkey: command.hotkey, tooltip: `${command.label} (${command.hotkey.toUpperCase()})` });
+    });
+}
 
-    const cost = unitData.cost;
-    const foodCost = unitData.foodCost;
-    const canAffordRes = p1Wood >= (cost.wood || 0) && p1Coal >= (cost.coal || 0);
-    const hasFoodCap = p1CurrentFood + foodCost <= p1FoodCapacity;
+/** Command card of a building that `trains` a unit: its train button and production queue. */
+function buildTrainingCommandCard() {
+    addTrainUnitButton(selectedBuilding.buildingType);
+    addProductionQueueButtons();
+}
 
-    commandCardMenu.addButton(
-        `Train ${getEmojiForFaction(unitToTrain, playerFactionKey)} ${unitToTrain}`,
-        () => { 
-            if(canAffordRes && hasFoodCap && !selectedBuilding.isTraining) { 
-                trainUnit(unitToTrain, selectedBuilding); 
-                updateCommandCard(); 
-            } else {
-                if (!canAffordRes) showTemporaryMessage("Not enough resources!");
-                else if (!hasFoodCap) showTemporaryMessage("Not enough food!");
-                else if (selectedBuilding.isTraining) showTemporaryMessage("Already training!");
-            }
-        },
-        {
-            iconSrc: GAME_ACTION_ICONS.TRAIN_WORKER, 
-            costText: `W${cost.wood}C${cost.coal}F${foodCost}`,
-            isCostInsufficient: !canAffordRes || !hasFoodCap,
-            disabled: selectedBuilding.isTraining,
-            hotkey: unitData.hotkey, 
-            tooltip: `Train ${unitToTrain} (${unitData.hotkey?.toUpperCase()}). Cost: ${cost.wood}W, ${cost.coal}C, ${foodCost}F.`
+/**
+ * One button per upgrade of the player's faction: available ones start research, the one being
+ * researched cancels it for a full refund, and locked or finished ones are shown disabled.
+ */
+function buildResearchCommandCard() {
+    const upgrades = FACTION_DATA[playerFactionKey].upgrades || {};
+    Object.entries(upgrades).forEach(([upgradeKey, upgradeData]) => {
+        const status = getUpgradeStatus(playerFactionKey, upgradeKey);
+        const cost = upgradeData.cost;
+        const researchSeconds = upgradeData.researchTime / 1000;
+        if (status === 'done') {
+            commandCardMenu.addButton(`✓ ${upgradeData.name}`, null,
+                { iconSrc: GAME_ACTION_ICONS.RESEARCH, disabled: true, disabledTooltip: `${upgradeData.name}: researched. ${upgradeData.description}.` });
+        } else if (status === 'researching') {
+            const isHere = selectedBuilding.researchingUpgrade === upgradeKey;
+            commandCardMenu.addButton(`${upgradeData.name} (researching)`,
+                () => { executePlayerCommand('cancel_research', { buildingId: selectedBuilding.id }); },
+                { iconSrc: RTS_MENU_ICONS.QUIT, disabled: !isHere, tooltip: `Cancel ${upgradeData.name} (full refund)`, disabledTooltip: `${upgradeData.name} is being researched elsewhere.` });
+        } else if (status === 'locked') {
+            const missing = getMissingRequirements(playerFactionKey, upgradeData.requires).map(requirement => describeRequirement(playerFactionKey, requirement));
+            commandCardMenu.addButton(`🔒 ${upgradeData.name}`, null,
+                { iconSrc: GAME_ACTION_ICONS.RESEARCH, costText: `W${cost.wood}C${cost.coal}`, disabled: true, disabledTooltip: `${upgradeData.name}: ${upgradeData.description}.<br>Requires: ${missing.join(', ')}` });
+        } else {
+            const canAfford = p1Wood >= (cost.wood || 0) && p1Coal >= (cost.coal || 0);
+            commandCardMenu.addButton(upgradeData.name, () => { researchFromSelectedBuilding(upgradeKey); },
+                {
+                    iconSrc: GAME_ACTION_ICONS.RESEARCH,
+                    costText: `W${cost.wood}C${cost.coal}`,
+                    isCostInsufficient: !canAfford,
+                    disabled: !!selectedBuilding.researchingUpgrade,
+                    hotkey: upgradeData.hotkey,
+                    tooltip: `Research ${upgradeData.name} (${upgradeData.hotkey?.toUpperCase()}): ${upgradeData.description}. ${researchSeconds}s.`,
+                    disabledTooltip: selectedBuilding.researchingUpgrade ? "Finish the current research first." : `Not enough resources for ${upgradeData.name}.`
+                }
+            );
         }
-    );
+    });
 }
-function buildBarracksCommandCard() {
+
+/**
+ * Adds the button that queues the unit a building type trains. Food is only checked once the unit starts training.
+ * A unit whose prerequisites are missing is shown locked, with what it needs.
+ */
+function addTrainUnitButton(buildingType) {
     const currentFactionStaticData = FACTION_DATA[playerFactionKey];
-    const unitToTrain = currentFactionStaticData.buildings.barracks.trains; 
+    const unitToTrain = currentFactionStaticData.buildings[buildingType].trains; 
     if (!unitToTrain) return;
     const unitData = currentFactionStaticData.units[unitToTrain];
-     if (!unitData) return;
+    if (!unitData) return;
 
     const cost = unitData.cost;
     const foodCost = unitData.foodCost;
     const canAffordRes = p1Wood >= (cost.wood || 0) && p1Coal >= (cost.coal || 0);
     const hasFoodCap = p1CurrentFood + foodCost <= p1FoodCapacity;
+    const isQueueFull = selectedBuilding.productionQueue.length >= PRODUCTION_QUEUE_SIZE;
+    const missing = getMissingPrerequisites(playerFactionKey, unitToTrain, true).map(requirement => describeRequirement(playerFactionKey, requirement));
 
     commandCardMenu.addButton(
-        `Train ${getEmojiForFaction(unitToTrain, playerFactionKey)} ${unitToTrain}`,
+        `${missing.length > 0 ? '🔒 ' : ''}Train ${getEmojiForFaction(unitToTrain, playerFactionKey)} ${unitToTrain}`,
         () => { 
-            if(canAffordRes && hasFoodCap && !selectedBuilding.isTraining) {
-                trainUnit(unitToTrain, selectedBuilding); 
+            if (canAffordRes && !isQueueFull) { 
+                trainFromSelectedBuilding(unitToTrain); 
                 updateCommandCard(); 
             } else {
                 if (!canAffordRes) showTemporaryMessage("Not enough resources!");
-                else if (!hasFoodCap) showTemporaryMessage("Not enough food!");
-                else if (selectedBuilding.isTraining) showTemporaryMessage("Already training!");
+                else if (isQueueFull) showTemporaryMessage("Production queue is full!");
             }
         },
         {
-            iconSrc: GAME_ACTION_ICONS.TRAIN_SOLDIER,
+            iconSrc: GAME_ACTION_ICONS[`TRAIN_${unitToTrain.toUpperCase()}`] || RTS_MENU_ICONS.ACTION, 
             costText: `W${cost.wood}C${cost.coal}F${foodCost}`,
             isCostInsufficient: !canAffordRes || !hasFoodCap,
-            disabled: selectedBuilding.isTraining,
+            disabled: isQueueFull || missing.length > 0,
             hotkey: unitData.hotkey, 
-            tooltip: `Train ${unitToTrain} (${unitData.hotkey?.toUpperCase()}). Cost: ${cost.wood}W, ${cost.coal}C, ${foodCost}F.`
+            tooltip: `Train ${unitToTrain} (${unitData.hotkey?.toUpperCase()}). Cost: ${cost.wood}W, ${cost.coal}C, ${foodCost}F. Queues up to ${PRODUCTION_QUEUE_SIZE} units.<br>${describeCombatStats(unitData)}`,
+            disabledTooltip: missing.length > 0 ? `${unitData.name} requires: ${missing.join(', ')}` : null
         }
     );
 }
-function buildArcherTrainerCommandCard() {
-    const currentFactionStaticData = FACTION_DATA[playerFactionKey];
-    const unitToTrain = currentFactionStaticData.buildings.archer_trainer.trains; 
-    if (!unitToTrain) return;
-    const unitData = currentFactionStaticData.units[unitToTrain];
-    if (!unitData) return;
 
-    const cost = unitData.cost;
-    const foodCost = unitData.foodCost;
-    const canAffordRes = p1Wood >= (cost.wood || 0) && p1Coal >= (cost.coal || 0);
-    const hasFoodCap = p1CurrentFood + foodCost <= p1FoodCapacity;
+/**
+ * Tooltip lines with a unit or building type's HP, armor and attack. The attack line shows
+ * what one hit does to each armor class (DAMAGE_TYPE_MULTIPLIERS) before the target's armor.
+ */
+function describeCombatStats(staticData) {
+    let text = `HP ${staticData.hp}, armor ${staticData.armor || 0} (${staticData.armorClass})`;
+    if (staticData.attackDamage > 0) {
+        const multipliers = DAMAGE_TYPE_MULTIPLIERS[staticData.damageType] || {};
+        const damageByClass = Object.entries(multipliers)
+            .map(([armorClass, multiplier]) => `${Math.round(staticData.attackDamage * multiplier)} vs ${armorClass}`)
+            .join(', ');
+        text += `<br>Attack ${staticData.attackDamage} ${staticData.damageType}: ${damageByClass}`;
+    }
+    return text;
+}
 
-    commandCardMenu.addButton(
-        `Train ${getEmojiForFaction(unitToTrain, playerFactionKey)} ${unitToTrain}`,
-        () => { 
-             if(canAffordRes && hasFoodCap && !selectedBuilding.isTraining) {
-                trainUnit(unitToTrain, selectedBuilding); 
-                updateCommandCard(); 
-            } else {
-                if (!canAffordRes) showTemporaryMessage("Not enough resources!");
-                else if (!hasFoodCap) showTemporaryMessage("Not enough food!");
-                else if (selectedBuilding.isTraining) showTemporaryMessage("Already training!");
-            }
-        },
-        {
-            iconSrc: GAME_ACTION_ICONS.TRAIN_ARCHER,
-            costText: `W${cost.wood}C${cost.coal}F${foodCost}`,
-            isCostInsufficient: !canAffordRes || !hasFoodCap,
-            disabled: selectedBuilding.isTraining,
-            hotkey: unitData.hotkey, 
-            tooltip: `Train ${unitToTrain} (${unitData.hotkey?.toUpperCase()}). Cost: ${cost.wood}W, ${cost.coal}C, ${foodCost}F.`
-        }
-    );
+/** Lists the selected building's production queue, one button per slot that cancels it for a full refund. */
+function addProductionQueueButtons() {
+    const queue = selectedBuilding.productionQueue;
+    if (queue.length === 0) return;
+    commandCardMenu.addSeparator();
+    queue.forEach((unitType, slot) => {
+        let status = 'Queued';
+        if (slot === 0 && selectedBuilding.isTraining) status = 'Training';
+        else if (slot === 0 && selectedBuilding.waitingForFood) status = 'Needs food';
+        commandCardMenu.addButton(
+            `${getEmojiForFaction(unitType, playerFactionKey)} ${status}`,
+            () => { executePlayerCommand('cancel_training', { buildingId: selectedBuilding.id, slot: slot }); },
+            { iconSrc: RTS_MENU_ICONS.QUIT, tooltip: `Cancel ${unitType} (full refund)` }
+        );
+    });
 }
 
 // --- Context Menu Builders ---
 function buildMoveContextMenu(contextData) {
-    contextMenu.addButton("Move", () => { issueCommand(selectedUnit, { state: 'moving', target: contextData.worldPos, targetElement: null }); }, { iconSrc: GAME_ACTION_ICONS.MOVE, hotkey: 'm' }); 
+    contextMenu.addButton("Move", () => { orderSelectedUnits(() => ({ state: 'moving', target: contextData.worldPos, targetId: null })); }, { iconSrc: GAME_ACTION_ICONS.MOVE, hotkey: 'm' }); 
 }
 function buildAttackContextMenu(contextData, targetEntityData) {
-    const targetBox = getElementWorldBoundingBox(targetEntityData.element);
-    contextMenu.addButton(`Attack ${getEmojiForFaction(targetEntityData.unitType || targetEntityData.buildingType, targetEntityData.faction)}`, () => { issueCommand(selectedUnit, { state: 'moving_to_attack', targetElement: targetEntityData.element, target: { x: targetBox.centerX, y: targetBox.centerY } }); }, { iconSrc: GAME_ACTION_ICONS.ATTACK, hotkey: 'a' }); 
+    const targetCenter = getEntityCenter(targetEntityData);
+    contextMenu.addButton(`Attack ${getEmojiForFaction(targetEntityData.unitType || targetEntityData.buildingType, targetEntityData.faction)}`, () => { orderSelectedUnits(unit => unit.attackDamage > 0 ? { state: 'moving_to_attack', targetId: targetEntityData.id, target: targetCenter } : null); }, { iconSrc: GAME_ACTION_ICONS.ATTACK, hotkey: 'a' }); 
 }
 function buildHarvestContextMenu(contextData, resourceData) {
-    const targetBox = getElementWorldBoundingBox(resourceData.element);
-    contextMenu.addButton(`Harvest ${getEmojiForFaction(resourceData.type, playerFactionKey)}`, () => { issueCommand(selectedUnit, { state: 'moving_to_resource', targetElement: resourceData.element, target: { x: targetBox.centerX, y: targetBox.centerY }, preferredType: resourceData.type }); }, { iconSrc: GAME_ACTION_ICONS.HARVEST, hotkey: 'h' }); 
+    const targetCenter = getEntityCenter(resourceData);
+    contextMenu.addButton(`Harvest ${getEmojiForFaction(resourceData.type, playerFactionKey)}`, () => { orderSelectedUnits(unit => unit.unitType === 'worker' ? { state: 'moving_to_resource', targetId: resourceData.id, target: targetCenter, preferredType: resourceData.type } : null); }, { iconSrc: GAME_ACTION_ICONS.HARVEST, hotkey: 'h' }); 
 }
 function buildAssistConstructionContextMenu(contextData, consData) {
-    contextMenu.addButton(`Build ${getEmojiForFaction(consData.buildingType, consData.faction)}`, () => { assignWorkerToConstruction(consData, selectedUnit, false); }, { iconSrc: GAME_ACTION_ICONS.ASSIST_BUILD, hotkey: 'b' }); 
+    contextMenu.addButton(`Build ${getEmojiForFaction(consData.buildingType, consData.faction)}`, () => { const builder = getSelectedBuilder(); if (builder) executePlayerCommand('assign_worker', { constructionId: consData.id, unitId: builder.id }); }, { iconSrc: GAME_ACTION_ICONS.ASSIST_BUILD, hotkey: 'b', tooltip: "Add a builder to this site (B)" }); 
 }
 function buildReturnResourceContextMenu(contextData) {
     const targetBase = playerBaseData; 
-    if (!targetBase || !targetBase.element) return; 
-    const targetBox = getElementWorldBoundingBox(targetBase.element);
-    contextMenu.addButton(`Return ${getEmojiForFaction(selectedUnit.resourceType === 'wood' ? 'resource_wood' : 'resource_coal', selectedUnit.faction)}`, () => { issueCommand(selectedUnit, { state: 'returning', targetElement: targetBase.element, target: { x: targetBox.centerX, y: targetBox.centerY } }); }, { iconSrc: GAME_ACTION_ICONS.RETURN_RESOURCE, hotkey: 'r' }); 
+    if (!targetBase || targetBase.hp <= 0) return; 
+    const targetCenter = getEntityCenter(targetBase);
+    const carrier = selectedUnits.find(u => u.resourceType);
+    if (!carrier) return;
+    contextMenu.addButton(`Return ${getEmojiForFaction(carrier.resourceType === 'wood' ? 'resource_wood' : 'resource_coal', carrier.faction)}`, () => { orderSelectedUnits(unit => unit.resourceType ? { state: 'returning', targetId: targetBase.id, target: targetCenter } : null); }, { iconSrc: GAME_ACTION_ICONS.RETURN_RESOURCE, hotkey: 'r' }); 
 }
 
 
@@ -465,16 +1109,22 @@ function handleViewportMouseDown(e) {
     if (e.target.closest('.js-rts-menu-base-container') || e.target.closest('#command-card-container') || e.target.closest('#ui-left-elements')) return; 
     if (currentGameState !== 'in_game' || !gameInitialized || gameOver) return;
     
-    if (gameMode === 'ai_vs_ai' && e.button === 0 && !e.target.closest('.game-object')) { 
+    // Middle-drag always pans; left-drag pans only for observers, who have nothing to select
+    if (e.button === 1 || (gameMode === 'ai_vs_ai' && e.button === 0 && !e.target.closest('.game-object'))) { 
         isPanning = true; lastPanX = e.clientX; lastPanY = e.clientY; if(viewportElement) viewportElement.classList.add('panning'); e.preventDefault(); return; 
     }
     if (e.button === 0) { // Left Click
         if (placingBuildingType || placingFarm) { 
-            if (finalizePlacement) finalizePlacement(); e.stopPropagation(); return; 
+            if (finalizePlacement) finalizePlacement(e.shiftKey); e.stopPropagation(); return; 
         } 
-        if (!e.target.closest('.game-object')) { 
-            if (deselectAll) deselectAll(); 
-            isPanning = true; lastPanX = e.clientX; lastPanY = e.clientY; if(viewportElement) viewportElement.classList.add('panning'); e.preventDefault(); 
+        // Clicks on units and buildings complete the order in handleUnitClick / handleBuildingClick
+        if (pendingGroundOrder && !e.target.closest('.unit') && !e.target.closest('.building')) {
+            completeGroundOrder(e.clientX, e.clientY, e.shiftKey); e.preventDefault(); return;
+        }
+        // Units and buildings select themselves on click; anywhere else starts a selection box
+        if (!e.target.closest('.unit') && !e.target.closest('.building')) { 
+            selectionDrag = { startX: e.clientX, startY: e.clientY, addToSelection: e.shiftKey, isBox: false };
+            e.preventDefault(); 
         }
     }
 }
@@ -490,12 +1140,62 @@ function handleViewportMouseMove(e) {
         lastPanX = e.clientX; lastPanY = e.clientY; 
         clampCamera(); applyTransform(); 
     }
+    else if (selectionDrag) {
+        updateSelectionBox(e.clientX, e.clientY);
+    }
 }
 function handleViewportMouseUp(e) { 
     if (currentGameState !== 'in_game' || !gameInitialized || gameOver) return; 
-    if (e.button === 0 && isPanning) { isPanning = false; if(viewportElement) viewportElement.classList.remove('panning'); } 
+    if ((e.button === 0 || e.button === 1) && isPanning) { isPanning = false; if(viewportElement) viewportElement.classList.remove('panning'); } 
+    if (e.button === 0 && selectionDrag) finishSelectionDrag(e.clientX, e.clientY);
+}
+function handleViewportMouseLeave() { 
+    if (isPanning) { isPanning = false; if(viewportElement) viewportElement.classList.remove('panning'); } 
+    if (selectionDrag) cancelSelectionDrag();
+}
+
+/** Draws the selection box from the drag start to the cursor once the drag passes SELECTION_DRAG_THRESHOLD. */
+function updateSelectionBox(clientX, clientY) {
+    if (!selectionDrag.isBox && Math.hypot(clientX - selectionDrag.startX, clientY - selectionDrag.startY) < SELECTION_DRAG_THRESHOLD) return;
+    selectionDrag.isBox = true;
+    if (!selectionBoxElement || !viewportElement) return;
+    const rect = viewportElement.getBoundingClientRect();
+    selectionBoxElement.style.left = `${Math.min(selectionDrag.startX, clientX) - rect.left}px`;
+    selectionBoxElement.style.top = `${Math.min(selectionDrag.startY, clientY) - rect.top}px`;
+    selectionBoxElement.style.width = `${Math.abs(clientX - selectionDrag.startX)}px`;
+    selectionBoxElement.style.height = `${Math.abs(clientY - selectionDrag.startY)}px`;
+    selectionBoxElement.style.display = 'block';
+}
+
+/**
+ * Ends a left-drag on the ground. A drag selects the player's units inside the box;
+ * a plain click clears the selection. Holding Shift adds to the selection instead.
+ */
+function finishSelectionDrag(clientX, clientY) {
+    const drag = selectionDrag;
+    cancelSelectionDrag();
+    if (!drag.isBox) {
+        if (!drag.addToSelection) deselectAll();
+        return;
+    }
+    const corner = viewportToWorld(drag.startX, drag.startY);
+    const oppositeCorner = viewportToWorld(clientX, clientY);
+    const boxedUnits = findPlayerUnitsInArea(corner.x, corner.y, oppositeCorner.x, oppositeCorner.y);
+    if (boxedUnits.length > 0) selectUnits(boxedUnits, drag.addToSelection);
+    else if (!drag.addToSelection) deselectAll();
+}
+function cancelSelectionDrag() {
+    selectionDrag = null;
+    if (selectionBoxElement) selectionBoxElement.style.display = 'none';
+}
+
+/** Returns the player's living units whose centers lie in the world rectangle spanned by two corners, in id order. */
+function findPlayerUnitsInArea(x1, y1, x2, y2) {
+    const area = makeBox(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    return queryGridInBox(unitGrid, area).filter(u =>
+        u.faction === playerFactionKey && u.hp > 0 &&
+        u.worldX >= area.xMin && u.worldX <= area.xMax && u.worldY >= area.yMin && u.worldY <= area.yMax);
 }
-function handleViewportMouseLeave() { if (isPanning) { isPanning = false; if(viewportElement) viewportElement.classList.remove('panning'); } }
 function handleViewportWheel(event) { 
     if (currentGameState !== 'in_game' || !gameInitialized || gameOver) return; 
     try { 
@@ -516,7 +1216,7 @@ function handleViewportWheel(event) {
 }
 
 function gameHandleContextMenu(event) {
-    if (currentGameState !== 'in_game' || gameMode === 'ai_vs_ai' || !gameInitialized || gameOver || !contextMenu) return;
+    if (currentGameState !== 'in_game' || gameMode === 'ai_vs_ai' || activeReplay || !gameInitialized || gameOver || !contextMenu) return;
     
     const clickedOnMenu = event.target.closest('.js-rts-menu-base-container') || event.target.closest('#command-card-container');
     if (event.target.closest('#ui-left-elements') || clickedOnMenu) {
@@ -529,64 +1229,73 @@ function gameHandleContextMenu(event) {
         event.preventDefault(); 
         return;
     }
+    if (pendingGroundOrder) {
+        cancelGroundOrderTargeting();
+        event.preventDefault();
+        return;
+    }
 
     const worldPos = viewportToWorld(event.clientX, event.clientY);
     const clickedOnGameObject = event.target.closest('.game-object');
     let builderFn = null;
-    let commandIssued = false; // Flag to see if a direct command was issued
     let contextData = { worldPos, eventTarget: event.target, clickedOnGameObject };
 
-    if (selectedUnit && selectedUnit.faction === playerFactionKey) {
+    if (selectedUnits.length > 0 && selectedUnits[0].faction === playerFactionKey) {
         event.preventDefault(); // Assume we will do something, either direct command or menu
         
+        let targetUnitData = null, targetBuildingData = null, targetResourceData = null, targetConstructionData = null;
         if (clickedOnGameObject) {
-            const targetUnitData = units.find(u => u.element === clickedOnGameObject && u.hp > 0);
-            const targetBuildingData = buildings.find(b => b.element === clickedOnGameObject && b.hp > 0);
-            const targetResourceData = resources.find(r => r.element === clickedOnGameObject);
-            const targetConstructionData = constructions.find(c => c.element === clickedOnGameObject);
+            const clickedId = clickedOnGameObject.dataset.entityId;
+            targetUnitData = units.find(u => u.id === clickedId && u.hp > 0);
+            targetBuildingData = buildings.find(b => b.id === clickedId && b.hp > 0);
+            targetResourceData = resources.find(r => r.id === clickedId);
+            targetConstructionData = constructions.find(c => c.id === clickedId);
+        }
+        const hostileTarget = [targetUnitData, targetBuildingData].find(t => t && t.faction !== playerFactionKey) || null;
+        const queued = event.shiftKey; // Shift appends to each unit's order queue
 
+        // Each selected unit gets the most specific order it can carry out; the rest move to the clicked point
+        selectedUnits.forEach(unit => {
             // PRIORITY 1: ATTACK HOSTILE
-            if ((targetUnitData && targetUnitData.faction !== playerFactionKey) || (targetBuildingData && targetBuildingData.faction !== playerFactionKey)) {
-                if (selectedUnit.attackDamage > 0) {
-                    const targetBox = getElementWorldBoundingBox(targetUnitData?.element || targetBuildingData.element);
-                    issueCommand(selectedUnit, { state: 'moving_to_attack', targetElement: targetUnitData?.element || targetBuildingData.element, target: { x: targetBox.centerX, y: targetBox.centerY } });
-                    commandIssued = true;
+            if (hostileTarget) {
+                if (unit.attackDamage > 0) {
+                    orderUnit(unit, { state: 'moving_to_attack', targetId: hostileTarget.id, target: getEntityCenter(hostileTarget) }, queued);
+                    return;
                 }
             } 
             // PRIORITY 2: WORKER ACTIONS
-            else if (selectedUnit.unitType === 'worker' && !commandIssued) { // Check if not already issued attack
+            else if (unit.unitType === 'worker') {
                 if (targetResourceData && !(targetResourceData.type === 'mine' && targetResourceData.health <= 0)) {
-                    const targetBox = getElementWorldBoundingBox(targetResourceData.element);
-                    issueCommand(selectedUnit, { state: 'moving_to_resource', targetElement: targetResourceData.element, target: { x: targetBox.centerX, y: targetBox.centerY }, preferredType: targetResourceData.type });
-                    commandIssued = true;
-                } else if (targetConstructionData && targetConstructionData.faction === playerFactionKey && selectedUnit.canBuild && (!targetConstructionData.assignedWorker || targetConstructionData.assignedWorker === selectedUnit)) {
-                    assignWorkerToConstruction(targetConstructionData, selectedUnit, false); 
-                    commandIssued = true; // assignWorkerToConstruction issues its own move command
-                } else if (targetBuildingData && targetBuildingData.buildingType === 'base' && targetBuildingData.faction === playerFactionKey && selectedUnit.resourceType) {
-                     const targetBox = getElementWorldBoundingBox(targetBuildingData.element);
-                     issueCommand(selectedUnit, { state: 'returning', targetElement: targetBuildingData.element, target: { x: targetBox.centerX, y: targetBox.centerY } });
-                     commandIssued = true;
+                    orderUnit(unit, { state: 'moving_to_resource', targetId: targetResourceData.id, target: getEntityCenter(targetResourceData), preferredType: targetResourceData.type }, queued);
+                    return;
+                } else if (targetConstructionData && targetConstructionData.faction === playerFactionKey && unit.canBuild) {
+                    // Every selected worker joins the site's builders (assignWorkerToConstruction issues its own move command)
+                    executePlayerCommand('assign_worker', { constructionId: targetConstructionData.id, unitId: unit.id, queued: queued }); 
+                    return;
+                } else if (targetBuildingData && targetBuildingData.buildingType === 'base' && targetBuildingData.faction === playerFactionKey && unit.resourceType) {
+                    orderUnit(unit, { state: 'returning', targetId: targetBuildingData.id, target: getEntityCenter(targetBuildingData) }, queued);
+                    return;
+                } else if (canRepairBuilding(unit, targetBuildingData)) {
+                    orderUnit(unit, getRepairCommand(targetBuildingData), queued);
+                    return;
                 }
             }
-        }
-
-        // If no specific direct command was issued, default to move or show context menu for other options
-        if (!commandIssued) {
-            // If clicked on an interactable but no default action, or for more options, build a menu.
-            // For now, if no specific interaction, default to move.
-            // A more complex system could have builderFn determined here for less common interactions.
-            issueCommand(selectedUnit, { state: 'moving', target: worldPos, targetElement: null });
-            // Example: If you want a menu for "Follow friendly unit" or "Repair friendly building":
-            // if (targetUnitData && targetUnitData.faction === playerFactionKey && targetUnitData !== selectedUnit) {
-            //    builderFn = (ctxData) => buildFollowMenu(ctxData, targetUnitData);
-            // } else { /* default move */ }
-        }
+            // If no specific direct command applies, default to move.
+            // A more complex system could show a context menu here for less common interactions
+            // (e.g. "Follow friendly unit").
+            orderUnit(unit, { state: 'moving', target: { x: worldPos.x, y: worldPos.y }, targetId: null }, queued);
+        });
 
-    } else if (!selectedUnit && clickedOnGameObject) { // No unit selected, but right-clicked on a game object
+    } else if (selectedBuilding && canSetRallyPoint(selectedBuilding)) {
+        event.preventDefault();
+        setRallyPointFromClick(selectedBuilding, worldPos, clickedOnGameObject);
+        return;
+    } else if (selectedUnits.length === 0 && clickedOnGameObject) { // No unit selected, but right-clicked on a game object
         event.preventDefault(); // Prevent browser context menu
-        const targetUnitData = units.find(u => u.element === clickedOnGameObject && u.hp > 0 && u.faction === playerFactionKey);
-        const targetBuildingData = buildings.find(b => b.element === clickedOnGameObject && b.hp > 0 && b.faction === playerFactionKey && b.buildingType !== 'farm' && !b.isConstructing);
-        const targetConstructionSite = constructions.find(c => c.element === clickedOnGameObject && c.faction === playerFactionKey);
+        const clickedId = clickedOnGameObject.dataset.entityId;
+        const targetUnitData = units.find(u => u.id === clickedId && u.hp > 0 && u.faction === playerFactionKey);
+        const targetBuildingData = buildings.find(b => b.id === clickedId && b.hp > 0 && b.faction === playerFactionKey && b.buildingType !== 'farm' && !b.isConstructing);
+        const targetConstructionSite = constructions.find(c => c.id === clickedId && c.faction === playerFactionKey);
 
         if (targetUnitData) { handleUnitClick(targetUnitData); } 
         else if (targetBuildingData) { handleBuildingClick(targetBuildingData); }
@@ -602,6 +1311,34 @@ function gameHandleContextMenu(event) {
 }
 
 
+/** Whether the building is a finished player building that trains units (base, barracks, archer range). */
+function canSetRallyPoint(buildingData) {
+    return buildingData.faction === playerFactionKey && !buildingData.isConstructing &&
+        !!FACTION_DATA[playerFactionKey].buildings[buildingData.buildingType]?.trains;
+}
+
+/**
+ * Sets a building's rally point from a right-click: on a tree or mine, or on an enemy, the
+ * point follows that target; on the building itself it clears the rally point; anywhere else
+ * it marks the clicked ground.
+ */
+function setRallyPointFromClick(buildingData, worldPos, clickedOnGameObject) {
+    const clickedId = clickedOnGameObject ? clickedOnGameObject.dataset.entityId : null;
+    if (clickedId === buildingData.id) {
+        executePlayerCommand('set_rally_point', { buildingId: buildingData.id, point: null, targetId: null });
+        return;
+    }
+    const targetResourceData = resources.find(r => r.id === clickedId && !(r.type === 'mine' && r.health <= 0));
+    const targetEnemy = [...units, ...buildings].find(e => e.id === clickedId && e.hp > 0 && e.faction !== playerFactionKey);
+    const rallyTarget = targetResourceData || targetEnemy || null;
+    executePlayerCommand('set_rally_point', {
+        buildingId: buildingData.id,
+        point: rallyTarget ? getEntityCenter(rallyTarget) : { x: worldPos.x, y: worldPos.y },
+        targetId: rallyTarget ? rallyTarget.id : null
+    });
+}
+
+
 function handleGlobalKeyDown(e) {
     if (e.defaultPrevented && (contextMenu?.isVisible || commandCardMenu?.isVisible)) {
         return; 
@@ -619,13 +1356,37 @@ function handleGlobalKeyDown(e) {
     
     if (currentGameState !== 'in_game' || !gameInitialized || gameOver) return;
     
+    if (gameMode === 'human_vs_ai' && !activeReplay && !e.target.matches('input, textarea') && !e.ctrlKey && !e.metaKey && isCombatSelection()) {
+        const combatCommand = COMBAT_UNIT_COMMANDS.find(command => command.hotkey === key);
+        if (combatCommand) { combatCommand.run(); e.preventDefault(); e.stopPropagation(); return; }
+    }
     if (keysPressed.hasOwnProperty(key) && (key === 'w' || key === 'a' || key === 's' || key === 'd' || key.startsWith("arrow"))) {
         keysPressed[key] = true;
         if (key.startsWith("arrow")) e.preventDefault(); 
     }
     if (key === '`') { if (toggleDebugPanel) toggleDebugPanel(); e.preventDefault(); return; }
 
-    if (gameMode === 'human_vs_ai' && !e.target.matches('input, textarea')) {
+    if (!e.target.matches('input, textarea')) {
+        // Game speed hotkeys work in every mode, including AI vs AI
+        if (key === ' ' || key === 'pause') { toggleGamePause(); e.preventDefault(); return; }
+        if (key === '=' || key === '+') { stepGameSpeed(1); e.preventDefault(); return; }
+        if (key === '-' || key === '_') { stepGameSpeed(-1); e.preventDefault(); return; }
+        // Observers have nothing to deselect, so Escape goes straight to the main menu (save/load)
+        if (key === 'escape' && (gameMode === 'ai_vs_ai' || activeReplay)) { showMainMenu(); e.preventDefault(); return; }
+        if (key === 'v' && (gameMode === 'ai_vs_ai' || activeReplay)) { cycleFogView(); e.preventDefault(); return; }
+    }
+
+    if (gameMode === 'human_vs_ai' && !activeReplay && !e.target.matches('input, textarea')) {
+        // Control groups use the key's position (e.code), since Shift changes e.key ('1' -> '!')
+        const groupKeyMatch = /^(?:Digit|Numpad)([1-9])$/.exec(e.code);
+        if (groupKeyMatch) {
+            const groupKey = groupKeyMatch[1];
+            if (e.ctrlKey || e.metaKey) assignControlGroup(groupKey);
+            else if (e.shiftKey) addSelectionToControlGroup(groupKey);
+            else recallControlGroup(groupKey, e.timeStamp);
+            e.preventDefault(); e.stopPropagation(); return;
+        }
+
         // Global Game Hotkeys 
         if (selectedBuilding && selectedBuilding.faction === playerFactionKey && !selectedBuilding.isConstructing) {
             const bldgStaticData = FACTION_DATA[playerFactionKey].buildings[selectedBuilding.buildingType];
@@ -634,12 +1395,20 @@ function handleGlobalKeyDown(e) {
                 const unitStaticData = FACTION_DATA[playerFactionKey].units[unitTypeToTrain];
                 if (unitStaticData?.hotkey && key === unitStaticData.hotkey) {
                     if (isDebugVisible) console.log(`MAIN.JS: Global hotkey - Train ${unitTypeToTrain} from ${selectedBuilding.buildingType}`);
-                    trainUnit(unitTypeToTrain, selectedBuilding); 
+                    trainFromSelectedBuilding(unitTypeToTrain); 
                     updateCommandCard(); 
                     e.preventDefault(); e.stopPropagation(); return;
                 }
             }
-        } else if (selectedUnit && selectedUnit.unitType === 'worker' && selectedUnit.faction === playerFactionKey) {
+            if (bldgStaticData?.researches) {
+                const upgrades = FACTION_DATA[playerFactionKey].upgrades || {};
+                const upgradeKey = Object.keys(upgrades).find(upgradeKeyToCheck => upgrades[upgradeKeyToCheck].hotkey === key);
+                if (upgradeKey) {
+                    researchFromSelectedBuilding(upgradeKey);
+                    e.preventDefault(); e.stopPropagation(); return;
+                }
+            }
+        } else if (getSelectionUnitType() === 'worker' && selectedUnits[0].faction === playerFactionKey) {
             if (key === 'b') { // Worker's "Build" master hotkey
                 if (isDebugVisible) console.log("MAIN.JS: Global Hotkey - Trigger Worker Build Menu (B)");
                 if (commandCardMenu && commandCardMenu.isVisible) {
@@ -654,19 +1423,18 @@ function handleGlobalKeyDown(e) {
                 }
                 e.preventDefault(); e.stopPropagation(); return;
             }
+            if (key === 'r' && !placingBuildingType && !placingFarm) { // Worker's "Repair"
+                beginGroundOrderTargeting('moving_to_repair');
+                e.preventDefault(); e.stopPropagation(); return;
+            }
             
             for (const buildingKey in FACTION_DATA[playerFactionKey].buildings) {
                 const buildingData = FACTION_DATA[playerFactionKey].buildings[buildingKey];
-                if (buildingData.hotkey && key === buildingData.hotkey) {
-                    if (aiCanAffordGeneric(playerFactionKey, buildingKey, false, p1Wood, p1Coal, 0,0) && !placingBuildingType && !placingFarm) {
-                        if (isDebugVisible) console.log(`MAIN.JS: Global hotkey - Start placing ${buildingKey}`);
-                        startPlacingBuilding(buildingKey); 
-                        e.preventDefault(); e.stopPropagation(); return;
-                    } else if (isDebugVisible) {
-                        // console.log(`MAIN.JS: Cannot place ${buildingKey} via hotkey - cost/placing`);
-                    }
-                    // break; // Found a matching hotkey, even if couldn't execute, so stop checking others.
-                              // Commented out to allow overlapping hotkeys if needed, but generally bad idea.
+                if (buildingData.hotkey && key === buildingData.hotkey && !placingBuildingType && !placingFarm) {
+                    // startPlacingBuilding explains a missing prerequisite or resource
+                    if (isDebugVisible) console.log(`MAIN.JS: Global hotkey - Start placing ${buildingKey}`);
+                    startPlacingBuilding(buildingKey); 
+                    e.preventDefault(); e.stopPropagation(); return;
                 }
             }
         }
@@ -678,8 +1446,9 @@ function handleGlobalKeyDown(e) {
                 // If command card is at root and no search is active, Esc can hide it or deselect.
                 // For now, deselectAll handles hiding it.
             }
+            if (pendingGroundOrder) { cancelGroundOrderTargeting(); e.preventDefault(); return; }
             if (placingBuildingType || placingFarm) { if(cancelPlacement) cancelPlacement(); e.preventDefault(); return;}
-            else if (selectedUnit || selectedBuilding) { if(deselectAll) deselectAll(); e.preventDefault(); return;}
+            else if (selectedUnits.length > 0 || selectedBuilding) { if(deselectAll) deselectAll(); e.preventDefault(); return;}
             else { showMainMenu(); e.preventDefault(); return;} 
         }
     }
@@ -689,18 +1458,30 @@ function handleGlobalKeyUp(e) {
     if (keysPressed.hasOwnProperty(key)) { keysPressed[key] = false; } 
 }
 
-function handleUnitClick(unit) { 
+/**
+ * Selects a clicked player unit. Shift-click adds or removes it from the selection;
+ * a double-click selects every visible unit of the same type.
+ * @param {object} unit - The clicked unit.
+ * @param {MouseEvent} [e] - The click event, for its modifier keys and click count.
+ */
+function handleUnitClick(unit, e) { 
     if (gameMode === 'ai_vs_ai') return; 
-    if (selectedUnit === unit) return; 
-    deselectAll(); 
-    setSelectedUnit(unit); 
-    if(unit.element) unit.element.classList.add('selected'); 
-    if (unit.hpContainer) unit.hpContainer.style.display = 'block'; 
-    updateSelectionInfo(); 
-    updateCommandCard(); 
+    if (pendingGroundOrder && e) { completeGroundOrder(e.clientX, e.clientY, e.shiftKey, unit); return; }
+    if (e?.detail >= 2) {
+        selectUnits(findVisiblePlayerUnits().filter(u => u.unitType === unit.unitType), e.shiftKey);
+        return;
+    }
+    if (e?.shiftKey) {
+        if (selectedUnits.includes(unit)) removeUnitFromSelection(unit);
+        else selectUnits([unit], true);
+        return;
+    }
+    if (selectedUnits.length === 1 && selectedUnits[0] === unit) return; 
+    selectUnits([unit]);
 }
-function handleBuildingClick(buildingData) { 
+function handleBuildingClick(buildingData, e) { 
     if (gameMode === 'ai_vs_ai') return; 
+    if (pendingGroundOrder && e) { completeGroundOrder(e.clientX, e.clientY, e.shiftKey, buildingData); return; }
     if (buildingData.buildingType === 'farm' && !buildingData.isConstructing) { 
         deselectAll(); 
         return; 
@@ -708,43 +1489,190 @@ function handleBuildingClick(buildingData) {
     if (selectedBuilding === buildingData) return; 
     deselectAll(); 
     setSelectedBuilding(buildingData); 
-    if (selectedBuilding.element) { 
-        selectedBuilding.element.classList.add('selected-building'); 
-        if (selectedBuilding.hpContainer) selectedBuilding.hpContainer.style.display = 'block'; 
-    } 
     updateSelectionInfo(); 
     updateCommandCard(); 
 }
 function deselectAll() { 
     if (gameMode === 'ai_vs_ai') return; 
-    if (selectedUnit) { 
-        if(selectedUnit.element) selectedUnit.element.classList.remove('selected'); 
-        if (selectedUnit.hpContainer && selectedUnit.hp === selectedUnit.maxHp) { 
-            selectedUnit.hpContainer.style.display = 'none'; 
-        }
-        setSelectedUnit(null);
-    } 
-    if (selectedBuilding) { 
-        if (selectedBuilding.element) { 
-            selectedBuilding.element.classList.remove('selected-building'); 
-            if (selectedBuilding.hpContainer && selectedBuilding.hp === selectedBuilding.maxHp && !selectedBuilding.isConstructing) { 
-                 selectedBuilding.hpContainer.style.display = 'none';
-            }
-        } 
-        setSelectedBuilding(null);
-    } 
+    // Selection highlights and HP bars are refreshed by renderWorld on the next frame
+    if (selectedUnits.length > 0) setSelectedUnits([]);
+    if (selectedBuilding) setSelectedBuilding(null);
+    if (pendingGroundOrder) cancelGroundOrderTargeting();
     if (placingBuildingType || placingFarm) { 
         cancelPlacement(); 
     } 
-    updateSelectionInfo(); 
-    updateCommandCard(); 
+    updateSelectionInfo();
+    updateCommandCard();
+}
+
+/**
+ * Replaces the selection with a list of units, or adds them to it.
+ * Selecting units clears a selected building and cancels building placement.
+ */
+function selectUnits(unitList, addToSelection = false) {
+    const newSelection = addToSelection ? selectedUnits.concat(unitList.filter(u => !selectedUnits.includes(u))) : unitList;
+    deselectAll();
+    setSelectedUnits(newSelection);
+    updateSelectionInfo();
+    updateCommandCard();
+}
+/** Drops one unit from the selection (e.g. shift-click or death), clearing it entirely once empty. */
+function removeUnitFromSelection(unit) {
+    const remaining = selectedUnits.filter(u => u !== unit);
+    if (remaining.length === 0) { deselectAll(); return; }
+    setSelectedUnits(remaining);
+    updateSelectionInfo();
+    updateCommandCard();
+}
+/** Returns the player's living units that are currently inside the viewport. */
+function findVisiblePlayerUnits() {
+    if (!viewportElement) return [];
+    const rect = viewportElement.getBoundingClientRect();
+    const topLeft = viewportToWorld(rect.left, rect.top);
+    const bottomRight = viewportToWorld(rect.right, rect.bottom);
+    return findPlayerUnitsInArea(topLeft.x, topLeft.y, bottomRight.x, bottomRight.y);
+}
+/** Returns the unit type shared by every selected unit, or null for an empty or mixed selection. */
+function getSelectionUnitType() {
+    const unitType = selectedUnits[0]?.unitType || null;
+    return selectedUnits.every(u => u.unitType === unitType) ? unitType : null;
+}
+/** Whether every selected unit is a player unit that can fight (soldiers and archers). */
+function isCombatSelection() {
+    return selectedUnits.length > 0 && selectedUnits.every(unit => unit.faction === playerFactionKey && unit.attackDamage > 0);
+}
+/** Returns the selected unit that constructs buildings placed or assisted from the command card. */
+function getSelectedBuilder() {
+    return selectedUnits.find(u => u.canBuild) || null;
+}
+
+/**
+ * Sends an order to one unit through the (recorded) player command path.
+ * @param {boolean} [queued] - Run it after the unit's current and queued orders instead of replacing them.
+ */
+function orderUnit(unit, command, queued = false) {
+    executePlayerCommand('issue_command', { unitId: unit.id, command: command, queued: queued });
+}
+/**
+ * Orders every selected unit. `commandForUnit(unit)` builds each unit's command,
+ * or returns null to leave that unit alone.
+ */
+function orderSelectedUnits(commandForUnit, queued = false) {
+    selectedUnits.forEach(unit => {
+        const command = commandForUnit(unit);
+        if (command) orderUnit(unit, command, queued);
+    });
+}
+
+/** Waits for a click on the map that gives the selected units an order with this state (a key of GROUND_ORDER_PROMPTS). */
+function beginGroundOrderTargeting(orderState) {
+    pendingGroundOrder = orderState;
+    if (viewportElement) viewportElement.classList.add('targeting');
+    showTemporaryMessage(GROUND_ORDER_PROMPTS[orderState]);
+}
+function cancelGroundOrderTargeting() {
+    pendingGroundOrder = null;
+    if (viewportElement) viewportElement.classList.remove('targeting');
+}
+/**
+ * Issues the pending ground order to every selected unit towards a clicked point.
+ * An attack-move clicked on an enemy attacks that enemy instead. A repair order needs
+ * the click to land on a damaged building and goes to the selected workers only.
+ * @param {object} [clickedEntity] - The unit or building the click landed on.
+ */
+function completeGroundOrder(clientX, clientY, queued, clickedEntity = null) {
+    const worldPos = viewportToWorld(clientX, clientY);
+    const orderState = pendingGroundOrder;
+    if (orderState === 'moving_to_repair') {
+        const repairers = selectedUnits.filter(unit => canRepairBuilding(unit, clickedEntity));
+        if (repairers.length === 0) showTemporaryMessage("Choose a damaged building of yours to repair.");
+        repairers.forEach(unit => orderUnit(unit, getRepairCommand(clickedEntity), queued));
+        cancelGroundOrderTargeting();
+        return;
+    }
+    const attackTarget = orderState === 'attack_moving' && clickedEntity && clickedEntity.hp > 0 && clickedEntity.faction !== playerFactionKey ? clickedEntity : null;
+    // Units that cannot fight walk to an attack-move's destination instead
+    orderSelectedUnits(unit => {
+        if (attackTarget && unit.attackDamage > 0) return { state: 'moving_to_attack', targetId: attackTarget.id, target: getEntityCenter(attackTarget) };
+        return {
+            state: orderState === 'attack_moving' && !(unit.attackDamage > 0) ? 'moving' : orderState,
+            target: { x: worldPos.x, y: worldPos.y }, targetId: null
+        };
+    }, queued);
+    cancelGroundOrderTargeting();
+}
+/** Starts training a unit in the selected building through the player command path. */
+function trainFromSelectedBuilding(unitType) {
+    if (!selectedBuilding) return;
+    executePlayerCommand('train_unit', { unitType: unitType, buildingId: selectedBuilding.id });
+}
+function researchFromSelectedBuilding(upgradeKey) {
+    if (!selectedBuilding) return;
+    executePlayerCommand('start_research', { upgradeKey: upgradeKey, buildingId: selectedBuilding.id });
+}
+
+// --- Control Groups ---
+/** Returns the selected player entities a control group can hold. */
+function getSelectedPlayerEntities() {
+    const selected = selectedBuilding ? [selectedBuilding] : selectedUnits;
+    return selected.filter(entity => entity.faction === playerFactionKey);
+}
+/** Binds the current selection to a number key (Ctrl+N), replacing the group's previous members. */
+function assignControlGroup(groupKey) {
+    const entities = getSelectedPlayerEntities();
+    if (entities.length === 0) return;
+    controlGroups[groupKey] = entities.slice();
+    showTemporaryMessage(`Group ${groupKey}: ${entities.length} selected.`, 1200);
+}
+/** Adds the current selection to a group (Shift+N). */
+function addSelectionToControlGroup(groupKey) {
+    const group = controlGroups[groupKey] || [];
+    const additions = getSelectedPlayerEntities().filter(entity => !group.includes(entity));
+    if (additions.length === 0) return;
+    controlGroups[groupKey] = group.concat(additions);
+    showTemporaryMessage(`Group ${groupKey}: ${controlGroups[groupKey].length} selected.`, 1200);
+}
+/**
+ * Selects a group (N): its units, or its first building if it has no units left.
+ * Pressing the same number again within CONTROL_GROUP_DOUBLE_TAP_MS centers the camera on the group.
+ * @param {string} groupKey - '1' to '9'.
+ * @param {number} time - Timestamp of the key press in ms.
+ */
+function recallControlGroup(groupKey, time) {
+    const group = controlGroups[groupKey];
+    if (!group || group.length === 0) return;
+    const groupUnits = group.filter(entity => entity.unitType);
+    if (groupUnits.length > 0) selectUnits(groupUnits);
+    else handleBuildingClick(group[0]);
+
+    const isDoubleTap = lastControlGroupRecall?.groupKey === groupKey && time - lastControlGroupRecall.time < CONTROL_GROUP_DOUBLE_TAP_MS;
+    lastControlGroupRecall = { groupKey: groupKey, time: time };
+    if (isDoubleTap) {
+        const focused = groupUnits.length > 0 ? groupUnits : [group[0]];
+        const centers = focused.map(getEntityCenter);
+        centerViewOn(centers.reduce((sum, c) => sum + c.x, 0) / centers.length, centers.reduce((sum, c) => sum + c.y, 0) / centers.length);
+    }
+}
+/** Drops a destroyed entity from every group; empty groups are forgotten. */
+function removeFromControlGroups(entity) {
+    Object.keys(controlGroups).forEach(groupKey => {
+        controlGroups[groupKey] = controlGroups[groupKey].filter(member => member !== entity);
+        if (controlGroups[groupKey].length === 0) delete controlGroups[groupKey];
+    });
+}
+/** Keeps groups pointing at a construction site once it is replaced by the finished building. */
+function replaceInControlGroups(oldEntity, newEntity) {
+    Object.values(controlGroups).forEach(group => {
+        const index = group.indexOf(oldEntity);
+        if (index > -1) group[index] = newEntity;
+    });
 }
 
 // --- Camera & Placement Functions ---
 function clampCamera() { if (!gameInitialized || !viewportElement) return; const worldWidthScaled = currentWorldWidth * scale; const worldHeightScaled = currentWorldHeight * scale; const minX = viewportElement.clientWidth - worldWidthScaled; const minY = viewportElement.clientHeight - worldHeightScaled; viewOffsetX = (minX > 0) ? minX / 2 : Math.min(0, Math.max(minX, viewOffsetX)); viewOffsetY = (minY > 0) ? minY / 2 : Math.min(0, Math.max(minY, viewOffsetY)); }
 function applyTransform() { if(gameWorld) gameWorld.style.transform = `translate(${viewOffsetX.toFixed(2)}px, ${viewOffsetY.toFixed(2)}px) scale(${scale.toFixed(3)})`; }
 function viewportToWorld(clientX, clientY) { if (!viewportElement) return {x:0, y:0}; const rect = viewportElement.getBoundingClientRect(); const worldX = (clientX - rect.left - viewOffsetX) / scale; const worldY = (clientY - rect.top - viewOffsetY) / scale; return { x: worldX, y: worldY }; }
-function centerViewOn(worldX, worldY) { scale = 1.0; viewOffsetX = viewportElement.clientWidth / 2 - worldX * scale; viewOffsetY = viewportElement.clientHeight / 2 - worldY * scale; clampCamera(); applyTransform(); }
+function centerViewOn(worldX, worldY, keepZoom = false) { if (!keepZoom) scale = 1.0; viewOffsetX = viewportElement.clientWidth / 2 - worldX * scale; viewOffsetY = viewportElement.clientHeight / 2 - worldY * scale; clampCamera(); applyTransform(); }
 
 function startPlacingBuilding(type) { 
     if (gameMode === 'ai_vs_ai') return; 
@@ -754,14 +1682,17 @@ function startPlacingBuilding(type) {
     if (!buildingStaticData) { console.error("MAIN.JS: No static data for building type: " + type); return; }
     const cost = buildingStaticData.cost;
 
+    const prerequisitesMessage = getMissingPrerequisitesMessage(playerFactionKey, type, false);
+    if (prerequisitesMessage) {
+        showTemporaryMessage(prerequisitesMessage);
+        return;
+    }
     if (p1Wood < (cost.wood || 0) || p1Coal < (cost.coal || 0)) {
         showTemporaryMessage(`Not enough resources for ${type}!`);
         updateCommandCard(); 
         return; 
     }
-    p1Wood -= (cost.wood || 0);
-    p1Coal -= (cost.coal || 0);
-    updateResourceDisplay(); 
+    executePlayerCommand('reserve_building_cost', { buildingType: type });
 
     if (type === 'farm') { 
         placingFarm = true; 
@@ -800,19 +1731,14 @@ function startPlacingBuilding(type) {
 }
 function updatePlacementPreview(worldX, worldY) { 
     if (gameMode === 'ai_vs_ai' || (!placingBuildingType && !placingFarm)) return; 
-    const checkOverlap = (boxToCheck) => { 
-        if (resources.some(r => r.element?.isConnected && checkAABBOverlap(boxToCheck, r.box || getElementWorldBoundingBox(r.element), COLLISION_PADDING))) return true; 
-        if (buildings.some(b => b.element && checkAABBOverlap(boxToCheck, b.box || getElementWorldBoundingBox(b.element), COLLISION_PADDING))) return true; 
-        if (constructions.some(c => c.element && checkAABBOverlap(boxToCheck, c.box || getElementWorldBoundingBox(c.element), COLLISION_PADDING))) return true; 
-        return false; 
-    }; 
+    const checkOverlap = (boxToCheck) => isAreaObstructed(boxToCheck, COLLISION_PADDING); 
     const checkBounds = (boxToCheck) => { return boxToCheck.xMin >= 0 && boxToCheck.xMax <= currentWorldWidth && boxToCheck.yMin >= 0 && boxToCheck.yMax <= currentWorldHeight; }; 
     
     if (placingFarm) { 
         const farmSize = FARM_TOTAL_SIZE; 
         const gx = worldX - farmSize / 2; 
         const gy = worldY - farmSize / 2; 
-        farmGroupBox = { xMin: gx, yMin: gy, xMax: gx + farmSize, yMax: gy + farmSize, width: farmSize, height: farmSize }; 
+        farmGroupBox = makeBox(gx, gy, farmSize, farmSize); 
         farmValidPlacement = !checkOverlap(farmGroupBox) && checkBounds(farmGroupBox); 
         farmPreviewTiles.forEach((p, idx) => { 
             if(!p) return; 
@@ -827,11 +1753,7 @@ function updatePlacementPreview(worldX, worldY) {
     } else if (placingBuildingType && placementPreviewElement) { 
         const type = placingBuildingType; 
         const size = FACTION_DATA[playerFactionKey].buildings[type].size; 
-        const potentialBox = { 
-            xMin: worldX - size.w / 2, yMin: worldY - size.h / 2, 
-            xMax: worldX + size.w / 2, yMax: worldY + size.h / 2, 
-            width: size.w, height: size.h, centerX: worldX, centerY: worldY 
-        }; 
+        const potentialBox = makeBox(worldX - size.w / 2, worldY - size.h / 2, size.w, size.h); 
         placeElementInWorld(placementPreviewElement, potentialBox.xMin, potentialBox.yMin); 
         placementData.valid = !checkOverlap(potentialBox) && checkBounds(potentialBox); 
         placementPreviewElement.classList.toggle('valid', placementData.valid); 
@@ -839,7 +1761,11 @@ function updatePlacementPreview(worldX, worldY) {
         placementData.finalBox = potentialBox; 
     } 
 }
-function finalizePlacement() { 
+/**
+ * Places the building being positioned and sends the selected builder to it.
+ * @param {boolean} [queued] - Queue the build after the builder's other orders and keep placing the same building type.
+ */
+function finalizePlacement(queued = false) { 
     if (gameMode === 'ai_vs_ai') return; 
     const currentPlacementType = placingBuildingType; 
     if (!currentPlacementType || !placementData) { cancelPlacement(); return; } 
@@ -848,7 +1774,7 @@ function finalizePlacement() {
         cancelPlacement(); 
         return; 
     } 
-    createConstructionSite(currentPlacementType, placementData.finalBox, playerFactionKey, selectedUnit); 
+    executePlayerCommand('place_construction', { buildingType: currentPlacementType, box: placementData.finalBox, workerId: getSelectedBuilder()?.id || null, queued: queued }); 
     
     if (currentPlacementType === 'farm') { 
         farmPreviewTiles.forEach(p => { if(p && p.parentNode === gameWorld) gameWorld.removeChild(p); }); 
@@ -861,21 +1787,17 @@ function finalizePlacement() {
     placingBuildingType = null; 
     placementData = null; 
     farmGroupBox = null; 
-    if (selectedUnit) updateCommandCard(); 
+    if (selectedUnits.length > 0) updateCommandCard(); 
     else deselectAll(); 
     updateSelectionInfo(); 
+    if (queued && selectedUnits.length > 0) startPlacingBuilding(currentPlacementType); // Shift keeps placing the same building
 }
 function cancelPlacement() { 
     if (gameMode === 'ai_vs_ai') return; 
     const currentPlacementType = placingBuildingType; 
     if (!currentPlacementType) return; 
 
-    const buildingStaticData = FACTION_DATA[playerFactionKey].buildings[currentPlacementType];
-    if (buildingStaticData?.cost) {
-        p1Wood += (buildingStaticData.cost.wood || 0);
-        p1Coal += (buildingStaticData.cost.coal || 0);
-        updateResourceDisplay();
-    }
+    executePlayerCommand('refund_building_cost', { buildingType: currentPlacementType });
     
     if (currentPlacementType === 'farm') { 
         farmPreviewTiles.forEach(p => { if(p && p.parentNode === gameWorld) gameWorld.removeChild(p); }); 
@@ -888,64 +1810,10 @@ function cancelPlacement() {
     placingBuildingType = null; 
     placementData = null; 
     farmGroupBox = null; 
-    if (selectedUnit) updateCommandCard(); 
+    if (selectedUnits.length > 0) updateCommandCard(); 
     updateSelectionInfo(); 
 }
 
-// --- DOM Helper Functions ---
-function createHpBarElement() { const c = document.createElement('div'); c.className = 'hp-bar-container'; const i = document.createElement('div'); i.className = 'hp-bar-inner'; c.appendChild(i); return { hpContainer: c, hpInnerElem: i }; }
-function createProgressBarElement() { const c = document.createElement('div'); c.className = 'progress-bar-container'; const i = document.createElement('div'); i.className = 'progress-bar-inner'; c.appendChild(i); return { container: c, inner: i }; }
-function placeElementInWorld(element, worldX, worldY) { if(element) {element.style.left = `${worldX}px`; element.style.top = `${worldY}px`; }}
-function getElementWorldBoundingBox(element) { 
-    if (!element || typeof element.getBoundingClientRect !== 'function') { return { xMin: 0, yMin: 0, xMax: 0, yMax: 0, width: 0, height: 0, centerX: 0, centerY: 0 }; } 
-    try { 
-        const worldX = parseFloat(element.style.left || 0); 
-        const worldY = parseFloat(element.style.top || 0); 
-        let width = element.offsetWidth; 
-        let height = element.offsetHeight; 
-        if(width === 0 || height === 0 || !Number.isFinite(width) || !Number.isFinite(height)) { 
-            const style = window.getComputedStyle(element); 
-            const buildingType = element.dataset.buildingType; 
-            const factionKey = element.dataset.faction || playerFactionKey; 
-            const buildingStaticData = buildingType && FACTION_DATA[factionKey] ? FACTION_DATA[factionKey].buildings[buildingType] : null; 
-            if (buildingStaticData?.size) { 
-                width = buildingStaticData.size.w; height = buildingStaticData.size.h; 
-            } else if (element.classList.contains('unit')) { 
-                width = 36; height = 36; 
-            } else if (element.classList.contains('resource')) { 
-                width = element.classList.contains('tree') ? 100 : 140; 
-                height = element.classList.contains('tree') ? 100 : 140; 
-            } else { 
-                width = parseFloat(style.width) || 0; 
-                height = parseFloat(style.height) || 0; 
-            } 
-        } 
-        width = Number.isFinite(width) ? width : 0; 
-        height = Number.isFinite(height) ? height : 0; 
-        return { xMin: worldX, yMin: worldY, xMax: worldX + width, yMax: worldY + height, width: width, height: height, centerX: worldX + width / 2, centerY: worldY + height / 2 }; 
-    } catch (error) { 
-        console.error("MAIN.JS: getBoundingBox error:", element, error); 
-        return { xMin: 0, yMin: 0, xMax: 0, yMax: 0, width: 0, height: 0, centerX: 0, centerY: 0 }; 
-    } 
-}
-function updateHpBar(entity) { 
-    if (entity.hpContainer && entity.hpInner && entity.maxHp > 0) { 
-        const hpPercent = Math.max(0, (entity.hp / entity.maxHp)); 
-        entity.hpInner.style.width = `${hpPercent * 100}%`; 
-        
-        const shouldShowHpBar = entity.hp < entity.maxHp || entity === selectedUnit || entity === selectedBuilding || (entity.isConstructing && entity.hp < entity.maxHp);
-
-        if (shouldShowHpBar) {
-            entity.hpContainer.style.display = 'block'; 
-            if (hpPercent > 0.6) { entity.hpInner.style.backgroundColor = 'var(--progress-hp-healthy)'; } 
-            else if (hpPercent > 0.3) { entity.hpInner.style.backgroundColor = 'var(--progress-hp-damaged)'; } 
-            else { entity.hpInner.style.backgroundColor = 'var(--progress-hp-critical)'; } 
-        } else {
-            entity.hpContainer.style.display = 'none'; 
-        }
-    } 
-}
-
 // --- Debug UI ---
 function toggleDebugPanel() { 
     isDebugVisible = !isDebugVisible; 
@@ -959,6 +1827,8 @@ function updateDebugPanel() {
         if(debugPlayerFaction && FACTION_DATA[playerFactionKey]) debugPlayerFaction.textContent = FACTION_DATA[playerFactionKey].name; 
         if(debugOpponentFaction && FACTION_DATA[opponentFactionKey]) debugOpponentFaction.textContent = FACTION_DATA[opponentFactionKey].name;
         if(debugWorldSize) debugWorldSize.textContent = `${currentWorldWidth}x${currentWorldHeight}`; 
+        if(debugSeed) debugSeed.textContent = gameInitialized || gameOver ? gameSeed : 'N/A';
+        if(debugSimTick) debugSimTick.textContent = simTickCount;
         if(debugUnitCount) debugUnitCount.textContent = units.length; 
         if(debugP1Wood) debugP1Wood.textContent = p1Wood; 
         if(debugP1Coal) debugP1Coal.textContent = p1Coal; 
@@ -970,9 +1840,10 @@ function updateDebugPanel() {
         if(debugP2FoodCap) debugP2FoodCap.textContent = p2FoodCapacity; 
         if(debugP1BuildingCount) debugP1BuildingCount.textContent = `${buildings.filter(b => b.faction === p1FactionKey && !b.isConstructing).length}`; 
         if(debugP2BuildingCount) debugP2BuildingCount.textContent = `${buildings.filter(b => b.faction === p2FactionKey && !b.isConstructing).length}`; 
-        if(debugResourceNodesCount) debugResourceNodesCount.textContent = resources.filter(r => r.element?.isConnected).length; 
+        if(debugResourceNodesCount) debugResourceNodesCount.textContent = resources.length; 
         if(debugConstructionCount) debugConstructionCount.textContent = constructions.length; 
         
+        const selectedUnit = selectedUnits[0];
         if (selectedUnit && gameMode === 'human_vs_ai') { 
             if(debugSelectedId) debugSelectedId.textContent = selectedUnit.id; 
             if(debugSelectedType) debugSelectedType.textContent = selectedUnit.unitType; 
@@ -1010,19 +1881,14 @@ function showGameOver(winnerFactionKey) {
     setGameOver(true);       
     const winnerName = winnerFactionKey === "Draw" ? "It's a Draw!" : (FACTION_DATA[winnerFactionKey]?.name || winnerFactionKey) + " Wins!"; 
     if(gameOverMessageDiv) {
-        gameOverMessageDiv.innerHTML = `<h2>Game Over!</h2><p>${winnerName}</p><button id="gameOverPlayAgain">Play Again?</button>`; 
+        gameOverMessageDiv.innerHTML = `<h2>Game Over!</h2><p>${winnerName}</p><button id="gameOverPlayAgain">Play Again?</button> <button id="gameOverSaveReplay">Save Replay</button>`; 
         gameOverMessageDiv.style.display = 'block';
         const playAgainBtn = document.getElementById('gameOverPlayAgain');
         if (playAgainBtn) {
-            playAgainBtn.onclick = () => { 
-                gameOverMessageDiv.style.display = 'none';
-                if(modalOverlay) modalOverlay.style.display = 'flex'; 
-                setCurrentGameState('start_modal');
-                 if (commandCardMenu) commandCardMenu.hide();
-                if (contextMenu) contextMenu.hide();
-                if (gameWorld) gameWorld.innerHTML = ''; 
-            };
+            playAgainBtn.onclick = returnToStartModal;
         }
+        const saveReplayBtn = document.getElementById('gameOverSaveReplay');
+        if (saveReplayBtn) saveReplayBtn.onclick = exportReplayFile;
     }
     if (commandCardMenu) commandCardMenu.hide();
     if (contextMenu) contextMenu.hide();
@@ -1060,35 +1926,3 @@ function showTemporaryMessage(message, duration = 2000) {
         }
     }, duration);
 }
-
-// --- Utility: AABB Collision Check ---
-function checkAABBOverlap(box1, box2, padding = 0) { 
-    if (!box1 || !box2 || box1.width === 0 || box2.width === 0) return false; 
-    return ( 
-        box1.xMin < box2.xMax + padding && 
-        box1.xMax > box2.xMin - padding && 
-        box1.yMin < box2.yMax + padding && 
-        box1.yMax > box2.yMin - padding 
-    ); 
-}
-
-// Utility function to calculate current food used by a faction (needed by UI for display and JSRTSMenu builders)
-function calculateCurrentFood(factionKeyToCalc) { 
-    if (!FACTION_DATA[factionKeyToCalc] || !FACTION_DATA[factionKeyToCalc].units) return 0;
-    return units.reduce((sum, u) => sum + (u.faction === factionKeyToCalc ? (FACTION_DATA[factionKeyToCalc].units[u.unitType]?.foodCost || 0) : 0), 0); 
-}
-
-// Utility function to calculate total food capacity for a faction (needed by UI for display and JSRTSMenu builders)
-function calculateFoodCapacity(factionKeyToCalc) { 
-    let capacity = 0; 
-    if (!FACTION_DATA[factionKeyToCalc] || !FACTION_DATA[factionKeyToCalc].buildings) return STARTING_FOOD_CAP;
-    buildings.forEach(b => { 
-        if (b.faction === factionKeyToCalc && !b.isConstructing && b.hp > 0) { 
-            const data = FACTION_DATA[factionKeyToCalc].buildings[b.buildingType]; 
-            if (data?.provides_food) { 
-                capacity += data.provides_food; 
-            } 
-        } 
-    }); 
-    return Math.max(STARTING_FOOD_CAP, capacity); 
-}
@@ -0,0 +1,148 @@
+// js/minimap.js
+// The minimap in #ui-panel: an overview of the whole world (resource nodes, buildings and
+// units in their faction's color, seen through the same fog of war as the main view),
+// the camera's viewport rectangle and flashing pings where fighting happens.
+// Left-click or drag moves the camera there; right-click moves the selected units there.
+// Loaded after renderer.js and before main.js.
+
+"use strict";
+
+let minimapCanvas = null;     // <canvas id="minimap-canvas">
+let minimapFogCanvas = null;  // Offscreen canvas with one pixel per fog cell, stretched over the minimap
+let minimapFogDrawnKey = null; // View and tick minimapFogCanvas was last painted for
+let isDraggingMinimap = false; // True while the left button is held on the minimap
+let minimapPings = [];        // { x, y, factionKey, startedAt } in world coordinates; startedAt is a Date.now() time
+
+/** Binds the minimap's mouse input. Called once from DOMContentLoaded. */
+function initializeMinimap(canvasElement) {
+    minimapCanvas = canvasElement;
+    if (!minimapCanvas) return;
+    minimapFogCanvas = document.createElement('canvas');
+
+    minimapCanvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || !gameInitialized) return;
+        e.preventDefault();
+        e.stopPropagation();
+        isDraggingMinimap = true;
+        centerViewOnMinimapPoint(e);
+    });
+    window.addEventListener('mousemove', (e) => { if (isDraggingMinimap) centerViewOnMinimapPoint(e); });
+    window.addEventListener('mouseup', (e) => { if (e.button === 0) isDraggingMinimap = false; });
+    minimapCanvas.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handleMinimapRightClick(e);
+    });
+}
+
+/** Sizes the minimap to the current world and forgets the previous match's pings. */
+function resetMinimap() {
+    minimapPings = [];
+    minimapFogDrawnKey = null;
+    isDraggingMinimap = false;
+    if (!minimapCanvas || !currentWorldWidth) return;
+    minimapCanvas.width = MINIMAP_WIDTH;
+    minimapCanvas.height = Math.round(MINIMAP_WIDTH * currentWorldHeight / currentWorldWidth);
+}
+
+/** Converts a mouse position over the minimap to world coordinates, clamped to the world. */
+function minimapToWorld(clientX, clientY) {
+    const rect = minimapCanvas.getBoundingClientRect();
+    const fractionX = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    const fractionY = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+    return { x: fractionX * currentWorldWidth, y: fractionY * currentWorldHeight };
+}
+
+function centerViewOnMinimapPoint(e) {
+    if (currentGameState !== 'in_game') return;
+    const worldPos = minimapToWorld(e.clientX, e.clientY);
+    centerViewOn(worldPos.x, worldPos.y, true); // Keep the player's zoom level
+}
+
+/** Moves the player's selected units to the clicked point (Shift queues the move). */
+function handleMinimapRightClick(e) {
+    if (currentGameState !== 'in_game' || gameMode !== 'human_vs_ai' || activeReplay || !gameInitialized || gameOver) return;
+    if (selectedUnits.length === 0 || selectedUnits[0].faction !== playerFactionKey) return;
+    if (placingBuildingType || placingFarm || pendingGroundOrder) return;
+    const worldPos = minimapToWorld(e.clientX, e.clientY);
+    orderSelectedUnits(() => ({ state: 'moving', target: { x: worldPos.x, y: worldPos.y }, targetId: null }), e.shiftKey);
+}
+
+/**
+ * Flashes a ping where an entity was hit, unless the fog hides it from the current view.
+ * Hits close to a ping that is still showing refresh that ping instead of adding another.
+ */
+function addMinimapPing(entity) {
+    if (fogViewFactionKey && !isEntityVisibleTo(fogViewFactionKey, entity)) return;
+    const { x, y } = getEntityCenter(entity);
+    const now = Date.now();
+    const nearbyPing = minimapPings.find(ping => ping.factionKey === entity.faction &&
+        now - ping.startedAt < MINIMAP_PING_DURATION_MS &&
+        (ping.x - x) ** 2 + (ping.y - y) ** 2 < MINIMAP_PING_MERGE_RADIUS ** 2);
+    if (nearbyPing) nearbyPing.startedAt = now;
+    else minimapPings.push({ x, y, factionKey: entity.faction, startedAt: now });
+}
+
+/**
+ * Redraws the minimap: resource nodes, buildings (or their last-seen ghosts), units,
+ * the fog of fogViewFactionKey, combat pings and the camera's viewport rectangle.
+ * Called once per frame by gameLoop (main.js).
+ */
+function renderMinimap() {
+    if (!minimapCanvas || !gameInitialized || !currentWorldWidth) return;
+    const context = minimapCanvas.getContext('2d');
+    const mapScale = minimapCanvas.width / currentWorldWidth;
+    const isShown = entity => !fogViewFactionKey || isEntityVisibleTo(fogViewFactionKey, entity);
+    const drawBox = (box, color) => {
+        context.fillStyle = color;
+        context.fillRect(box.xMin * mapScale, box.yMin * mapScale, Math.max(2, box.width * mapScale), Math.max(2, box.height * mapScale));
+    };
+
+    context.fillStyle = '#1e2127';
+    context.fillRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+
+    resources.forEach(resourceData => drawBox(resourceData.box, MINIMAP_RESOURCE_COLORS[resourceData.type] || '#8c8c8c'));
+    buildings.forEach(b => { if (b.hp > 0 && isShown(b)) drawBox(b.box, FACTION_DATA[b.faction]?.color || '#ffffff'); });
+    if (fogViewFactionKey) {
+        getLastSeenBuildings(fogViewFactionKey).forEach(snapshot => {
+            if (!isShown(findEntityById(snapshot.id) || snapshot)) drawBox(snapshot.box, FACTION_DATA[snapshot.faction]?.color || '#ffffff');
+        });
+    }
+    units.forEach(unit => {
+        if (unit.hp <= 0 || !isShown(unit)) return;
+        context.fillStyle = FACTION_DATA[unit.faction]?.color || '#ffffff';
+        context.fillRect(unit.worldX * mapScale - 1.5, unit.worldY * mapScale - 1.5, 3, 3);
+    });
+
+    const vision = fogViewFactionKey ? factionVision[fogViewFactionKey] : null;
+    if (vision && fogGrid) {
+        const drawnKey = `${fogViewFactionKey}:${simTickCount}`;
+        if (minimapFogDrawnKey !== drawnKey) {
+            paintFogCanvas(minimapFogCanvas, vision);
+            minimapFogDrawnKey = drawnKey;
+        }
+        context.drawImage(minimapFogCanvas, 0, 0, fogGrid.cols * FOG_CELL_SIZE * mapScale, fogGrid.rows * FOG_CELL_SIZE * mapScale);
+    }
+
+    const now = Date.now();
+    minimapPings = minimapPings.filter(ping => now - ping.startedAt < MINIMAP_PING_DURATION_MS);
+    minimapPings.forEach(ping => {
+        const age = (now - ping.startedAt) / MINIMAP_PING_DURATION_MS;
+        context.strokeStyle = '#e06c75';
+        context.globalAlpha = 1 - age;
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(ping.x * mapScale, ping.y * mapScale, 4 + 8 * ((age * 3) % 1), 0, Math.PI * 2);
+        context.stroke();
+    });
+    context.globalAlpha = 1;
+
+    if (viewportElement) {
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 1;
+        context.strokeRect(
+            -viewOffsetX / scale * mapScale, -viewOffsetY / scale * mapScale,
+            viewportElement.clientWidth / scale * mapScale, viewportElement.clientHeight / scale * mapScale
+        );
+    }
+}
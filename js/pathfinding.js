@@ -0,0 +1,415 @@
+// js/pathfinding.js
+// Navigation grid and A* pathfinding for unit movement.
+// Buildings, construction sites and resource nodes block every grid cell whose center
+// lies inside their box grown by NAV_OBSTACLE_MARGIN. The grid is updated incrementally
+// as obstacles appear and disappear (registerEntity / unregisterEntity in game-logic.js).
+// Paths are plain lists of world-space waypoints stored on the unit, so they save and
+// replay with it. Nothing here touches the DOM.
+// Loaded after game-state.js and before game-logic.js.
+
+"use strict";
+
+// Scratch buffers shared by all searches, (re)allocated with the grid. A cell's entry is only
+// valid when its stamp equals navStamp, so buffers never need clearing between searches.
+let navStamp = 0;
+let navVisitStamp = null;   // Int32Array: cell has a g score in the current search
+let navClosedStamp = null;  // Int32Array: cell has been expanded
+let navGoalStamp = null;    // Int32Array: cell is an acceptable end cell
+let navRegionStamp = null;  // Int32Array: blocked cell belongs to the goal's own obstacle
+let navGScore = null;       // Int32Array
+let navParent = null;       // Int32Array
+
+// Integer step costs keep equal-length routes exactly tied, so the h tie-break can steer the search
+const NAV_STRAIGHT_COST = 10;
+const NAV_DIAGONAL_COST = 14;
+// Inflating the heuristic trades slightly longer routes for far fewer expanded cells around forests
+const NAV_HEURISTIC_WEIGHT = 1.2;
+const NAV_NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+
+// --- Grid ---
+
+/** Creates an empty navigation grid covering the world. Obstacles are added by registerEntity. */
+function resetNavGrid(worldWidth, worldHeight) {
+    const cols = Math.max(1, Math.ceil(worldWidth / NAV_CELL_SIZE));
+    const rows = Math.max(1, Math.ceil(worldHeight / NAV_CELL_SIZE));
+    navGrid = { cols, rows, blockers: new Uint16Array(cols * rows) };
+    const cellCount = cols * rows;
+    navVisitStamp = new Int32Array(cellCount);
+    navClosedStamp = new Int32Array(cellCount);
+    navGoalStamp = new Int32Array(cellCount);
+    navRegionStamp = new Int32Array(cellCount);
+    navGScore = new Int32Array(cellCount);
+    navParent = new Int32Array(cellCount);
+    navStamp = 0;
+}
+
+function navCellCoord(value, cellCount) {
+    return Math.max(0, Math.min(cellCount - 1, Math.floor(value / NAV_CELL_SIZE)));
+}
+
+function navCellOfPoint(x, y) {
+    return navCellCoord(y, navGrid.rows) * navGrid.cols + navCellCoord(x, navGrid.cols);
+}
+
+function navCellCenter(index) {
+    return {
+        x: (index % navGrid.cols) * NAV_CELL_SIZE + NAV_CELL_SIZE / 2,
+        y: Math.floor(index / navGrid.cols) * NAV_CELL_SIZE + NAV_CELL_SIZE / 2
+    };
+}
+
+function isNavCellBlocked(index) {
+    return navGrid.blockers[index] > 0;
+}
+
+/** True if a unit may stand at a world point (always true before the grid exists). */
+function isNavPointWalkable(x, y) {
+    return !navGrid || !isNavCellBlocked(navCellOfPoint(x, y));
+}
+
+/** Cells whose center lies inside a box grown by NAV_OBSTACLE_MARGIN, i.e. the cells that box blocks. */
+function navCellsOfBox(box) {
+    const cells = [];
+    const xMin = box.xMin - NAV_OBSTACLE_MARGIN, xMax = box.xMax + NAV_OBSTACLE_MARGIN;
+    const yMin = box.yMin - NAV_OBSTACLE_MARGIN, yMax = box.yMax + NAV_OBSTACLE_MARGIN;
+    for (let cy = navCellCoord(yMin, navGrid.rows); cy <= navCellCoord(yMax, navGrid.rows); cy++) {
+        const centerY = cy * NAV_CELL_SIZE + NAV_CELL_SIZE / 2;
+        if (centerY < yMin || centerY > yMax) continue;
+        for (let cx = navCellCoord(xMin, navGrid.cols); cx <= navCellCoord(xMax, navGrid.cols); cx++) {
+            const centerX = cx * NAV_CELL_SIZE + NAV_CELL_SIZE / 2;
+            if (centerX >= xMin && centerX <= xMax) cells.push(cy * navGrid.cols + cx);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Adds (delta 1) or removes (delta -1) an obstacle box. Cells keep a count of the
+ * obstacles covering them, so overlapping obstacles can be removed in any order.
+ */
+function markNavObstacle(box, delta) {
+    if (!navGrid || !box) return;
+    navCellsOfBox(box).forEach(index => {
+        navGrid.blockers[index] = Math.max(0, navGrid.blockers[index] + delta);
+    });
+    // Only new obstacles can invalidate existing paths
+    if (delta > 0) navBlockVersion++;
+}
+
+/**
+ * True if a straight walk from `from` to `to` only crosses walkable cells
+ * (or cells of the goal's own obstacle when allowGoalRegion is set).
+ */
+function hasNavLineOfSight(from, to, allowGoalRegion = false) {
+    const dx = to.x - from.x, dy = to.y - from.y;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (NAV_CELL_SIZE / 4));
+    let lastIndex = -1;
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 1 : i / steps;
+        const index = navCellOfPoint(from.x + dx * t, from.y + dy * t);
+        if (index === lastIndex) continue;
+        lastIndex = index;
+        if (isNavCellBlocked(index) && !(allowGoalRegion && navRegionStamp[index] === navStamp)) return false;
+    }
+    return true;
+}
+
+
+// --- Path Search ---
+
+/** Starts a new search generation; every stamp buffer entry from older searches becomes stale. */
+function beginNavSearch() {
+    navStamp++;
+    if (navStamp >= 0x7FFFFFFF) {
+        [navVisitStamp, navClosedStamp, navGoalStamp, navRegionStamp].forEach(buffer => buffer.fill(0));
+        navStamp = 1;
+    }
+}
+
+/** Finds the walkable cell nearest to a (blocked) cell, searching outward ring by ring. */
+function findNearestWalkableCell(index, maxRings = 12) {
+    const cx0 = index % navGrid.cols, cy0 = Math.floor(index / navGrid.cols);
+    for (let ring = 1; ring <= maxRings; ring++) {
+        let best = -1, bestDistSq = Infinity;
+        for (let cy = cy0 - ring; cy <= cy0 + ring; cy++) {
+            for (let cx = cx0 - ring; cx <= cx0 + ring; cx++) {
+                if (Math.max(Math.abs(cx - cx0), Math.abs(cy - cy0)) !== ring) continue;
+                if (cx < 0 || cy < 0 || cx >= navGrid.cols || cy >= navGrid.rows) continue;
+                const candidate = cy * navGrid.cols + cx;
+                const distSq = (cx - cx0) ** 2 + (cy - cy0) ** 2;
+                if (!isNavCellBlocked(candidate) && distSq < bestDistSq) { best = candidate; bestDistSq = distSq; }
+            }
+        }
+        if (best > -1) return best;
+    }
+    return -1;
+}
+
+/** Finds the building, construction site or resource node whose blocked area contains a point. */
+function findNavObstacleAt(point) {
+    const probe = makeBox(point.x, point.y, 0, 0);
+    const candidates = queryGridInBox(buildingGrid, probe, NAV_OBSTACLE_MARGIN).concat(queryGridInBox(resourceGrid, probe, NAV_OBSTACLE_MARGIN));
+    return candidates.find(entity => point.x >= entity.box.xMin - NAV_OBSTACLE_MARGIN && point.x <= entity.box.xMax + NAV_OBSTACLE_MARGIN &&
+        point.y >= entity.box.yMin - NAV_OBSTACLE_MARGIN && point.y <= entity.box.yMax + NAV_OBSTACLE_MARGIN) || null;
+}
+
+/** Blocked cells edge-connected to a blocked cell, for goals inside no known obstacle. */
+function floodNavRegion(startIndex) {
+    const { cols, rows } = navGrid;
+    const cells = [startIndex];
+    navRegionStamp[startIndex] = navStamp;
+    for (let head = 0; head < cells.length && cells.length < NAV_MAX_GOAL_REGION_CELLS; head++) {
+        const cx = cells[head] % cols, cy = Math.floor(cells[head] / cols);
+        NAV_NEIGHBOURS.slice(0, 4).forEach(([dx, dy]) => {
+            const nx = cx + dx, ny = cy + dy;
+            if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) return;
+            const neighbour = ny * cols + nx;
+            if (isNavCellBlocked(neighbour) && navRegionStamp[neighbour] !== navStamp) {
+                navRegionStamp[neighbour] = navStamp;
+                cells.push(neighbour);
+            }
+        });
+    }
+    return cells;
+}
+
+/**
+ * Marks the cells a path may end in. A walkable goal cell is its own end cell. A blocked one
+ * (a target inside a building or resource node) makes every walkable cell touching that
+ * obstacle an end cell; the obstacle's own cells are marked as the goal region, which the
+ * last straight leg to the target may cross.
+ * @returns {number} The largest step cost from the goal cell to an end cell; the A* heuristic
+ *                   subtracts it so it doesn't overestimate the distance to the nearest end cell.
+ */
+function markNavGoalCells(goalIndex, goal) {
+    if (!isNavCellBlocked(goalIndex)) {
+        navGoalStamp[goalIndex] = navStamp;
+        return 0;
+    }
+    const { cols, rows } = navGrid;
+    const gx = goalIndex % cols, gy = Math.floor(goalIndex / cols);
+    const markAround = region => {
+        let reach = -1;
+        region.forEach(index => {
+            const cx = index % cols, cy = Math.floor(index / cols);
+            NAV_NEIGHBOURS.forEach(([dx, dy]) => {
+                const nx = cx + dx, ny = cy + dy;
+                if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) return;
+                const neighbour = ny * cols + nx;
+                if (isNavCellBlocked(neighbour) || navGoalStamp[neighbour] === navStamp) return;
+                navGoalStamp[neighbour] = navStamp;
+                reach = Math.max(reach, navOctileDistance(nx - gx, ny - gy));
+            });
+        });
+        return reach;
+    };
+
+    const obstacle = findNavObstacleAt(goal);
+    if (obstacle) {
+        const region = navCellsOfBox(obstacle.box).filter(isNavCellBlocked);
+        region.forEach(index => { navRegionStamp[index] = navStamp; });
+        navRegionStamp[goalIndex] = navStamp;
+        const reach = markAround(region);
+        if (reach >= 0) return reach;
+    }
+    // Unknown or fully enclosed obstacle: take the whole blocked area around the goal
+    return Math.max(0, markAround(floodNavRegion(goalIndex)));
+}
+
+function navOctileDistance(dx, dy) {
+    const ax = Math.abs(dx), ay = Math.abs(dy);
+    return NAV_STRAIGHT_COST * Math.max(ax, ay) + (NAV_DIAGONAL_COST - NAV_STRAIGHT_COST) * Math.min(ax, ay);
+}
+
+/** Minimal binary heap of { f, h, seq, index }, ordered by f, then h, then insertion order. */
+function navHeapPush(heap, node) {
+    heap.push(node);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!navNodeBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+function navHeapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1, right = left + 1;
+            let smallest = i;
+            if (left < heap.length && navNodeBefore(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && navNodeBefore(heap[right], heap[smallest])) smallest = right;
+            if (smallest === i) break;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+function navNodeBefore(a, b) {
+    return a.f !== b.f ? a.f < b.f : (a.h !== b.h ? a.h < b.h : a.seq < b.seq);
+}
+
+/**
+ * Weighted 8-directional A* over the navigation grid (no cutting past blocked corners).
+ * @returns {number[]|null} Cell indices from just after startIndex to an end cell, or null if unreachable.
+ */
+function runNavAStar(startIndex, goalIndex, goalReach) {
+    const { cols, rows, blockers } = navGrid;
+    const gx = goalIndex % cols, gy = Math.floor(goalIndex / cols);
+    const heuristic = (cx, cy) => Math.round(NAV_HEURISTIC_WEIGHT * Math.max(0, navOctileDistance(cx - gx, cy - gy) - goalReach));
+    const heap = [];
+    let seq = 0;
+
+    navVisitStamp[startIndex] = navStamp;
+    navGScore[startIndex] = 0;
+    navParent[startIndex] = -1;
+    const startH = heuristic(startIndex % cols, Math.floor(startIndex / cols));
+    navHeapPush(heap, { f: startH, h: startH, seq: seq++, index: startIndex });
+
+    let expansions = 0;
+    while (heap.length > 0 && expansions < NAV_MAX_EXPANSIONS) {
+        const { index } = navHeapPop(heap);
+        if (navClosedStamp[index] === navStamp) continue;
+        navClosedStamp[index] = navStamp;
+        expansions++;
+
+        if (navGoalStamp[index] === navStamp) {
+            const cells = [];
+            for (let cell = index; cell !== startIndex; cell = navParent[cell]) cells.push(cell);
+            return cells.reverse();
+        }
+
+        const cx = index % cols, cy = Math.floor(index / cols);
+        for (const [dx, dy] of NAV_NEIGHBOURS) {
+            const nx = cx + dx, ny = cy + dy;
+            if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+            const neighbour = ny * cols + nx;
+            if (blockers[neighbour] > 0 || navClosedStamp[neighbour] === navStamp) continue;
+            if (dx !== 0 && dy !== 0 && (blockers[cy * cols + nx] > 0 || blockers[ny * cols + cx] > 0)) continue;
+
+            const g = navGScore[index] + (dx !== 0 && dy !== 0 ? NAV_DIAGONAL_COST : NAV_STRAIGHT_COST);
+            if (navVisitStamp[neighbour] === navStamp && g >= navGScore[neighbour]) continue;
+            navVisitStamp[neighbour] = navStamp;
+            navGScore[neighbour] = g;
+            navParent[neighbour] = index;
+            const h = heuristic(nx, ny);
+            navHeapPush(heap, { f: g + h, h: h, seq: seq++, index: neighbour });
+        }
+    }
+    return null;
+}
+
+/**
+ * Plans a route from `start` to `goal` around obstacles.
+ * The returned waypoints stop short of the goal itself: the unit walks the last leg
+ * straight to its target, which may lie inside a building or resource node it is
+ * heading for (returning, harvesting, building, attacking a building).
+ * An unreachable goal also yields an empty list, i.e. the old straight-line walk.
+ * @returns {Array<{x:number,y:number}>|null} Waypoints, or null if this tick's search budget is used up.
+ */
+function findNavPath(start, goal) {
+    if (!navGrid) return [];
+    beginNavSearch();
+    const goalIndex = navCellOfPoint(goal.x, goal.y);
+    const goalReach = markNavGoalCells(goalIndex, goal);
+    if (hasNavLineOfSight(start, goal, true)) return [];
+
+    if (navSearchesThisTick >= NAV_MAX_SEARCHES_PER_TICK) return null;
+    navSearchesThisTick++;
+
+    const waypoints = [];
+    let startIndex = navCellOfPoint(start.x, start.y);
+    if (isNavCellBlocked(startIndex)) {
+        // Standing inside an obstacle's margin (e.g. just spawned or deposited): step out first
+        startIndex = findNearestWalkableCell(startIndex);
+        if (startIndex < 0) return [];
+        waypoints.push(navCellCenter(startIndex));
+    }
+    const cells = navGoalStamp[startIndex] === navStamp ? [] : runNavAStar(startIndex, goalIndex, goalReach);
+    if (!cells) return [];
+
+    // String-pull the route: of the cells where it turns, keep one only when the next
+    // can't be seen from the last kept point
+    const points = cells.filter((cell, i) => i === cells.length - 1 ||
+        cells[i + 1] - cell !== cell - (i > 0 ? cells[i - 1] : startIndex)).map(navCellCenter);
+    points.push(goal);
+    let anchor = waypoints.length > 0 ? waypoints[0] : start;
+    for (let i = 0; i < points.length - 1; i++) {
+        if (!hasNavLineOfSight(anchor, points[i + 1], true)) {
+            waypoints.push(points[i]);
+            anchor = points[i];
+        }
+    }
+    return waypoints;
+}
+
+
+// --- Path Following ---
+
+/** Forgets a unit's planned path, e.g. when it gets a new order. */
+function clearUnitPath(unit) {
+    unit.path = null;
+    unit.pathGoal = null;
+}
+
+/**
+ * True once a unit is close enough to its next waypoint to head for the one after.
+ * A unit steered or pushed off its route (say, another unit stands on the waypoint)
+ * may move on early when the next leg is clear.
+ */
+function hasReachedWaypoint(unit, distance, moveFactor, targetPos) {
+    if (distance <= moveFactor) return true;
+    if (distance >= UNIT_SPACING) return false;
+    const next = unit.path.length > 1 ? unit.path[1] : targetPos;
+    return distance <= UNIT_SIZE / 2 || hasNavLineOfSight({ x: unit.worldX, y: unit.worldY }, next);
+}
+
+/**
+ * True if a unit's planned route, from where it stands through its waypoints and the last
+ * leg to the goal, still crosses no blocked cell (other than the goal's own obstacle).
+ */
+function isUnitPathClear(unit, goal) {
+    beginNavSearch();
+    markNavGoalCells(navCellOfPoint(goal.x, goal.y), goal);
+    let from = { x: unit.worldX, y: unit.worldY };
+    for (const waypoint of unit.path) {
+        if (!hasNavLineOfSight(from, waypoint)) return false;
+        from = waypoint;
+    }
+    return hasNavLineOfSight(from, goal, true);
+}
+
+/**
+ * Returns the point a moving unit should head for this tick: its next waypoint, or the
+ * target itself once the path is done. Plans the path on a new order and re-plans it when
+ * the target moved more than NAV_REPATH_DISTANCE or an obstacle added since blocks the route.
+ * While this tick's search budget is used up a unit keeps following its old path.
+ * @returns {{x:number,y:number}|null} Null if the unit has no path yet and has to wait a tick for a search.
+ */
+function getMovementWaypoint(unit, targetPos) {
+    if (!navGrid) return targetPos;
+    const goalMoved = !unit.path || !unit.pathGoal ||
+        distanceSq(unit.pathGoal, targetPos) > NAV_REPATH_DISTANCE * NAV_REPATH_DISTANCE;
+    // Obstacles added since the path was planned only matter if they lie across it
+    if (!goalMoved && unit.pathVersion !== navBlockVersion && isUnitPathClear(unit, targetPos)) {
+        unit.pathVersion = navBlockVersion;
+    }
+    if (goalMoved || unit.pathVersion !== navBlockVersion) {
+        const path = findNavPath({ x: unit.worldX, y: unit.worldY }, targetPos);
+        if (!path && !unit.path) return null;
+        if (path) {
+            unit.path = path;
+            unit.pathGoal = { x: targetPos.x, y: targetPos.y };
+            unit.pathVersion = navBlockVersion;
+        }
+    }
+    return unit.path.length > 0 ? unit.path[0] : targetPos;
+}
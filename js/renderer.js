@@ -0,0 +1,438 @@
+// js/renderer.js
+// Mirrors the plain-data simulation state (units, buildings, construction sites,
+// resources) into DOM elements inside #game-world, seen through the fog of war of
+// fogViewFactionKey (everything is shown when it is null).
+// The renderer owns every world element it creates; game-logic.js never touches the DOM.
+// Loaded after game-logic.js and before main.js.
+
+"use strict";
+
+// Render records keyed by entity id:
+// { entity, element, hpContainer, hpInner, progressBarContainer, progressBarInner, indicatorElement, tileElements, lastState }
+const renderedEntities = new Map();
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+let orderPathLayer = null; // <svg> overlay in #game-world showing the selected units' queued orders
+let fogCanvas = null; // <canvas> in #game-world with one pixel per fog cell, stretched over the world
+let fogCanvasDrawnKey = null; // View and tick the fog canvas was last drawn for
+
+/**
+ * Brings the DOM in line with the current simulation state.
+ * Creates elements for new entities, updates existing ones and removes elements
+ * whose entities no longer exist. Called once per frame by gameLoop (main.js).
+ */
+function renderWorld() {
+    if (!gameWorld) return;
+    const liveIds = new Set();
+
+    const isShown = entity => !fogViewFactionKey || isEntityVisibleTo(fogViewFactionKey, entity);
+
+    resources.forEach(resourceData => { renderResource(resourceData); liveIds.add(resourceData.id); });
+    buildings.forEach(buildingData => { if (isShown(buildingData)) { renderBuilding(buildingData); liveIds.add(buildingData.id); } });
+    // Enemy buildings out of sight are drawn as they were last seen, even if they are gone by now
+    if (fogViewFactionKey) {
+        getLastSeenBuildings(fogViewFactionKey).forEach(snapshot => {
+            if (liveIds.has(snapshot.id)) return;
+            renderBuildingGhost(snapshot);
+            liveIds.add(snapshot.id);
+        });
+    }
+    units.forEach(unit => { if (unit.hp > 0 && isShown(unit)) { renderUnit(unit); liveIds.add(unit.id); } });
+    projectiles.forEach(projectile => {
+        if (fogViewFactionKey && projectile.faction !== fogViewFactionKey && !isPointVisibleTo(fogViewFactionKey, projectile.x, projectile.y)) return;
+        renderProjectile(projectile);
+        liveIds.add(projectile.id);
+    });
+
+    renderedEntities.forEach((record, id) => {
+        if (!liveIds.has(id)) removeRenderedEntity(id);
+    });
+    renderFog();
+    renderOrderPaths();
+}
+
+/**
+ * Returns the render record for an entity, (re)creating it when missing or when the
+ * id now belongs to a different object (e.g. a construction site that became a building).
+ */
+function getRenderRecord(entity, createFn) {
+    let record = renderedEntities.get(entity.id);
+    if (record && record.entity !== entity) {
+        removeRenderedEntity(entity.id);
+        record = null;
+    }
+    if (!record) {
+        record = createFn(entity);
+        record.entity = entity;
+        renderedEntities.set(entity.id, record);
+    }
+    return record;
+}
+
+/** Returns the main DOM element rendered for an entity id, or null. */
+function getRenderedElement(id) {
+    const record = id ? renderedEntities.get(id) : null;
+    return record ? (record.element || record.tileElements[0] || null) : null;
+}
+
+/** Removes the DOM elements rendered for an entity id. */
+function removeRenderedEntity(id) {
+    const record = renderedEntities.get(id);
+    if (!record) return;
+    if (record.element && record.element.parentNode) record.element.remove();
+    record.tileElements.forEach(tile => { if (tile && tile.parentNode) tile.remove(); });
+    renderedEntities.delete(id);
+}
+
+/** Removes every rendered world element, e.g. before starting a new game. */
+function clearRenderedWorld() {
+    [...renderedEntities.keys()].forEach(removeRenderedEntity);
+    if (orderPathLayer) orderPathLayer.textContent = '';
+    fogCanvasDrawnKey = null;
+}
+
+function emptyRenderRecord() {
+    return {
+        entity: null, element: null, hpContainer: null, hpInner: null,
+        progressBarContainer: null, progressBarInner: null,
+        indicatorElement: null, tileElements: [], lastState: null
+    };
+}
+
+// --- Units ---
+function createUnitElement(unit) {
+    const record = emptyRenderRecord();
+    const element = document.createElement('div');
+    element.classList.add('game-object', 'unit', unit.unitType);
+    element.textContent = unit.emoji;
+    element.dataset.entityId = unit.id;
+    element.dataset.faction = unit.faction;
+
+    const indicator = document.createElement('div');
+    indicator.classList.add('carrying-indicator');
+    element.appendChild(indicator);
+    record.indicatorElement = indicator;
+
+    const { hpContainer, hpInnerElem } = createHpBarElement();
+    element.appendChild(hpContainer);
+    record.hpContainer = hpContainer;
+    record.hpInner = hpInnerElem;
+
+    if (gameMode === 'human_vs_ai' && unit.faction === playerFactionKey) {
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const clickedUnit = units.find(u => u.id === unit.id);
+            if (clickedUnit) handleUnitClick(clickedUnit, e);
+        });
+    }
+    gameWorld.appendChild(element);
+    record.element = element;
+    return record;
+}
+
+function renderUnit(unit) {
+    const record = getRenderRecord(unit, createUnitElement);
+    const element = record.element;
+    placeElementInWorld(element, unit.worldX - UNIT_SIZE / 2, unit.worldY - UNIT_SIZE / 2);
+
+    if (record.lastState !== unit.state) {
+        if (record.lastState) element.classList.remove(record.lastState);
+        element.classList.add(unit.state);
+        record.lastState = unit.state;
+    }
+
+    const isCarrying = unit.state === 'returning' && !!unit.resourceType;
+    element.classList.toggle('carrying', isCarrying);
+    const indicatorEmoji = isCarrying ? getEmojiForFaction(unit.resourceType === 'wood' ? 'resource_wood' : 'resource_coal', unit.faction) : '';
+    if (record.indicatorElement.textContent !== indicatorEmoji) record.indicatorElement.textContent = indicatorEmoji;
+
+    element.classList.toggle('selected', selectedUnits.includes(unit));
+    updateHpBar(record, unit);
+}
+
+// --- Projectiles ---
+function createProjectileElement(projectile) {
+    const record = emptyRenderRecord();
+    const element = document.createElement('div');
+    element.classList.add('projectile', projectile.kind);
+    element.dataset.faction = projectile.faction;
+    gameWorld.appendChild(element);
+    record.element = element;
+    return record;
+}
+
+/** Places a projectile at its position, pointing along its flight towards the aim point. */
+function renderProjectile(projectile) {
+    const record = getRenderRecord(projectile, createProjectileElement);
+    placeElementInWorld(record.element, projectile.x, projectile.y);
+    const heading = Math.atan2(projectile.targetY - projectile.y, projectile.targetX - projectile.x);
+    record.element.style.transform = `translate(-100%, -50%) rotate(${heading.toFixed(3)}rad)`;
+}
+
+// --- Buildings & Construction Sites ---
+function createBuildingElement(buildingData) {
+    const record = emptyRenderRecord();
+    const box = buildingData.box;
+    const buildingStaticData = FACTION_DATA[buildingData.faction]?.buildings[buildingData.buildingType];
+
+    if (buildingData.buildingType === 'farm' && !buildingData.isConstructing) {
+        for (let i = 0; i < FARM_GRID_DIM * FARM_GRID_DIM; i++) {
+            const tile = document.createElement('div');
+            tile.classList.add('game-object', 'building', 'farm', 'farm-tile');
+            tile.textContent = buildingData.emoji;
+            tile.dataset.entityId = buildingData.id;
+            tile.dataset.faction = buildingData.faction;
+            const dx = i % FARM_GRID_DIM;
+            const dy = Math.floor(i / FARM_GRID_DIM);
+            placeElementInWorld(tile, box.xMin + dx * FARM_TILE_SIZE, box.yMin + dy * FARM_TILE_SIZE);
+            tile.style.width = `${FARM_TILE_SIZE}px`;
+            tile.style.height = `${FARM_TILE_SIZE}px`;
+            tile.style.fontSize = `${FARM_TILE_SIZE * 0.9}px`;
+            gameWorld.appendChild(tile);
+            record.tileElements.push(tile);
+        }
+        return record;
+    }
+
+    const element = document.createElement('div');
+    element.id = buildingData.id;
+    element.classList.add('game-object', 'building', buildingData.buildingType);
+    if (buildingData.isConstructing) element.classList.add('construction-site');
+    element.textContent = buildingData.emoji;
+    element.dataset.entityId = buildingData.id;
+    element.dataset.buildingType = buildingData.buildingType;
+    element.dataset.faction = buildingData.faction;
+    placeElementInWorld(element, box.xMin, box.yMin);
+    element.style.width = `${box.width}px`;
+    element.style.height = `${box.height}px`;
+    if (buildingData.isConstructing && buildingData.buildingType === 'farm') element.style.opacity = 0.2;
+
+    if (buildingData.isConstructing || buildingStaticData?.trains || buildingStaticData?.researches) {
+        const { container, inner } = createProgressBarElement();
+        container.style.display = 'none';
+        element.appendChild(container);
+        record.progressBarContainer = container;
+        record.progressBarInner = inner;
+    }
+    const { hpContainer, hpInnerElem } = createHpBarElement();
+    element.appendChild(hpContainer);
+    record.hpContainer = hpContainer;
+    record.hpInner = hpInnerElem;
+
+    const isClickable = buildingData.isConstructing || gameMode === 'human_vs_ai' || buildingData.faction === playerFactionKey;
+    if (isClickable) {
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const clickedBuilding = buildings.find(b => b.id === buildingData.id);
+            if (clickedBuilding) handleBuildingClick(clickedBuilding, e);
+        });
+    }
+    gameWorld.appendChild(element);
+    record.element = element;
+    return record;
+}
+
+function renderBuilding(buildingData) {
+    const record = getRenderRecord(buildingData, createBuildingElement);
+    const element = record.element;
+    if (!element) return; // Completed farms are static tiles
+
+    let progressPercent = 0;
+    let showProgress = false;
+    if (buildingData.isConstructing) {
+        showProgress = buildingData.isBeingBuilt;
+        progressPercent = buildingData.buildTime ? Math.min(100, buildingData.progress / buildingData.buildTime * 100) : 0;
+        element.classList.toggle('building', showProgress);
+    } else if (buildingData.researchingUpgrade) {
+        showProgress = true;
+        const researchTime = FACTION_DATA[buildingData.faction].upgrades[buildingData.researchingUpgrade].researchTime;
+        progressPercent = Math.min(100, buildingData.researchProgress / researchTime * 100);
+        element.classList.add('training');
+    } else {
+        showProgress = buildingData.isTraining && buildingData.trainingTotalTime > 0;
+        progressPercent = showProgress ? Math.min(100, buildingData.trainingProgress / buildingData.trainingTotalTime * 100) : 0;
+        element.classList.toggle('training', buildingData.isTraining);
+    }
+    if (record.progressBarContainer) {
+        record.progressBarContainer.style.display = showProgress ? 'block' : 'none';
+        record.progressBarInner.style.width = `${progressPercent}%`;
+    }
+
+    element.classList.toggle('selected-building', buildingData === selectedBuilding);
+    updateHpBar(record, buildingData);
+}
+
+/** A remembered enemy building under the fog: its emoji as last seen, faded and not clickable. */
+function createBuildingGhostElement(snapshot) {
+    const record = emptyRenderRecord();
+    const box = snapshot.box;
+    const element = document.createElement('div');
+    element.classList.add('game-object', 'building', snapshot.buildingType, 'fog-ghost');
+    if (snapshot.isConstructing) element.classList.add('construction-site');
+    element.textContent = snapshot.emoji;
+    element.dataset.faction = snapshot.faction;
+    placeElementInWorld(element, box.xMin, box.yMin);
+    element.style.width = `${box.width}px`;
+    element.style.height = `${box.height}px`;
+    gameWorld.appendChild(element);
+    record.element = element;
+    return record;
+}
+
+function renderBuildingGhost(snapshot) {
+    getRenderRecord(snapshot, createBuildingGhostElement);
+}
+
+// --- Resources ---
+function createResourceElement(resourceData) {
+    const record = emptyRenderRecord();
+    const element = document.createElement('div');
+    element.id = resourceData.id;
+    element.classList.add('game-object', 'resource', resourceData.type);
+    element.textContent = resourceData.emoji;
+    element.dataset.entityId = resourceData.id;
+    element.style.width = `${resourceData.box.width}px`;
+    element.style.height = `${resourceData.box.height}px`;
+    element.style.fontSize = `${Math.max(resourceData.box.width, resourceData.box.height)}px`;
+    placeElementInWorld(element, resourceData.box.xMin, resourceData.box.yMin);
+    gameWorld.appendChild(element);
+    record.element = element;
+    return record;
+}
+
+function renderResource(resourceData) {
+    const record = getRenderRecord(resourceData, createResourceElement);
+    record.element.classList.toggle('depleting', !!resourceData.depleting);
+}
+
+// --- Fog of War ---
+/**
+ * Draws fogViewFactionKey's fog over the world: black where it has never looked, dimmed
+ * where it has looked before and clear where it can see now. Hidden when the view is the full map.
+ * Only redrawn when the view or the simulation tick changed.
+ */
+function renderFog() {
+    if (!fogCanvas) {
+        fogCanvas = document.createElement('canvas');
+        fogCanvas.id = 'fog-canvas';
+        gameWorld.appendChild(fogCanvas);
+    }
+    const vision = fogViewFactionKey ? factionVision[fogViewFactionKey] : null;
+    if (!vision || !fogGrid) {
+        fogCanvas.style.display = 'none';
+        fogCanvasDrawnKey = null;
+        return;
+    }
+    const drawnKey = `${fogViewFactionKey}:${simTickCount}`;
+    fogCanvas.style.display = 'block';
+    if (fogCanvasDrawnKey === drawnKey) return;
+    fogCanvasDrawnKey = drawnKey;
+
+    paintFogCanvas(fogCanvas, vision);
+    fogCanvas.style.width = `${fogGrid.cols * FOG_CELL_SIZE}px`;
+    fogCanvas.style.height = `${fogGrid.rows * FOG_CELL_SIZE}px`;
+}
+
+/** Paints a faction's fog onto a canvas at one pixel per fog cell (also used by the minimap). */
+function paintFogCanvas(canvas, vision) {
+    if (canvas.width !== fogGrid.cols || canvas.height !== fogGrid.rows) {
+        canvas.width = fogGrid.cols;
+        canvas.height = fogGrid.rows;
+    }
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(fogGrid.cols, fogGrid.rows);
+    for (let index = 0; index < fogGrid.cols * fogGrid.rows; index++) {
+        const fogState = getFogCellState(vision, index);
+        image.data[index * 4 + 3] = fogState === FOG_VISIBLE ? 0 : (fogState === FOG_EXPLORED ? 120 : 255);
+    }
+    context.putImageData(image, 0, 0);
+}
+
+// --- DOM Helper Functions ---
+// --- Order Paths ---
+/**
+ * Draws a line from each selected unit through the target points of its current and
+ * queued orders, with a marker per order coloured by its kind. Units without queued
+ * orders are skipped unless they are patrolling, whose line shows both turning points.
+ * A selected building's rally point is drawn as a flag.
+ */
+function renderOrderPaths() {
+    if (!orderPathLayer) {
+        orderPathLayer = document.createElementNS(SVG_NS, 'svg');
+        orderPathLayer.setAttribute('id', 'order-path-layer');
+        gameWorld.appendChild(orderPathLayer);
+    }
+    orderPathLayer.textContent = '';
+
+    selectedUnits.forEach(unit => {
+        if (unit.orderQueue.length === 0 && unit.state !== 'patrolling') return;
+        const stops = [];
+        const currentTarget = getOrderTargetPoint(unit);
+        if (currentTarget) stops.push({ point: currentTarget, state: unit.state });
+        if (unit.state === 'patrolling' && unit.patrolOrigin) stops.push({ point: unit.patrolOrigin, state: unit.state });
+        unit.orderQueue.forEach(command => {
+            const point = getOrderTargetPoint(command);
+            if (point) stops.push({ point: point, state: command.state });
+        });
+
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('class', 'order-path');
+        line.setAttribute('points', [{ x: unit.worldX, y: unit.worldY }, ...stops.map(stop => stop.point)].map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' '));
+        orderPathLayer.appendChild(line);
+        stops.forEach(stop => {
+            const marker = document.createElementNS(SVG_NS, 'circle');
+            marker.setAttribute('class', `order-marker ${stop.state}`);
+            marker.setAttribute('cx', stop.point.x.toFixed(1));
+            marker.setAttribute('cy', stop.point.y.toFixed(1));
+            marker.setAttribute('r', '6');
+            orderPathLayer.appendChild(marker);
+        });
+    });
+    if (selectedBuilding?.rallyPoint) renderRallyPoint(selectedBuilding);
+}
+
+/** Draws a dashed line from a building to its rally point and a flag on the point (or on the target it follows). */
+function renderRallyPoint(buildingData) {
+    const point = getOrderTargetPoint({ targetId: buildingData.rallyPoint.targetId, target: buildingData.rallyPoint });
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('class', 'rally-line');
+    line.setAttribute('x1', buildingData.box.centerX.toFixed(1));
+    line.setAttribute('y1', buildingData.box.centerY.toFixed(1));
+    line.setAttribute('x2', point.x.toFixed(1));
+    line.setAttribute('y2', point.y.toFixed(1));
+    orderPathLayer.appendChild(line);
+
+    const flag = document.createElementNS(SVG_NS, 'text');
+    flag.setAttribute('class', 'rally-flag');
+    flag.setAttribute('x', point.x.toFixed(1));
+    flag.setAttribute('y', point.y.toFixed(1));
+    flag.textContent = '🚩';
+    orderPathLayer.appendChild(flag);
+}
+
+/** Returns where a unit's current order or a queued command points: its target entity's center, else its target position. */
+function getOrderTargetPoint(order) {
+    const targetEntity = findEntityById(order.targetId);
+    return targetEntity ? getEntityCenter(targetEntity) : (order.target || null);
+}
+
+function createHpBarElement() { const c = document.createElement('div'); c.className = 'hp-bar-container'; const i = document.createElement('div'); i.className = 'hp-bar-inner'; c.appendChild(i); return { hpContainer: c, hpInnerElem: i }; }
+function createProgressBarElement() { const c = document.createElement('div'); c.className = 'progress-bar-container'; const i = document.createElement('div'); i.className = 'progress-bar-inner'; c.appendChild(i); return { container: c, inner: i }; }
+function placeElementInWorld(element, worldX, worldY) { if(element) {element.style.left = `${worldX}px`; element.style.top = `${worldY}px`; }}
+function updateHpBar(record, entity) {
+    if (record.hpContainer && record.hpInner && entity.maxHp > 0) {
+        const hpPercent = Math.max(0, (entity.hp / entity.maxHp));
+        record.hpInner.style.width = `${hpPercent * 100}%`;
+
+        const shouldShowHpBar = entity.hp < entity.maxHp || selectedUnits.includes(entity) || entity === selectedBuilding || (entity.isConstructing && entity.hp < entity.maxHp);
+
+        if (shouldShowHpBar) {
+            record.hpContainer.style.display = 'block';
+            if (hpPercent > 0.6) { record.hpInner.style.backgroundColor = 'var(--progress-hp-healthy)'; }
+            else if (hpPercent > 0.3) { record.hpInner.style.backgroundColor = 'var(--progress-hp-damaged)'; }
+            else { record.hpInner.style.backgroundColor = 'var(--progress-hp-critical)'; }
+        } else {
+            record.hpContainer.style.display = 'none';
+        }
+    }
+}
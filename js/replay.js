@@ -0,0 +1,100 @@
+// js/replay.js
+// Builds replay documents from the command log (seed + settings + player commands)
+// and drives replay playback: starting, restarting and seeking through a match.
+// Like save-game.js this file never touches the DOM; main.js owns the replay controls.
+// Loaded after save-game.js.
+
+"use strict";
+
+const REPLAY_FORMAT_ID = 'emoji-rts-replay';
+const REPLAY_FORMAT_VERSION = 1;
+
+/** True if the current match has a complete command log that can be exported as a replay. */
+function canBuildReplay() {
+    return Array.isArray(commandLog) && !activeReplay && units.length > 0;
+}
+
+/**
+ * Builds a replay document for the current match, from its first tick up to now.
+ * Throws if the match has no complete command log.
+ * @returns {object} A JSON-safe replay document.
+ */
+function buildReplayDocument() {
+    if (!canBuildReplay()) throw new Error("This match has no complete command log to replay.");
+    return {
+        format: REPLAY_FORMAT_ID,
+        version: REPLAY_FORMAT_VERSION,
+        recordedAt: new Date().toISOString(),
+        seed: gameSeed,
+        settings: { gameMode, p1FactionKey, p2FactionKey, playerFactionKey, opponentFactionKey },
+        endTick: simTickCount,
+        commands: clonePlainData(commandLog)
+    };
+}
+
+/**
+ * Checks that a parsed document is a replay this version of the game can play.
+ * Throws an Error describing the problem otherwise.
+ */
+function validateReplayDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== REPLAY_FORMAT_ID) {
+        throw new Error("Not an Emoji RTS replay file.");
+    }
+    if (typeof doc.version !== 'number' || doc.version > REPLAY_FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version ${doc.version} (this game reads up to version ${REPLAY_FORMAT_VERSION}).`);
+    }
+    const { settings } = doc;
+    if (!settings || !FACTION_DATA[settings.p1FactionKey] || !FACTION_DATA[settings.p2FactionKey]) {
+        throw new Error("Replay refers to an unknown faction.");
+    }
+    if (typeof doc.seed !== 'number' || typeof doc.endTick !== 'number' || !Array.isArray(doc.commands)) {
+        throw new Error("Replay is missing its seed, length or command log.");
+    }
+    const unknown = doc.commands.find(c => !c || !PLAYER_COMMAND_HANDLERS[c.type] || typeof c.tick !== 'number');
+    if (unknown) throw new Error(`Replay contains an unknown command "${unknown && unknown.type}".`);
+}
+
+/**
+ * Starts watching a replay: re-creates the recorded match from its seed and settings
+ * and arms the command log so stepSimulation re-applies each command at its tick.
+ * Throws (before changing any state) if the document is invalid.
+ * @param {object} doc - A document produced by buildReplayDocument.
+ */
+function startReplay(doc) {
+    validateReplayDocument(doc);
+    ({ gameMode, p1FactionKey, p2FactionKey, playerFactionKey, opponentFactionKey } = doc.settings);
+    initializeMatchState(doc.seed);
+    activeReplay = {
+        source: doc,
+        commands: [...doc.commands].sort((a, b) => a.tick - b.tick), // Stable: same-tick commands keep their order
+        nextCommandIndex: 0,
+        endTick: doc.endTick
+    };
+}
+
+/**
+ * Rewinds the active replay to tick 0. Game speed and camera are kept so that
+ * seeking backwards does not disturb the viewer.
+ */
+function restartReplay() {
+    if (!activeReplay) return;
+    const kept = { gameSpeed, speedBeforePause, scale, viewOffsetX, viewOffsetY };
+    startReplay(activeReplay.source);
+    ({ gameSpeed, speedBeforePause, scale, viewOffsetX, viewOffsetY } = kept);
+}
+
+/**
+ * Runs simulation ticks of the active replay towards targetTick, at most maxTicks at a time,
+ * so a long seek can be spread over several frames. Seeking backwards needs restartReplay first.
+ * @returns {boolean} True once the target (or the end of the replay / match) is reached.
+ */
+function advanceReplayTo(targetTick, maxTicks = Infinity) {
+    if (!activeReplay) return true;
+    const stopTick = Math.min(targetTick, activeReplay.endTick);
+    let ticksRun = 0;
+    while (simTickCount < stopTick && ticksRun < maxTicks && gameInitialized && !gameOver) {
+        stepSimulation(SIM_TICK_MS);
+        ticksRun++;
+    }
+    return simTickCount >= stopTick || !gameInitialized || gameOver;
+}
@@ -0,0 +1,144 @@
+// js/save-game.js
+// Converts the complete match state to and from a versioned, JSON-safe save document.
+// Like game-logic.js this file never touches the DOM; main.js handles save slots,
+// file export/import and re-rendering after a load.
+// Loaded after game-logic.js.
+
+"use strict";
+
+const SAVE_FORMAT_ID = 'emoji-rts-save';
+const SAVE_FORMAT_VERSION = 1;
+
+/** Deep-copies plain entity data so the save document shares no objects with the live game. */
+function clonePlainData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Builds a save document describing the current match.
+ * Entity cross-references are stored as ids (e.g. a construction's assignedWorkers).
+ * @param {string} [name] - Display name for the save.
+ * @returns {object} A JSON-safe save document.
+ */
+function serializeGameState(name = '') {
+    return {
+        format: SAVE_FORMAT_ID,
+        version: SAVE_FORMAT_VERSION,
+        name: name,
+        savedAt: new Date().toISOString(),
+        settings: { gameMode, p1FactionKey, p2FactionKey, playerFactionKey, opponentFactionKey },
+        world: { width: currentWorldWidth, height: currentWorldHeight },
+        stockpiles: { p1Wood, p1Coal, p2Wood, p2Coal },
+        simulation: {
+            simulationTime, simTickCount, gameSeed, rngState, gameSpeed, speedBeforePause,
+            scheduledTasks: clonePlainData(scheduledTasks), scheduledTaskIdCounter, navBlockVersion
+        },
+        ai: { factionAiUpdateCounters: clonePlainData(factionAiUpdateCounters), aiGlobalUpdateCounter },
+        // Entity stats are saved with upgrades applied; the list decides what new entities get
+        upgrades: clonePlainData(factionUpgrades),
+        corpseFood: clonePlainData(factionCorpseFood),
+        idCounters: { unitIdCounter, buildingIdCounter, constructionIdCounter, resourceIdCounter, projectileIdCounter },
+        units: clonePlainData(units),
+        // Construction sites live in `buildings` too; their order there is preserved
+        buildings: buildings.map(b => {
+            const { assignedWorkers, ...plain } = b;
+            const copy = clonePlainData(plain);
+            if (b.isConstructing) copy.assignedWorkerIds = assignedWorkers.map(w => w.id);
+            return copy;
+        }),
+        resources: clonePlainData(resources),
+        projectiles: clonePlainData(projectiles),
+        fog: serializeFogOfWar(),
+        baseIds: { player: playerBaseData ? playerBaseData.id : null, opponent: opponentBaseData ? opponentBaseData.id : null },
+        selection: { unitIds: selectedUnits.map(u => u.id), buildingId: selectedBuilding ? selectedBuilding.id : null },
+        controlGroups: Object.fromEntries(Object.entries(controlGroups).map(([groupKey, group]) => [groupKey, group.map(e => e.id)])),
+        camera: { scale, viewOffsetX, viewOffsetY },
+        // Kept so a replay of a loaded match still starts from its first tick
+        commandLog: commandLog ? clonePlainData(commandLog) : null
+    };
+}
+
+/**
+ * Checks that a parsed document is a save this version of the game can load.
+ * Throws an Error describing the problem otherwise.
+ */
+function validateSaveDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== SAVE_FORMAT_ID) {
+        throw new Error("Not an Emoji RTS save file.");
+    }
+    if (doc.version !== SAVE_FORMAT_VERSION) {
+        throw new Error(`Unsupported save version ${doc.version} (this game reads version ${SAVE_FORMAT_VERSION}).`);
+    }
+    const { settings } = doc;
+    if (!settings || !FACTION_DATA[settings.p1FactionKey] || !FACTION_DATA[settings.p2FactionKey]) {
+        throw new Error("Save file refers to an unknown faction.");
+    }
+    if (!Array.isArray(doc.units) || !Array.isArray(doc.buildings) || !Array.isArray(doc.resources) || !Array.isArray(doc.projectiles)) {
+        throw new Error("Save file is missing entity data.");
+    }
+    if (!doc.simulation || !doc.ai || !doc.upgrades || !doc.corpseFood || !doc.fog || !doc.selection || !doc.controlGroups || !doc.camera) {
+        throw new Error("Save file is missing match state.");
+    }
+}
+
+/**
+ * Replaces the current match with the one described by a save document.
+ * Rendering is not touched; callers re-render from the restored state.
+ * Throws (before changing any state) if the document is invalid.
+ * @param {object} doc - A document produced by serializeGameState.
+ */
+function deserializeGameState(doc) {
+    validateSaveDocument(doc);
+    resetCoreGameState();
+
+    ({ gameMode, p1FactionKey, p2FactionKey, playerFactionKey, opponentFactionKey } = doc.settings);
+    currentWorldWidth = doc.world.width;
+    currentWorldHeight = doc.world.height;
+    ({ p1Wood, p1Coal, p2Wood, p2Coal } = doc.stockpiles);
+
+    const sim = doc.simulation;
+    simulationTime = sim.simulationTime;
+    simTickCount = sim.simTickCount;
+    gameSeed = sim.gameSeed;
+    rngState = sim.rngState;
+    gameSpeed = sim.gameSpeed;
+    speedBeforePause = sim.speedBeforePause;
+    scheduledTasks = clonePlainData(sim.scheduledTasks);
+    scheduledTaskIdCounter = sim.scheduledTaskIdCounter;
+
+    factionAiUpdateCounters = clonePlainData(doc.ai.factionAiUpdateCounters);
+    aiGlobalUpdateCounter = doc.ai.aiGlobalUpdateCounter;
+    factionUpgrades = clonePlainData(doc.upgrades);
+    factionCorpseFood = clonePlainData(doc.corpseFood);
+    ({ unitIdCounter, buildingIdCounter, constructionIdCounter, resourceIdCounter, projectileIdCounter } = doc.idCounters);
+
+    units = clonePlainData(doc.units);
+    resources = clonePlainData(doc.resources);
+    buildings = doc.buildings.map(savedBuilding => {
+        const { assignedWorkerIds, ...building } = clonePlainData(savedBuilding);
+        if (building.isConstructing) {
+            building.assignedWorkers = assignedWorkerIds.map(id => units.find(u => u.id === id)).filter(Boolean);
+        }
+        return building;
+    });
+    constructions = buildings.filter(b => b.isConstructing);
+    projectiles = clonePlainData(doc.projectiles);
+    rebuildSpatialIndex();
+    navBlockVersion = sim.navBlockVersion; // Rebuilding the grid bumped it; units' paths compare against the saved value
+    resetFogOfWar(currentWorldWidth, currentWorldHeight, [p1FactionKey, p2FactionKey]);
+    restoreFogOfWar(doc.fog);
+
+    playerBaseData = buildings.find(b => b.id === doc.baseIds.player) || null;
+    opponentBaseData = buildings.find(b => b.id === doc.baseIds.opponent) || null;
+    setSelectedUnits(doc.selection.unitIds.map(id => findEntityById(id)).filter(u => u?.unitType));
+    setSelectedBuilding(buildings.find(b => b.id === doc.selection.buildingId) || null);
+    Object.entries(doc.controlGroups).forEach(([groupKey, ids]) => {
+        controlGroups[groupKey] = ids.map(id => findEntityById(id)).filter(Boolean);
+    });
+
+    ({ scale, viewOffsetX, viewOffsetY } = doc.camera);
+    commandLog = Array.isArray(doc.commandLog) ? clonePlainData(doc.commandLog) : null;
+
+    setGameInitialized(true);
+    refreshFoodTotals();
+}
@@ -0,0 +1,60 @@
+// tools/headless-match.js
+// Runs an AI vs AI match without a browser by loading the simulation scripts
+// (everything except renderer.js and main.js) into a Node VM context.
+//
+// Usage: node tools/headless-match.js [p1Faction] [p2Faction] [maxMinutes] [seed]
+// The same arguments always replay the same match.
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SIM_SCRIPTS = ['menu.js', 'game-data.js', 'game-state.js', 'pathfinding.js', 'fog-of-war.js', 'game-logic.js'];
+
+const p1Faction = process.argv[2] || 'human';
+const p2Faction = process.argv[3] || 'zombie';
+const maxMinutes = Number(process.argv[4]) || 30;
+const seedArg = process.argv[5] || '1';
+
+const context = vm.createContext({ console, Math });
+
+SIM_SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+});
+
+vm.runInContext(`
+    gameMode = 'ai_vs_ai';
+    p1FactionKey = ${JSON.stringify(p1Faction)}; playerFactionKey = p1FactionKey;
+    p2FactionKey = ${JSON.stringify(p2Faction)}; opponentFactionKey = p2FactionKey;
+    onSimEvent('game_over', ({ winner }) => { matchWinner = winner; });
+    var matchWinner = null;
+    initializeMatchState(parseGameSeed(${JSON.stringify(seedArg)}));
+`, context);
+
+const maxMs = maxMinutes * 60 * 1000;
+let simClock = 0;
+const step = vm.runInContext('stepSimulation', context);
+const tickMs = vm.runInContext('SIM_TICK_MS', context);
+while (!context.matchWinner && simClock < maxMs) {
+    simClock += tickMs;
+    step(tickMs);
+}
+
+const summary = vm.runInContext(`({
+    seed: gameSeed,
+    ticks: simTickCount,
+    winner: matchWinner,
+    p1: { wood: p1Wood, coal: p1Coal, food: p1CurrentFood + '/' + p1FoodCapacity,
+          units: units.filter(u => u.faction === p1FactionKey).length,
+          buildings: buildings.filter(b => b.faction === p1FactionKey && !b.isConstructing).length },
+    p2: { wood: p2Wood, coal: p2Coal, food: p2CurrentFood + '/' + p2FoodCapacity,
+          units: units.filter(u => u.faction === p2FactionKey).length,
+          buildings: buildings.filter(b => b.faction === p2FactionKey && !b.isConstructing).length },
+    resourceNodes: resources.length
+})`, context);
+
+console.log(`HEADLESS: ${p1Faction} vs ${p2Faction} after ${(simClock / 1000).toFixed(0)}s of game time`);
+console.log(JSON.stringify(summary, null, 2));